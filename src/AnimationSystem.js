@@ -0,0 +1,258 @@
+import * as THREE from 'three';
+
+/**
+ * AnimationSystem - Plays back glTF animation clips with an AnimationMixer
+ * Supports clip selection, play/pause, loop modes, speed, crossfading and scrubbing
+ */
+export class AnimationSystem {
+    constructor() {
+        this.mixer = null;
+        this.root = null;
+        this.clips = [];
+        this.actions = new Map();
+        this.currentAction = null;
+
+        // Playback settings
+        this.playing = false;
+        this.loopMode = 'repeat'; // 'repeat' | 'once' | 'pingpong'
+        this.speed = 1.0;
+        this.crossfadeDuration = 0.5; // Seconds
+
+        // State restored from settings before a model is loaded
+        this.pendingState = null;
+
+        // Called when a non-looping clip reaches its end and playback stops
+        this.onFinished = null;
+
+        this.loopModes = {
+            repeat: THREE.LoopRepeat,
+            once: THREE.LoopOnce,
+            pingpong: THREE.LoopPingPong
+        };
+    }
+
+    /**
+     * Attach the animations of a newly loaded model
+     */
+    setModel(root, clips = []) {
+        this.dispose();
+
+        this.root = root;
+        this.clips = clips;
+
+        if (!root || clips.length === 0) {
+            return;
+        }
+
+        this.mixer = new THREE.AnimationMixer(root);
+        this.mixer.timeScale = this.speed;
+        this.mixer.addEventListener('finished', (event) => this.onActionFinished(event.action));
+
+        clips.forEach((clip, index) => {
+            const action = this.mixer.clipAction(clip);
+            this.configureAction(action);
+            this.actions.set(this.getClipName(clip, index), action);
+        });
+
+        // Restore saved clip/playback if it matches this model, otherwise play the first clip
+        const state = this.pendingState;
+        this.pendingState = null;
+
+        if (state && state.clip && this.actions.has(state.clip)) {
+            this.applyState(state);
+        } else {
+            this.selectClip(this.getClipNames()[0], false);
+            this.setPlaying(true);
+        }
+
+        console.log(`AnimationSystem: ${clips.length} clip(s) found`, this.getClipNames());
+    }
+
+    getClipName(clip, index) {
+        return clip.name || `Clip ${index + 1}`;
+    }
+
+    getClipNames() {
+        return Array.from(this.actions.keys());
+    }
+
+    get currentClipName() {
+        for (const [name, action] of this.actions) {
+            if (action === this.currentAction) return name;
+        }
+        return null;
+    }
+
+    get hasAnimations() {
+        return this.actions.size > 0;
+    }
+
+    configureAction(action) {
+        const loop = this.loopModes[this.loopMode] || THREE.LoopRepeat;
+        action.setLoop(loop, Infinity);
+        // Hold the last frame when a non-looping clip finishes
+        action.clampWhenFinished = this.loopMode === 'once';
+    }
+
+    /**
+     * Switch to a clip, crossfading from the current one
+     * @param {string} name - Clip name
+     * @param {boolean} crossfade - Blend from the current clip instead of cutting
+     */
+    selectClip(name, crossfade = true) {
+        const nextAction = this.actions.get(name);
+        if (!nextAction || nextAction === this.currentAction) return;
+
+        const previousAction = this.currentAction;
+        nextAction.reset();
+        nextAction.paused = !this.playing;
+        nextAction.play();
+
+        if (previousAction && crossfade && this.crossfadeDuration > 0) {
+            previousAction.crossFadeTo(nextAction, this.crossfadeDuration, false);
+        } else if (previousAction) {
+            previousAction.stop();
+        }
+
+        this.currentAction = nextAction;
+    }
+
+    setPlaying(playing) {
+        this.playing = playing;
+        if (!this.currentAction) return;
+
+        // Restart a clip that already finished (LoopOnce)
+        if (playing && !this.currentAction.isRunning() && this.currentAction.time >= this.getDuration()) {
+            this.currentAction.reset();
+        }
+
+        this.currentAction.paused = !playing;
+        this.currentAction.play();
+    }
+
+    /**
+     * A LoopOnce clip holds its last frame paused, so playback is over
+     */
+    onActionFinished(action) {
+        if (action !== this.currentAction) return;
+        this.playing = false;
+        if (this.onFinished) this.onFinished();
+    }
+
+    togglePlaying() {
+        this.setPlaying(!this.playing);
+    }
+
+    setLoopMode(mode) {
+        if (!this.loopModes[mode]) return;
+        this.loopMode = mode;
+        this.actions.forEach(action => this.configureAction(action));
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        if (this.mixer) {
+            this.mixer.timeScale = speed;
+        }
+    }
+
+    setCrossfadeDuration(duration) {
+        this.crossfadeDuration = Math.max(0, duration);
+    }
+
+    /**
+     * Get current clip time in seconds
+     */
+    getTime() {
+        return this.currentAction ? this.currentAction.time : 0;
+    }
+
+    /**
+     * Get current clip duration in seconds
+     */
+    getDuration() {
+        return this.currentAction ? this.currentAction.getClip().duration : 0;
+    }
+
+    /**
+     * Scrub the current clip to a time in seconds
+     */
+    seek(time) {
+        if (!this.currentAction || !this.mixer) return;
+
+        // Cancel any running crossfade so the scrubbed clip is shown alone
+        this.actions.forEach(action => {
+            if (action !== this.currentAction) action.stop();
+        });
+        this.currentAction.enabled = true;
+        this.currentAction.setEffectiveWeight(1);
+        this.currentAction.play();
+        this.currentAction.time = THREE.MathUtils.clamp(time, 0, this.getDuration());
+
+        // Evaluate the pose without advancing time
+        this.mixer.update(0);
+    }
+
+    /**
+     * Update (called every frame)
+     */
+    update(deltaTime) {
+        if (this.mixer) {
+            this.mixer.update(deltaTime);
+        }
+    }
+
+    getState() {
+        return {
+            clip: this.currentClipName,
+            playing: this.playing,
+            loop: this.loopMode,
+            speed: this.speed,
+            crossfade: this.crossfadeDuration,
+            time: this.getTime()
+        };
+    }
+
+    /**
+     * Apply saved playback state, deferring clip selection until a model is loaded
+     */
+    applyState(state) {
+        if (state.loop !== undefined) this.setLoopMode(state.loop);
+        if (state.speed !== undefined) this.setSpeed(state.speed);
+        if (state.crossfade !== undefined) this.setCrossfadeDuration(state.crossfade);
+
+        if (!this.hasAnimations) {
+            this.pendingState = state;
+            if (state.playing !== undefined) this.playing = state.playing;
+            return;
+        }
+
+        if (state.clip && this.actions.has(state.clip)) {
+            this.selectClip(state.clip, false);
+        }
+        if (state.time !== undefined) {
+            this.seek(state.time);
+        }
+        if (state.playing !== undefined) {
+            this.setPlaying(state.playing);
+        }
+    }
+
+    /**
+     * Dispose mixer and actions for the current model
+     */
+    dispose() {
+        if (this.mixer) {
+            this.mixer.stopAllAction();
+            this.clips.forEach(clip => this.mixer.uncacheClip(clip));
+            if (this.root) {
+                this.mixer.uncacheRoot(this.root);
+            }
+        }
+        this.mixer = null;
+        this.root = null;
+        this.clips = [];
+        this.actions.clear();
+        this.currentAction = null;
+    }
+}
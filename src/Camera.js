@@ -18,7 +18,8 @@ export class CameraController {
         this.modes = {
             FIRST_PERSON: 'first-person',
             THIRD_PERSON: 'third-person',
-            FREE_CAMERA: 'free-camera'
+            FREE_CAMERA: 'free-camera',
+            ORBIT: 'orbit'
         };
         this.currentMode = this.modes.FIRST_PERSON;
 
@@ -32,13 +33,40 @@ export class CameraController {
         this.thirdPersonDistance = 0.1;
         this.thirdPersonHeight = 0.025;
 
+        // Orbit (turntable) settings
+        this.orbitTarget = new THREE.Vector3(0, 1, 0);
+        this.orbitDistance = 10;
+        this.orbitYaw = 0;
+        this.orbitPitch = 0.3;
+        this.orbitMinDistance = 0.05;
+        this.orbitMaxDistance = 500;
+        this.orbitRotateSpeed = 0.005;
+        this.orbitZoomSpeed = 0.001;
+        this.orbitDamping = true;
+        this.orbitDampingFactor = 0.1;
+        this.orbitPickTarget = null; // Object3D used for double-click pivot picking
+
+        // Pending orbit input, consumed gradually when damping is enabled
+        this.orbitDelta = { yaw: 0, pitch: 0, zoom: 0 };
+        this.orbitPanDelta = new THREE.Vector3();
+        this.orbitDrag = null;
+        this.raycaster = new THREE.Raycaster();
+
+        // Mode transition (GSAP blend between the outgoing and incoming poses)
+        this.transitionDuration = 0.8; // Seconds, 0 = instant
+        this.transitionEase = 'power2.inOut';
+        this.transition = null;
+
         this.setupPointerLock();
         this.setupMouseControl();
+        this.setupOrbitControl();
         this.setupResize();
     }
 
     setupPointerLock() {
         this.canvas.addEventListener('click', () => {
+            // Orbit mode uses regular mouse dragging instead of pointer lock
+            if (this.currentMode === this.modes.ORBIT) return;
             if (!this.isPointerLocked) {
                 this.canvas.requestPointerLock();
             }
@@ -70,6 +98,128 @@ export class CameraController {
         });
     }
 
+    setupOrbitControl() {
+        // Left drag: rotate, right drag (or Shift + left drag): pan
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (this.currentMode !== this.modes.ORBIT) return;
+            const pan = e.button === 2 || (e.button === 0 && e.shiftKey) || e.button === 1;
+            this.orbitDrag = { pan, x: e.clientX, y: e.clientY, pointerId: e.pointerId };
+            this.canvas.setPointerCapture(e.pointerId);
+        });
+
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (!this.orbitDrag || this.orbitDrag.pointerId !== e.pointerId) return;
+            const dx = e.clientX - this.orbitDrag.x;
+            const dy = e.clientY - this.orbitDrag.y;
+            this.orbitDrag.x = e.clientX;
+            this.orbitDrag.y = e.clientY;
+
+            if (this.orbitDrag.pan) {
+                this.panOrbit(dx, dy);
+            } else {
+                this.orbitDelta.yaw -= dx * this.orbitRotateSpeed;
+                this.orbitDelta.pitch += dy * this.orbitRotateSpeed;
+            }
+        });
+
+        const endDrag = (e) => {
+            if (this.orbitDrag && this.orbitDrag.pointerId === e.pointerId) {
+                this.canvas.releasePointerCapture(e.pointerId);
+                this.orbitDrag = null;
+            }
+        };
+        this.canvas.addEventListener('pointerup', endDrag);
+        this.canvas.addEventListener('pointercancel', endDrag);
+
+        this.canvas.addEventListener('wheel', (e) => {
+            if (this.currentMode !== this.modes.ORBIT) return;
+            e.preventDefault();
+            this.orbitDelta.zoom += e.deltaY * this.orbitZoomSpeed;
+        }, { passive: false });
+
+        this.canvas.addEventListener('contextmenu', (e) => {
+            if (this.currentMode === this.modes.ORBIT) {
+                e.preventDefault();
+            }
+        });
+
+        // Double-click on the model surface to move the pivot there
+        this.canvas.addEventListener('dblclick', (e) => {
+            if (this.currentMode !== this.modes.ORBIT) return;
+            const point = this.pickPoint(e.clientX, e.clientY);
+            if (point) {
+                this.setOrbitPivot(point);
+            }
+        });
+    }
+
+    /**
+     * Pan the orbit target in the camera's view plane
+     * @param {number} dx - Horizontal mouse movement in pixels
+     * @param {number} dy - Vertical mouse movement in pixels
+     */
+    panOrbit(dx, dy) {
+        // Scale so the point under the cursor follows the mouse at the target distance
+        const viewHeight = 2 * this.orbitDistance * Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2);
+        const unitsPerPixel = viewHeight / this.canvas.clientHeight;
+
+        const right = new THREE.Vector3().setFromMatrixColumn(this.camera.matrix, 0);
+        const up = new THREE.Vector3().setFromMatrixColumn(this.camera.matrix, 1);
+        this.orbitPanDelta.addScaledVector(right, -dx * unitsPerPixel);
+        this.orbitPanDelta.addScaledVector(up, dy * unitsPerPixel);
+    }
+
+    /**
+     * Raycast the pick target from screen coordinates
+     * @returns {THREE.Vector3|null} World-space hit point
+     */
+    pickPoint(clientX, clientY) {
+        if (!this.orbitPickTarget) return null;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const ndc = new THREE.Vector2(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(ndc, this.camera);
+        const hits = this.raycaster.intersectObject(this.orbitPickTarget, true)
+            .filter(hit => hit.object.visible);
+        return hits.length > 0 ? hits[0].point : null;
+    }
+
+    /**
+     * Move the orbit pivot to a point, keeping the camera where it is
+     */
+    setOrbitPivot(point) {
+        const offset = this.camera.position.clone().sub(point);
+        this.orbitDistance = THREE.MathUtils.clamp(offset.length(), this.orbitMinDistance, this.orbitMaxDistance);
+        this.setOrbitAnglesFromOffset(offset);
+        this.orbitTarget.copy(point);
+    }
+
+    /**
+     * Set the orbit target and distance (e.g. to frame a newly loaded model)
+     */
+    setOrbitTarget(target, distance = this.orbitDistance) {
+        this.orbitTarget.copy(target);
+        this.orbitDistance = THREE.MathUtils.clamp(distance, this.orbitMinDistance, this.orbitMaxDistance);
+    }
+
+    setOrbitPickTarget(object) {
+        this.orbitPickTarget = object;
+    }
+
+    setOrbitDamping(enabled) {
+        this.orbitDamping = enabled;
+    }
+
+    setOrbitAnglesFromOffset(offset) {
+        const length = offset.length();
+        if (length === 0) return;
+        this.orbitYaw = Math.atan2(offset.x, offset.z);
+        this.orbitPitch = Math.asin(THREE.MathUtils.clamp(offset.y / length, -1, 1));
+    }
+
     setupResize() {
         window.addEventListener('resize', () => {
             this.camera.aspect = window.innerWidth / window.innerHeight;
@@ -78,41 +228,111 @@ export class CameraController {
         });
     }
 
-    setMode(mode) {
+    /**
+     * Switch camera mode
+     * @param {string} mode - One of this.modes
+     * @param {boolean} animate - Blend into the new mode instead of cutting
+     */
+    setMode(mode, animate = true) {
         if (Object.values(this.modes).includes(mode)) {
             const previousMode = this.currentMode;
             this.currentMode = mode;
 
-            // Smooth camera transition with GSAP
-            if (previousMode !== mode) {
-                // Store current camera position
-                const startPos = this.camera.position.clone();
-                const startRot = {
-                    x: this.camera.rotation.x,
-                    y: this.camera.rotation.y,
-                    z: this.camera.rotation.z
-                };
-
-                // Animate camera transition
-                gsap.to(this.camera.position, {
-                    duration: 0.8,
-                    ease: "power2.inOut",
-                    onUpdate: () => {
-                        // Update camera during animation if needed
-                    }
-                });
-
-                gsap.to(this.camera.rotation, {
-                    duration: 0.8,
-                    ease: "power2.inOut",
-                    onUpdate: () => {
-                        // Ensure smooth transition
-                    }
-                });
+            if (mode === this.modes.ORBIT && previousMode !== mode) {
+                // Orbit from the current viewpoint around the existing target
+                this.setOrbitAnglesFromOffset(this.camera.position.clone().sub(this.orbitTarget));
+                this.orbitDelta = { yaw: 0, pitch: 0, zoom: 0 };
+                this.orbitPanDelta.set(0, 0, 0);
+                if (this.isPointerLocked) {
+                    document.exitPointerLock();
+                }
+            }
+
+            // Blend from the outgoing pose into the new mode
+            if (previousMode !== mode && animate) {
+                this.startTransition();
+            }
+        }
+    }
+
+    /**
+     * Start a GSAP blend from the current camera pose to the live pose of the current mode
+     * The target pose is recomputed every frame in update(), so moving targets are tracked
+     */
+    startTransition(duration = this.transitionDuration, ease = this.transitionEase) {
+        // Start from what is on screen, even if a previous transition is still running
+        const fromPosition = this.camera.position.clone();
+        const fromQuaternion = this.camera.quaternion.clone();
+
+        this.cancelTransition();
+        if (duration <= 0) return;
+
+        const transition = {
+            progress: 0,
+            fromPosition,
+            fromQuaternion,
+            // Unblended mode pose of the last frame, restored before the next mode update
+            modePosition: null,
+            modeQuaternion: new THREE.Quaternion(),
+            blendedPosition: new THREE.Vector3()
+        };
+        transition.tween = gsap.to(transition, {
+            progress: 1,
+            duration,
+            ease,
+            onComplete: () => {
+                if (this.transition === transition) {
+                    this.restoreModePose();
+                    this.transition = null;
+                }
             }
+        });
+        this.transition = transition;
+    }
+
+    cancelTransition() {
+        if (this.transition) {
+            this.transition.tween.kill();
+            this.restoreModePose();
+            this.transition = null;
         }
     }
 
+    get isTransitioning() {
+        return this.transition !== null;
+    }
+
+    setTransitionDuration(duration) {
+        this.transitionDuration = Math.max(0, duration);
+    }
+
+    /**
+     * Undo last frame's blend so modes that keep state in the camera (free camera) continue
+     * from their own pose, keeping any movement applied since
+     * The orientation is snapped back too: a finished transition leaves no slerped roll behind.
+     */
+    restoreModePose() {
+        const transition = this.transition;
+        if (!transition || !transition.modePosition) return;
+        this.camera.position.sub(transition.blendedPosition).add(transition.modePosition);
+        this.camera.quaternion.copy(transition.modeQuaternion);
+        transition.modePosition = null;
+    }
+
+    /**
+     * Blend the freshly computed mode pose with the pose captured when the transition started
+     */
+    applyTransition() {
+        const transition = this.transition;
+        const t = transition.progress;
+
+        transition.modePosition = (transition.modePosition || new THREE.Vector3()).copy(this.camera.position);
+        transition.modeQuaternion.copy(this.camera.quaternion);
+        this.camera.position.lerpVectors(transition.fromPosition, transition.modePosition, t);
+        this.camera.quaternion.slerpQuaternions(transition.fromQuaternion, this.camera.quaternion, t);
+        transition.blendedPosition.copy(this.camera.position);
+    }
+
     setThirdPersonDistance(distance) {
         this.thirdPersonDistance = distance;
     }
@@ -126,7 +346,9 @@ export class CameraController {
         this.camera.updateProjectionMatrix();
     }
 
-    update(player) {
+    update(player, deltaTime = 1 / 60) {
+        this.restoreModePose();
+
         switch (this.currentMode) {
             case this.modes.FIRST_PERSON:
                 this.updateFirstPerson(player);
@@ -137,6 +359,13 @@ export class CameraController {
             case this.modes.FREE_CAMERA:
                 this.updateFreeCamera();
                 break;
+            case this.modes.ORBIT:
+                this.updateOrbit(deltaTime);
+                break;
+        }
+
+        if (this.transition) {
+            this.applyTransition();
         }
     }
 
@@ -145,10 +374,8 @@ export class CameraController {
         this.camera.position.copy(player.position);
         this.camera.position.y += player.eyeHeight; // Use player's eye height
 
-        // Apply rotation
-        this.camera.rotation.order = 'YXZ';
-        this.camera.rotation.y = this.yaw;
-        this.camera.rotation.x = this.pitch;
+        // Apply rotation (the whole orientation, so a blended roll never lingers)
+        this.camera.rotation.set(this.pitch, this.yaw, 0, 'YXZ');
     }
 
     updateThirdPerson(player) {
@@ -168,10 +395,47 @@ export class CameraController {
     }
 
     updateFreeCamera() {
-        // Free camera uses its own position and rotation
-        this.camera.rotation.order = 'YXZ';
-        this.camera.rotation.y = this.yaw;
-        this.camera.rotation.x = this.pitch;
+        // Free camera uses its own position and rotation (roll always level)
+        this.camera.rotation.set(this.pitch, this.yaw, 0, 'YXZ');
+    }
+
+    updateOrbit(deltaTime) {
+        // Consume a fraction of the pending input each frame for smooth damping
+        const factor = this.orbitDamping
+            ? 1 - Math.pow(1 - this.orbitDampingFactor, deltaTime * 60)
+            : 1;
+
+        const yawStep = this.orbitDelta.yaw * factor;
+        const pitchStep = this.orbitDelta.pitch * factor;
+        const zoomStep = this.orbitDelta.zoom * factor;
+        this.orbitDelta.yaw -= yawStep;
+        this.orbitDelta.pitch -= pitchStep;
+        this.orbitDelta.zoom -= zoomStep;
+
+        this.orbitYaw += yawStep;
+        this.orbitPitch = THREE.MathUtils.clamp(this.orbitPitch + pitchStep, -Math.PI / 2 + 0.01, Math.PI / 2 - 0.01);
+        this.orbitDistance = THREE.MathUtils.clamp(
+            this.orbitDistance * Math.exp(zoomStep),
+            this.orbitMinDistance,
+            this.orbitMaxDistance
+        );
+
+        const panStep = this.orbitPanDelta.clone().multiplyScalar(factor);
+        this.orbitPanDelta.sub(panStep);
+        this.orbitTarget.add(panStep);
+
+        // Place camera on a sphere around the target
+        const cosPitch = Math.cos(this.orbitPitch);
+        this.camera.position.set(
+            this.orbitTarget.x + Math.sin(this.orbitYaw) * cosPitch * this.orbitDistance,
+            this.orbitTarget.y + Math.sin(this.orbitPitch) * this.orbitDistance,
+            this.orbitTarget.z + Math.cos(this.orbitYaw) * cosPitch * this.orbitDistance
+        );
+        this.camera.lookAt(this.orbitTarget);
+
+        // Keep look angles in sync so other modes continue from this view
+        this.yaw = this.orbitYaw;
+        this.pitch = -this.orbitPitch;
     }
 
     getForwardVector() {
@@ -0,0 +1,211 @@
+import * as THREE from 'three';
+import gsap from 'gsap';
+
+/**
+ * CameraBookmarks - Named camera views with animated fly-to
+ * A bookmark stores the camera mode, pose, FOV and time of day
+ */
+export class CameraBookmarks {
+    constructor(cameraController, player, timeOfDay) {
+        this.cameraController = cameraController;
+        this.player = player;
+        this.timeOfDay = timeOfDay;
+
+        this.bookmarks = [];
+        this.nextId = 1;
+
+        // Fly-to animation
+        this.flyDuration = 1.5; // Seconds
+        this.flyEase = 'power2.inOut';
+        this.flyTweens = [];
+
+        // Called while the time of day is animated (e.g. to refresh the time slider)
+        this.onTimeChange = null;
+    }
+
+    /**
+     * Capture the current view as a new bookmark
+     */
+    add(name) {
+        const bookmark = {
+            id: this.nextId++,
+            name: name || `View ${this.bookmarks.length + 1}`,
+            hotkey: null,
+            ...this.capture()
+        };
+        this.bookmarks.push(bookmark);
+        return bookmark;
+    }
+
+    /**
+     * Overwrite a bookmark with the current view, keeping its name and hotkey
+     */
+    update(id) {
+        const bookmark = this.get(id);
+        if (bookmark) {
+            Object.assign(bookmark, this.capture());
+        }
+        return bookmark;
+    }
+
+    capture() {
+        const controller = this.cameraController;
+        const camera = controller.camera;
+        return {
+            mode: controller.currentMode,
+            position: camera.position.toArray(),
+            playerPosition: this.player.position.toArray(),
+            orbitTarget: controller.orbitTarget.toArray(),
+            yaw: controller.yaw,
+            pitch: controller.pitch,
+            fov: camera.fov,
+            time: this.timeOfDay.timeOfDay
+        };
+    }
+
+    get(id) {
+        return this.bookmarks.find(bookmark => bookmark.id === id) || null;
+    }
+
+    getByHotkey(hotkey) {
+        return this.bookmarks.find(bookmark => bookmark.hotkey === hotkey) || null;
+    }
+
+    remove(id) {
+        this.bookmarks = this.bookmarks.filter(bookmark => bookmark.id !== id);
+    }
+
+    rename(id, name) {
+        const bookmark = this.get(id);
+        if (bookmark && name) {
+            bookmark.name = name;
+        }
+    }
+
+    /**
+     * Move a bookmark up (-1) or down (+1) in the list
+     */
+    move(id, direction) {
+        const index = this.bookmarks.findIndex(bookmark => bookmark.id === id);
+        const target = index + direction;
+        if (index < 0 || target < 0 || target >= this.bookmarks.length) return;
+
+        const [bookmark] = this.bookmarks.splice(index, 1);
+        this.bookmarks.splice(target, 0, bookmark);
+    }
+
+    /**
+     * Assign a number-row hotkey ('0'-'9'), taking it away from any other bookmark
+     */
+    setHotkey(id, hotkey) {
+        const bookmark = this.get(id);
+        if (!bookmark) return;
+
+        if (hotkey) {
+            this.bookmarks.forEach(other => {
+                if (other.hotkey === hotkey) other.hotkey = null;
+            });
+        }
+        bookmark.hotkey = hotkey || null;
+    }
+
+    /**
+     * Animate the camera to a bookmark
+     * The pose is blended by CameraController's transition, FOV and time are tweened here
+     */
+    flyTo(id, duration = this.flyDuration) {
+        const bookmark = this.get(id);
+        if (!bookmark) return null;
+
+        const controller = this.cameraController;
+        const camera = controller.camera;
+
+        this.stopFlying();
+
+        // Capture the on-screen pose first, then jump the mode state to the bookmark
+        controller.startTransition(duration, this.flyEase);
+        controller.setMode(bookmark.mode, false);
+
+        controller.yaw = bookmark.yaw;
+        controller.pitch = bookmark.pitch;
+
+        const position = new THREE.Vector3().fromArray(bookmark.position);
+        switch (bookmark.mode) {
+            case controller.modes.FREE_CAMERA:
+                camera.position.copy(position);
+                this.player.position.copy(position);
+                break;
+            case controller.modes.ORBIT: {
+                const target = new THREE.Vector3().fromArray(bookmark.orbitTarget);
+                const offset = position.clone().sub(target);
+                controller.setOrbitTarget(target, offset.length());
+                controller.setOrbitAnglesFromOffset(offset);
+                controller.orbitDelta = { yaw: 0, pitch: 0, zoom: 0 };
+                controller.orbitPanDelta.set(0, 0, 0);
+                break;
+            }
+            default:
+                this.player.position.fromArray(bookmark.playerPosition);
+                break;
+        }
+        this.player.velocity.set(0, 0, 0);
+
+        if (duration <= 0) {
+            camera.fov = bookmark.fov;
+            camera.updateProjectionMatrix();
+            this.timeOfDay.setTime(bookmark.time);
+            if (this.onTimeChange) this.onTimeChange();
+            return bookmark;
+        }
+
+        this.flyTweens.push(gsap.to(camera, {
+            fov: bookmark.fov,
+            duration,
+            ease: this.flyEase,
+            onUpdate: () => camera.updateProjectionMatrix()
+        }));
+
+        // Take the short way around midnight
+        let timeDelta = bookmark.time - this.timeOfDay.timeOfDay;
+        if (timeDelta > 12) timeDelta -= 24;
+        if (timeDelta < -12) timeDelta += 24;
+        const time = { value: this.timeOfDay.timeOfDay };
+        this.flyTweens.push(gsap.to(time, {
+            value: time.value + timeDelta,
+            duration,
+            ease: this.flyEase,
+            onUpdate: () => {
+                this.timeOfDay.setTime((time.value + 24) % 24);
+                if (this.onTimeChange) this.onTimeChange();
+            }
+        }));
+
+        return bookmark;
+    }
+
+    stopFlying() {
+        this.flyTweens.forEach(tween => tween.kill());
+        this.flyTweens = [];
+    }
+
+    getState() {
+        return this.bookmarks.map(bookmark => ({ ...bookmark }));
+    }
+
+    /**
+     * Replace all bookmarks with saved ones
+     */
+    applyState(bookmarks) {
+        if (!Array.isArray(bookmarks)) return;
+
+        this.bookmarks = bookmarks
+            .filter(bookmark => bookmark && Array.isArray(bookmark.position))
+            .map(bookmark => ({ ...bookmark }));
+
+        // Reassign ids so new bookmarks never collide with restored ones
+        this.bookmarks.forEach((bookmark, index) => {
+            bookmark.id = index + 1;
+        });
+        this.nextId = this.bookmarks.length + 1;
+    }
+}
@@ -0,0 +1,404 @@
+import * as THREE from 'three';
+import gsap from 'gsap';
+
+/**
+ * Uniform Catmull-Rom interpolation between p1 and p2
+ */
+function catmullRom(t, p0, p1, p2, p3) {
+    const v0 = (p2 - p0) * 0.5;
+    const v1 = (p3 - p1) * 0.5;
+    const t2 = t * t;
+    const t3 = t * t2;
+    return (2 * p1 - 2 * p2 + v0 + v1) * t3 + (-3 * p1 + 3 * p2 - 2 * v0 - v1) * t2 + v0 * t + p1;
+}
+
+/**
+ * CameraPath - Keyframed camera flythrough
+ * Keyframes store position, look target, FOV and time of day, and are joined with
+ * Catmull-Rom splines. Playback is driven by a GSAP tween over the path progress.
+ */
+export class CameraPath {
+    constructor(scene, cameraController, timeOfDay) {
+        this.scene = scene;
+        this.cameraController = cameraController;
+        this.timeOfDay = timeOfDay;
+
+        this.keyframes = [];
+
+        // Playback settings
+        this.segmentDuration = 2.0; // Seconds between keyframes at 1x speed
+        this.speed = 1.0;
+        this.ease = 'power1.inOut';
+        this.loop = false;
+        this.lookDistance = 1.0; // Distance of the look target in front of the camera
+
+        this.progress = 0; // 0-1 along the whole path
+        this.playing = false;
+        this.tween = null;
+
+        // Splines (rebuilt when keyframes change)
+        this.positionCurve = null;
+        this.targetCurve = null;
+        this.fovValues = [];
+        this.timeValues = [];
+        this.closingTime = 0; // Unwrapped time of the loop's closing keyframe
+
+        // Path preview line
+        this.showPath = true;
+        this.helper = new THREE.Group();
+        this.helper.name = 'CameraPathHelper';
+        this.scene.add(this.helper);
+
+        // Called when playback stops or the progress changes
+        this.onChange = null;
+
+        this.tempTarget = new THREE.Vector3();
+    }
+
+    /**
+     * Add a keyframe from the current camera pose
+     * @param {number} index - Insert position (defaults to the end)
+     */
+    addKeyframe(index = this.keyframes.length) {
+        const keyframe = this.captureKeyframe();
+        this.keyframes.splice(index, 0, keyframe);
+        this.rebuild();
+        return keyframe;
+    }
+
+    /**
+     * Overwrite a keyframe with the current camera pose
+     */
+    updateKeyframe(index) {
+        if (!this.keyframes[index]) return;
+        this.keyframes[index] = this.captureKeyframe();
+        this.rebuild();
+    }
+
+    removeKeyframe(index) {
+        this.keyframes.splice(index, 1);
+        this.rebuild();
+    }
+
+    moveKeyframe(index, direction) {
+        const target = index + direction;
+        if (target < 0 || target >= this.keyframes.length) return;
+        const [keyframe] = this.keyframes.splice(index, 1);
+        this.keyframes.splice(target, 0, keyframe);
+        this.rebuild();
+    }
+
+    clear() {
+        this.stop();
+        this.keyframes = [];
+        this.rebuild();
+    }
+
+    captureKeyframe() {
+        const camera = this.cameraController.camera;
+        const direction = new THREE.Vector3();
+        camera.getWorldDirection(direction);
+        const target = camera.position.clone().addScaledVector(direction, this.lookDistance);
+
+        return {
+            position: camera.position.toArray(),
+            target: target.toArray(),
+            fov: camera.fov,
+            time: this.timeOfDay.timeOfDay
+        };
+    }
+
+    get canPlay() {
+        return this.keyframes.length >= 2;
+    }
+
+    /**
+     * Total playback time in seconds at the current speed
+     */
+    getDuration() {
+        const segments = this.loop ? this.keyframes.length : this.keyframes.length - 1;
+        return Math.max(0, segments) * this.segmentDuration / Math.max(this.speed, 0.01);
+    }
+
+    /**
+     * Rebuild splines and the preview line from the keyframes
+     */
+    rebuild() {
+        this.positionCurve = null;
+        this.targetCurve = null;
+        this.fovValues = [];
+        this.timeValues = [];
+
+        if (this.canPlay) {
+            const positions = this.keyframes.map(k => new THREE.Vector3().fromArray(k.position));
+            const targets = this.keyframes.map(k => new THREE.Vector3().fromArray(k.target));
+            this.positionCurve = new THREE.CatmullRomCurve3(positions, this.loop, 'centripetal');
+            this.targetCurve = new THREE.CatmullRomCurve3(targets, this.loop, 'centripetal');
+            this.fovValues = this.keyframes.map(k => k.fov);
+
+            // Unwrap times so interpolation takes the short way around midnight
+            let previous = this.keyframes[0].time;
+            this.timeValues = this.keyframes.map(k => {
+                let time = k.time;
+                while (time - previous > 12) time -= 24;
+                while (time - previous < -12) time += 24;
+                previous = time;
+                return time;
+            });
+            if (this.loop) {
+                // Closing segment back to the first keyframe
+                let closing = this.timeValues[0];
+                while (closing - previous > 12) closing -= 24;
+                while (closing - previous < -12) closing += 24;
+                this.closingTime = closing;
+            }
+        }
+
+        this.updateHelper();
+    }
+
+    updateHelper() {
+        this.helper.children.slice().forEach(child => {
+            this.helper.remove(child);
+            child.geometry.dispose();
+            child.material.dispose();
+        });
+
+        if (this.keyframes.length === 0) return;
+
+        // Keyframe markers
+        const markerPositions = this.keyframes.flatMap(k => k.position);
+        const markerGeometry = new THREE.BufferGeometry();
+        markerGeometry.setAttribute('position', new THREE.Float32BufferAttribute(markerPositions, 3));
+        const markers = new THREE.Points(markerGeometry, new THREE.PointsMaterial({
+            color: 0xffaa00,
+            size: 6,
+            sizeAttenuation: false,
+            depthTest: false
+        }));
+        markers.renderOrder = 999;
+        this.helper.add(markers);
+
+        // Spline
+        if (this.positionCurve) {
+            const points = this.positionCurve.getPoints(this.keyframes.length * 32);
+            const line = new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints(points),
+                new THREE.LineBasicMaterial({ color: 0xffaa00, depthTest: false, transparent: true, opacity: 0.8 })
+            );
+            line.renderOrder = 999;
+            this.helper.add(line);
+        }
+
+        this.updateHelperVisibility();
+    }
+
+    setShowPath(show) {
+        this.showPath = show;
+        this.updateHelperVisibility();
+    }
+
+    updateHelperVisibility() {
+        // Never show the path in the shot itself
+        this.helper.visible = this.showPath && !this.playing;
+    }
+
+    /**
+     * Evaluate the path at a 0-1 progress and apply it to the camera
+     */
+    applyProgress(progress) {
+        if (!this.canPlay) return;
+
+        this.progress = THREE.MathUtils.clamp(progress, 0, 1);
+        const camera = this.cameraController.camera;
+
+        // Index-based parameter so FOV and time line up with the keyframes
+        this.positionCurve.getPoint(this.progress, camera.position);
+        this.targetCurve.getPoint(this.progress, this.tempTarget);
+        camera.lookAt(this.tempTarget);
+
+        const fov = this.interpolate(this.fovValues, this.fovValues[0]);
+        if (fov !== camera.fov) {
+            camera.fov = fov;
+            camera.updateProjectionMatrix();
+        }
+
+        const time = this.interpolate(this.timeValues, this.closingTime);
+        this.timeOfDay.setTime(((time % 24) + 24) % 24);
+    }
+
+    /**
+     * Catmull-Rom interpolation of per-keyframe values at the current progress
+     */
+    interpolate(values, closingValue) {
+        const count = values.length;
+        const segments = this.loop ? count : count - 1;
+        const position = this.progress * segments;
+        const index = Math.min(Math.floor(position), segments - 1);
+        const weight = position - index;
+
+        const value = (i) => {
+            if (this.loop) {
+                // Values past the end continue from the closing value
+                const wrapped = ((i % count) + count) % count;
+                const offset = Math.floor(i / count) * (closingValue - values[0]);
+                return values[wrapped] + offset;
+            }
+            return values[THREE.MathUtils.clamp(i, 0, count - 1)];
+        };
+
+        return catmullRom(
+            weight,
+            value(index - 1),
+            value(index),
+            value(index + 1),
+            value(index + 2)
+        );
+    }
+
+    /**
+     * Start preview playback from the current progress (or the start if finished)
+     */
+    play() {
+        if (!this.canPlay) return false;
+
+        this.stopTween();
+        if (this.progress >= 1) {
+            this.progress = 0;
+        }
+
+        this.playing = true;
+        this.updateHelperVisibility();
+        this.cameraController.cancelTransition();
+
+        const state = { progress: this.progress };
+        this.tween = gsap.to(state, {
+            progress: 1,
+            duration: this.getDuration() * (1 - this.progress),
+            ease: this.ease,
+            onUpdate: () => {
+                this.progress = state.progress;
+                if (this.onChange) this.onChange();
+            },
+            onComplete: () => {
+                if (this.loop) {
+                    // Start the next lap from the beginning
+                    this.progress = 0;
+                    this.play();
+                } else {
+                    this.stop();
+                }
+            }
+        });
+
+        this.applyProgress(this.progress);
+        return true;
+    }
+
+    stop() {
+        this.stopTween();
+        if (!this.playing) return;
+
+        this.playing = false;
+        this.updateHelperVisibility();
+        this.syncCameraController();
+        if (this.onChange) this.onChange();
+    }
+
+    stopTween() {
+        if (this.tween) {
+            this.tween.kill();
+            this.tween = null;
+        }
+    }
+
+    /**
+     * Scrub to a 0-1 progress (stops playback)
+     */
+    seek(progress) {
+        this.stop();
+        this.applyProgress(progress);
+        this.syncCameraController();
+    }
+
+    /**
+     * Hand the final pose back to the free camera so it continues from there
+     */
+    syncCameraController() {
+        const camera = this.cameraController.camera;
+        const direction = new THREE.Vector3();
+        camera.getWorldDirection(direction);
+        this.cameraController.yaw = Math.atan2(-direction.x, -direction.z);
+        this.cameraController.pitch = Math.asin(THREE.MathUtils.clamp(direction.y, -1, 1));
+    }
+
+    setLoop(loop) {
+        this.loop = loop;
+        this.rebuild();
+        if (this.playing) this.play();
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        if (this.playing) this.play();
+    }
+
+    setEase(ease) {
+        this.ease = ease;
+        if (this.playing) this.play();
+    }
+
+    setSegmentDuration(seconds) {
+        this.segmentDuration = seconds;
+        if (this.playing) this.play();
+    }
+
+    /**
+     * Update (called every frame after the camera controller)
+     */
+    update() {
+        if (this.playing) {
+            this.applyProgress(this.progress);
+        }
+    }
+
+    toJSON() {
+        return {
+            type: 'camera-path',
+            version: 1,
+            segmentDuration: this.segmentDuration,
+            speed: this.speed,
+            ease: this.ease,
+            loop: this.loop,
+            keyframes: this.keyframes.map(k => ({ ...k }))
+        };
+    }
+
+    fromJSON(data) {
+        if (!data || !Array.isArray(data.keyframes)) {
+            throw new Error('Invalid camera path file');
+        }
+
+        const isVector = (value) => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+        const keyframes = data.keyframes.map(k => {
+            if (!k || !isVector(k.position) || !isVector(k.target)) {
+                throw new Error('Invalid camera path keyframe');
+            }
+            return {
+                position: k.position.slice(),
+                target: k.target.slice(),
+                fov: Number.isFinite(k.fov) ? k.fov : this.cameraController.camera.fov,
+                time: Number.isFinite(k.time) ? k.time : this.timeOfDay.timeOfDay
+            };
+        });
+
+        this.stop();
+        this.keyframes = keyframes;
+        if (data.segmentDuration !== undefined) this.segmentDuration = data.segmentDuration;
+        if (data.speed !== undefined) this.speed = data.speed;
+        if (data.ease !== undefined) this.ease = data.ease;
+        if (data.loop !== undefined) this.loop = data.loop;
+        this.progress = 0;
+        this.rebuild();
+    }
+}
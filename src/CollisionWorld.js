@@ -0,0 +1,169 @@
+import * as THREE from 'three';
+import { MeshBVH, StaticGeometryGenerator } from 'three-mesh-bvh';
+
+/**
+ * CollisionWorld - BVH over the loaded model for mesh-accurate player collision
+ * Geometry is baked in world space, so rebuild after moving or scaling the model
+ */
+export class CollisionWorld {
+    constructor() {
+        this.geometry = null;
+        this.bvh = null;
+
+        // Source meshes in merge order and the first merged vertex of each, to tell which mesh was hit
+        this.meshes = [];
+        this.vertexOffsets = [];
+
+        // Reusable temporaries
+        this.tempBox = new THREE.Box3();
+        this.tempSegment = new THREE.Line3();
+        this.triPoint = new THREE.Vector3();
+        this.capsulePoint = new THREE.Vector3();
+        this.pushDirection = new THREE.Vector3();
+        this.ray = new THREE.Ray();
+    }
+
+    /**
+     * Build the BVH from every visible mesh under the given object
+     */
+    build(object) {
+        this.clear();
+        if (!object) return false;
+
+        object.updateMatrixWorld(true);
+
+        try {
+            const generator = new StaticGeometryGenerator(object);
+            generator.attributes = ['position'];
+            generator.useGroups = false;
+
+            this.geometry = generator.generate();
+            if (!this.geometry.attributes.position || this.geometry.attributes.position.count === 0) {
+                this.clear();
+                return false;
+            }
+
+            let offset = 0;
+            this.meshes = generator.meshes;
+            this.vertexOffsets = generator.meshes.map(mesh => {
+                const start = offset;
+                offset += mesh.geometry.attributes.position.count;
+                return start;
+            });
+
+            this.bvh = new MeshBVH(this.geometry);
+            console.log(`CollisionWorld: BVH built (${this.geometry.index ? this.geometry.index.count / 3 : this.geometry.attributes.position.count / 3} triangles)`);
+            return true;
+        } catch (error) {
+            console.error('Failed to build collision BVH:', error);
+            this.clear();
+            return false;
+        }
+    }
+
+    get isReady() {
+        return this.bvh !== null;
+    }
+
+    /**
+     * Push a capsule out of the geometry
+     * @param {THREE.Line3} segment - Capsule axis in world space (modified in place)
+     * @param {number} radius - Capsule radius
+     * @returns {THREE.Vector3} Total correction applied to the segment
+     */
+    resolveCapsule(segment, radius) {
+        const correction = new THREE.Vector3();
+        if (!this.bvh) return correction;
+
+        const { tempBox, triPoint, capsulePoint, pushDirection } = this;
+
+        // Iterate a few times so corners between several triangles settle
+        for (let iteration = 0; iteration < 3; iteration++) {
+            tempBox.makeEmpty();
+            tempBox.expandByPoint(segment.start);
+            tempBox.expandByPoint(segment.end);
+            tempBox.min.addScalar(-radius);
+            tempBox.max.addScalar(radius);
+
+            let collided = false;
+            this.bvh.shapecast({
+                intersectsBounds: box => box.intersectsBox(tempBox),
+                intersectsTriangle: tri => {
+                    const distance = tri.closestPointToSegment(segment, triPoint, capsulePoint);
+                    if (distance < radius) {
+                        const depth = radius - distance;
+                        pushDirection.subVectors(capsulePoint, triPoint);
+                        if (pushDirection.lengthSq() < 1e-12) {
+                            // Segment touches the triangle - push along its normal
+                            tri.getNormal(pushDirection);
+                        } else {
+                            pushDirection.normalize();
+                        }
+
+                        segment.start.addScaledVector(pushDirection, depth);
+                        segment.end.addScaledVector(pushDirection, depth);
+                        correction.addScaledVector(pushDirection, depth);
+                        collided = true;
+                    }
+                }
+            });
+
+            if (!collided) break;
+        }
+
+        return correction;
+    }
+
+    /**
+     * Cast a ray against the geometry
+     * @returns {{ point: THREE.Vector3, normal: THREE.Vector3, distance: number, object: THREE.Mesh|null }|null}
+     */
+    raycast(origin, direction, far = Infinity) {
+        if (!this.bvh) return null;
+
+        this.ray.origin.copy(origin);
+        this.ray.direction.copy(direction).normalize();
+        const hit = this.bvh.raycastFirst(this.ray, THREE.DoubleSide, 0, far);
+        if (!hit) return null;
+
+        const normal = hit.face ? hit.face.normal.clone() : new THREE.Vector3(0, 1, 0);
+        // Double-sided hits may report the back face - make the normal face the ray origin
+        if (normal.dot(this.ray.direction) > 0) {
+            normal.negate();
+        }
+
+        const object = hit.face ? this.getMeshForVertex(hit.face.a) : null;
+        return { point: hit.point, normal, distance: hit.distance, object };
+    }
+
+    /**
+     * Source mesh of a merged vertex (the BVH reorders triangles, but not vertices)
+     */
+    getMeshForVertex(vertex) {
+        const offsets = this.vertexOffsets;
+        let low = 0;
+        let high = offsets.length - 1;
+        while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (offsets[middle] <= vertex) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return this.meshes[low] || null;
+    }
+
+    /**
+     * Dispose BVH and baked geometry
+     */
+    clear() {
+        if (this.geometry) {
+            this.geometry.dispose();
+        }
+        this.geometry = null;
+        this.bvh = null;
+        this.meshes = [];
+        this.vertexOffsets = [];
+    }
+}
@@ -0,0 +1,173 @@
+import * as THREE from 'three';
+import gsap from 'gsap';
+
+// Thin lens optics shared by the raster depth of field and the path tracer's physical camera.
+// World units are treated as metres, focal lengths and apertures are millimetres on a 35 mm frame.
+
+// Acceptable circle of confusion on a 35 mm frame (mm)
+const CIRCLE_OF_CONFUSION = 0.03;
+
+// Aperture at bokeh scale 1; a larger bokeh scale opens the lens (scale 4 = f/2)
+const BASE_F_STOP = 8;
+
+/**
+ * f-number for a bokeh scale (Infinity for 0, a pinhole without blur)
+ */
+export function getFStop(bokehScale) {
+    return bokehScale > 0 ? BASE_F_STOP / bokehScale : Infinity;
+}
+
+/**
+ * Aperture diameter in millimetres (the path tracer's bokeh size)
+ */
+export function getApertureDiameter(focalLength, fStop) {
+    return Number.isFinite(fStop) ? focalLength / fStop : 0;
+}
+
+/**
+ * Depth of the acceptably sharp zone around the focus distance
+ * @param {Object} options
+ * @param {number} options.focusDistance - World units
+ * @param {number} options.focalLength - Millimetres
+ * @param {number} options.fStop
+ * @returns {number} World units (Infinity when everything up to the horizon is sharp)
+ */
+export function computeFocusRange({ focusDistance, focalLength, fStop }) {
+    if (!Number.isFinite(fStop)) return Infinity;
+
+    const f = focalLength / 1000;
+    const hyperfocal = f * f / (fStop * CIRCLE_OF_CONFUSION / 1000) + f;
+    const s = Math.max(focusDistance, f * 1.01); // Can't focus closer than the focal length
+
+    const near = s * (hyperfocal - f) / (hyperfocal + s - 2 * f);
+    const far = s < hyperfocal ? s * (hyperfocal - f) / (hyperfocal - s) : Infinity;
+    return far - near;
+}
+
+/**
+ * FocusController - Where the lens is focused
+ * Click-to-focus and auto-focus raycast the model's collision BVH; the resulting distance
+ * is animated with GSAP and reported through onFocusChange, which feeds both the
+ * depth of field effect and the path tracer. Distances are measured from the camera
+ * position (not along the view axis), as the depth of field shader and path tracer do.
+ */
+export class FocusController {
+    /**
+     * @param {THREE.PerspectiveCamera} camera
+     * @param {CollisionWorld} collisionWorld - BVH of the loaded model
+     * @param {function(number)} onFocusChange - Called with the focus distance while it changes
+     */
+    constructor(camera, collisionWorld, onFocusChange) {
+        this.camera = camera;
+        this.collisionWorld = collisionWorld;
+        this.onFocusChange = onFocusChange;
+
+        this.focusDistance = 7.5;
+        this.targetDistance = this.focusDistance;
+        this.tween = null;
+
+        this.clickToFocus = false;
+        this.autoFocus = false;
+        this.transitionDuration = 0.8; // Seconds for click-to-focus
+        this.autoFocusDuration = 0.4; // Seconds to settle on a new auto-focus target
+        this.autoFocusInterval = 0.1; // Seconds between screen center probes
+        this.autoFocusTolerance = 0.02; // Relative change that triggers a refocus
+        this.autoFocusTimer = 0;
+
+        this.raycaster = new THREE.Raycaster();
+        this.center = new THREE.Vector2();
+    }
+
+    /**
+     * Distance to the model under normalized device coordinates
+     * @param {THREE.Vector2} ndc - Pointer position in NDC (-1 to 1)
+     * @returns {number|null} null if nothing was hit
+     */
+    pick(ndc) {
+        this.raycaster.setFromCamera(ndc, this.camera);
+        const { origin, direction } = this.raycaster.ray;
+        const hit = this.collisionWorld.raycast(origin, direction, this.camera.far);
+        return hit ? hit.distance : null;
+    }
+
+    /**
+     * Focus on the model under the pointer
+     * @returns {boolean} Whether something was hit
+     */
+    focusAt(ndc) {
+        const distance = this.pick(ndc);
+        if (distance === null) return false;
+        this.focusTo(distance, this.transitionDuration);
+        return true;
+    }
+
+    /**
+     * Animate the focus distance
+     * @param {number} distance - World units
+     * @param {number} duration - Seconds (0 applies immediately)
+     */
+    focusTo(distance, duration = this.transitionDuration) {
+        this.targetDistance = distance;
+        if (this.tween) this.tween.kill();
+
+        if (duration <= 0) {
+            this.tween = null;
+            this.focusDistance = distance;
+            this.onFocusChange(distance);
+            return;
+        }
+
+        this.tween = gsap.to(this, {
+            focusDistance: distance,
+            duration,
+            ease: 'power2.out',
+            onUpdate: () => this.onFocusChange(this.focusDistance),
+            onComplete: () => { this.tween = null; }
+        });
+    }
+
+    /**
+     * Take a focus distance set from outside (slider, preset) without reporting it back
+     */
+    setFocusDistance(distance) {
+        if (this.tween) {
+            this.tween.kill();
+            this.tween = null;
+        }
+        this.focusDistance = distance;
+        this.targetDistance = distance;
+    }
+
+    setClickToFocus(enabled) {
+        this.clickToFocus = enabled;
+    }
+
+    setAutoFocus(enabled) {
+        this.autoFocus = enabled;
+        this.autoFocusTimer = this.autoFocusInterval; // Probe on the next update
+    }
+
+    /**
+     * Track whatever is under the screen center while auto-focus is on
+     * Misses (sky, empty space) keep the last focus
+     * @param {number} deltaTime - Seconds
+     */
+    update(deltaTime) {
+        if (!this.autoFocus) return;
+
+        this.autoFocusTimer += deltaTime;
+        if (this.autoFocusTimer < this.autoFocusInterval) return;
+        this.autoFocusTimer = 0;
+
+        const distance = this.pick(this.center);
+        if (distance === null) return;
+
+        if (Math.abs(distance - this.targetDistance) > this.targetDistance * this.autoFocusTolerance) {
+            this.focusTo(distance, this.autoFocusDuration);
+        }
+    }
+
+    dispose() {
+        if (this.tween) this.tween.kill();
+    }
+}
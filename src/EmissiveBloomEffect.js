@@ -0,0 +1,353 @@
+import * as THREE from 'three';
+import { BloomEffect } from 'postprocessing';
+
+// Hand-picked meshes and glow strengths are kept per model, keyed by node path
+const STORAGE_KEY = 'gltfViewerGlowObjects';
+
+/**
+ * Child indices from the model root to a node, e.g. '0/2/1' ('' for the root itself)
+ * @returns {string|null} null when the node is not under the root
+ */
+function getNodePath(root, node) {
+    const indices = [];
+    for (let current = node; current !== root; current = current.parent) {
+        if (!current || !current.parent) return null;
+        indices.unshift(current.parent.children.indexOf(current));
+    }
+    return indices.join('/');
+}
+
+function getNodeByPath(root, path) {
+    if (path === '') return root;
+    return path.split('/').reduce((node, index) => node?.children[Number(index)], root) || null;
+}
+
+/**
+ * Emission of a material: its brightest emissive channel times the emissive intensity
+ * (0 for materials without emission)
+ */
+export function getEmissiveStrength(material) {
+    if (!material || !material.emissive) return 0;
+    const { r, g, b } = material.emissive;
+    return Math.max(r, g, b) * (material.emissiveIntensity ?? 1);
+}
+
+/**
+ * EmissiveBloomEffect - Bloom fed by glowing meshes instead of everything bright
+ * In selective mode the scene is rendered again at the bloom resolution, with glowing meshes
+ * drawn as their emission times their glow strength and all other meshes as black occluders.
+ * That image is blurred in place of the luminance-filtered frame, so brightly lit surfaces
+ * never bloom. A mesh glows when its emission reaches the cutoff (automatic selection) or
+ * when it was added by hand; hand-picked meshes without emission glow in their base color.
+ * With selective mode off this is the regular threshold bloom.
+ */
+export class EmissiveBloomEffect extends BloomEffect {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {THREE.Camera} camera
+     * @param {Object} options - BloomEffect options plus selective, autoSelect and emissiveCutoff
+     */
+    constructor(scene, camera, { selective = true, autoSelect = true, emissiveCutoff = 0.1, ...options } = {}) {
+        super(options);
+        this.scene = scene;
+        this.camera = camera;
+
+        this.autoSelect = autoSelect;
+        this.emissiveCutoff = emissiveCutoff;
+        this.manualMeshes = new Set();
+        this.glowStrengths = new Map(); // mesh -> strength, 1 when not set
+        this.modelRoot = null;
+        this.modelKey = null;
+        this.saveTimer = null;
+
+        // Emission can exceed 1, so the glow image is kept in half float
+        this.glowTarget = new THREE.WebGLRenderTarget(1, 1, { type: THREE.HalfFloatType });
+        this.glowTarget.texture.name = 'Bloom.Glow';
+
+        // Occluders indexed by material side, so culling matches the shaded frame
+        this.occluderMaterials = [THREE.FrontSide, THREE.BackSide, THREE.DoubleSide].map(side =>
+            new THREE.MeshBasicMaterial({ color: 0x000000, side, fog: false })
+        );
+        this.glowMaterials = new Map(); // mesh -> one MeshBasicMaterial per material slot
+
+        this.clearColor = new THREE.Color();
+        this.setSelective(selective);
+    }
+
+    setSelective(enabled) {
+        this.selective = enabled;
+        // The glow image is already selected, so it skips the luminance threshold
+        this.luminancePass.enabled = !enabled;
+    }
+
+    /**
+     * Highest emission among the materials of a mesh
+     */
+    static getMeshEmission(mesh) {
+        const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+        return Math.max(...materials.map(getEmissiveStrength));
+    }
+
+    isGlowing(mesh) {
+        if (this.manualMeshes.has(mesh)) return true;
+        if (!this.autoSelect) return false;
+        const emission = EmissiveBloomEffect.getMeshEmission(mesh);
+        return emission > 0 && emission >= this.emissiveCutoff;
+    }
+
+    getGlowStrength(mesh) {
+        return this.glowStrengths.get(mesh) ?? 1;
+    }
+
+    /**
+     * @param {THREE.Mesh} mesh
+     * @param {number} strength - Multiplies the emission (0 stops the mesh from glowing)
+     */
+    setGlowStrength(mesh, strength) {
+        this.glowStrengths.set(mesh, strength);
+        this.scheduleSave();
+    }
+
+    /**
+     * Make every mesh of a subtree glow
+     * @returns {number} Number of meshes added
+     */
+    addObject(object) {
+        let count = 0;
+        object.traverse(node => {
+            if (node.isMesh && !this.manualMeshes.has(node)) {
+                this.manualMeshes.add(node);
+                count++;
+            }
+        });
+        if (count > 0) this.scheduleSave();
+        return count;
+    }
+
+    removeMesh(mesh) {
+        this.manualMeshes.delete(mesh);
+        this.disposeGlowMaterials(mesh);
+        this.scheduleSave();
+    }
+
+    /**
+     * Switch to another model and restore the meshes picked for it in an earlier session
+     * @param {THREE.Object3D|null} root - Loaded model, or null when it was removed
+     * @param {string|null} modelKey - Identifies the model file (no storage without it)
+     */
+    setModel(root, modelKey = null) {
+        this.clearObjects();
+        this.modelRoot = root;
+        this.modelKey = root ? modelKey : null;
+
+        const stored = this.loadStoredObjects();
+        if (!stored) return;
+        (stored.manual || []).forEach(path => {
+            const node = getNodeByPath(root, path);
+            if (node?.isMesh) this.manualMeshes.add(node);
+        });
+        Object.entries(stored.strengths || {}).forEach(([path, strength]) => {
+            const node = getNodeByPath(root, path);
+            if (node?.isMesh) this.glowStrengths.set(node, strength);
+        });
+    }
+
+    loadStoredObjects() {
+        if (!this.modelKey) return null;
+        try {
+            const all = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            return all[this.modelKey] || null;
+        } catch (error) {
+            console.warn('Failed to read stored glow objects:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Strength sliders change every frame, so writes to localStorage are batched
+     */
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveStoredObjects(), 500);
+    }
+
+    saveStoredObjects() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (!this.modelKey) return;
+
+        const manual = [...this.manualMeshes]
+            .map(mesh => getNodePath(this.modelRoot, mesh))
+            .filter(path => path !== null);
+        const strengths = {};
+        this.glowStrengths.forEach((strength, mesh) => {
+            const path = getNodePath(this.modelRoot, mesh);
+            if (path !== null) strengths[path] = strength;
+        });
+
+        try {
+            const all = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            if (manual.length > 0 || Object.keys(strengths).length > 0) {
+                all[this.modelKey] = { manual, strengths };
+            } else {
+                delete all[this.modelKey];
+            }
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+        } catch (error) {
+            console.warn('Failed to store glow objects:', error);
+        }
+    }
+
+    /**
+     * Forget hand-picked meshes and glow strengths (the model they belong to is gone)
+     */
+    clearObjects() {
+        // Flush pending edits for the outgoing model
+        if (this.saveTimer) {
+            this.saveStoredObjects();
+        }
+        this.manualMeshes.clear();
+        this.glowStrengths.clear();
+        [...this.glowMaterials.keys()].forEach(mesh => this.disposeGlowMaterials(mesh));
+    }
+
+    /**
+     * Meshes of the scene that currently glow
+     * @returns {{ mesh: THREE.Mesh, manual: boolean, emission: number, strength: number }[]}
+     */
+    getGlowingMeshes() {
+        const result = [];
+        this.scene.traverse(node => {
+            if (node.isMesh && this.isGlowing(node)) {
+                result.push({
+                    mesh: node,
+                    manual: this.manualMeshes.has(node),
+                    emission: EmissiveBloomEffect.getMeshEmission(node),
+                    strength: this.getGlowStrength(node)
+                });
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Glow materials of a mesh, refreshed from its own materials (which may be edited live)
+     */
+    getGlowMaterials(mesh) {
+        const sources = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+        let materials = this.glowMaterials.get(mesh);
+        if (!materials || materials.length !== sources.length) {
+            this.disposeGlowMaterials(mesh);
+            materials = sources.map(() => new THREE.MeshBasicMaterial({ fog: false }));
+            this.glowMaterials.set(mesh, materials);
+        }
+
+        const strength = this.getGlowStrength(mesh);
+        const manual = this.manualMeshes.has(mesh);
+        sources.forEach((source, index) => {
+            const glow = materials[index];
+            const { map, alphaMap } = glow;
+
+            if (getEmissiveStrength(source) > 0) {
+                glow.color.copy(source.emissive).multiplyScalar((source.emissiveIntensity ?? 1) * strength);
+                glow.map = source.emissiveMap || null;
+            } else if (manual && source.color) {
+                glow.color.copy(source.color).multiplyScalar(strength);
+                glow.map = source.map || null;
+            } else {
+                glow.color.setRGB(0, 0, 0);
+                glow.map = null;
+            }
+
+            glow.side = source.side;
+            glow.alphaMap = source.alphaMap || null;
+            glow.alphaTest = source.alphaTest;
+            glow.transparent = source.transparent;
+            glow.opacity = source.opacity;
+            // Adding or removing a texture changes the shader
+            if (glow.map !== map || glow.alphaMap !== alphaMap) {
+                glow.needsUpdate = true;
+            }
+        });
+
+        return Array.isArray(mesh.material) ? materials : materials[0];
+    }
+
+    disposeGlowMaterials(mesh) {
+        const materials = this.glowMaterials.get(mesh);
+        if (!materials) return;
+        materials.forEach(material => material.dispose());
+        this.glowMaterials.delete(mesh);
+    }
+
+    /**
+     * Draw the emission of the glowing meshes, occluded by everything else
+     */
+    renderGlow(renderer) {
+        const scene = this.scene;
+
+        const meshes = [];
+        const hidden = [];
+        scene.traverseVisible(object => {
+            if (object.isMesh) {
+                meshes.push(object);
+            } else if (object.isPoints || object.isLine || object.isSprite) {
+                hidden.push(object); // Particles and helpers neither glow nor occlude
+            }
+        });
+
+        const swapped = [];
+        meshes.forEach(mesh => {
+            const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+            if (this.isGlowing(mesh) && this.getGlowStrength(mesh) > 0) {
+                swapped.push([mesh, mesh.material]);
+                mesh.material = this.getGlowMaterials(mesh);
+            } else if (materials.every(material => material.transparent && material.opacity < 1)) {
+                hidden.push(mesh); // Glass doesn't hide what glows behind it
+            } else {
+                swapped.push([mesh, mesh.material]);
+                const occluders = materials.map(material => this.occluderMaterials[material.side] || this.occluderMaterials[0]);
+                mesh.material = Array.isArray(mesh.material) ? occluders : occluders[0];
+            }
+        });
+        hidden.forEach(object => { object.visible = false; });
+
+        const background = scene.background;
+        const shadowAutoUpdate = renderer.shadowMap.autoUpdate;
+        const clearAlpha = renderer.getClearAlpha();
+        renderer.getClearColor(this.clearColor);
+
+        scene.background = null;
+        renderer.shadowMap.autoUpdate = false; // The shaded frame already rendered them
+        renderer.setClearColor(0x000000, 1);
+        renderer.setRenderTarget(this.glowTarget);
+        renderer.clear();
+        renderer.render(scene, this.camera);
+
+        renderer.setClearColor(this.clearColor, clearAlpha);
+        renderer.shadowMap.autoUpdate = shadowAutoUpdate;
+        scene.background = background;
+        swapped.forEach(([mesh, material]) => { mesh.material = material; });
+        hidden.forEach(object => { object.visible = true; });
+    }
+
+    update(renderer, inputBuffer, deltaTime) {
+        if (this.selective) {
+            this.renderGlow(renderer);
+            super.update(renderer, this.glowTarget, deltaTime);
+        } else {
+            super.update(renderer, inputBuffer, deltaTime);
+        }
+    }
+
+    setSize(width, height) {
+        super.setSize(width, height);
+        this.glowTarget.setSize(this.resolution.width, this.resolution.height);
+    }
+
+    dispose() {
+        this.clearObjects();
+        this.occluderMaterials.forEach(material => material.dispose());
+        super.dispose();
+    }
+}
@@ -0,0 +1,121 @@
+import * as THREE from 'three';
+
+/**
+ * EnvironmentRotator - Builds PMREM environment maps from rotated equirectangular HDRs
+ * three r160 has no scene.environmentRotation, so the HDR is resampled into a rotated
+ * equirect at full resolution on the GPU and then prefiltered as usual.
+ * Rotations use the same convention as the path tracer's environmentRotation.
+ */
+export class EnvironmentRotator {
+    constructor(renderer, pmremGenerator) {
+        this.renderer = renderer;
+        this.pmremGenerator = pmremGenerator;
+        this.target = null;
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                map: { value: null },
+                inverseRotation: { value: new THREE.Matrix3() }
+            },
+            vertexShader: `
+                varying vec2 vUv;
+                void main() {
+                    vUv = uv;
+                    gl_Position = vec4(position.xy, 0.0, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform sampler2D map;
+                uniform mat3 inverseRotation;
+                varying vec2 vUv;
+
+                #define PI 3.141592653589793
+
+                void main() {
+                    // Direction of this output texel (three.js equirect layout)
+                    float phi = (vUv.x - 0.5) * 2.0 * PI;
+                    float theta = (vUv.y - 0.5) * PI;
+                    vec3 direction = vec3(cos(theta) * cos(phi), sin(theta), cos(theta) * sin(phi));
+
+                    // Look up where that direction was before the rotation
+                    vec3 source = inverseRotation * direction;
+                    vec2 uv = vec2(
+                        atan(source.z, source.x) / (2.0 * PI) + 0.5,
+                        asin(clamp(source.y, -1.0, 1.0)) / PI + 0.5
+                    );
+                    gl_FragColor = texture2D(map, uv);
+                }
+            `,
+            depthTest: false,
+            depthWrite: false,
+            toneMapped: false
+        });
+
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+        this.quad.frustumCulled = false;
+        this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    }
+
+    /**
+     * Yaw (around Y) then pitch (around X), in degrees
+     */
+    static createEuler(yaw, pitch) {
+        return new THREE.Euler(
+            THREE.MathUtils.degToRad(pitch),
+            THREE.MathUtils.degToRad(yaw),
+            0,
+            'YXZ'
+        );
+    }
+
+    /**
+     * Prefiltered environment map of an equirectangular texture under a rotation
+     * @param {THREE.Texture} texture - Equirectangular HDR
+     * @param {THREE.Euler} euler - Environment rotation
+     * @returns {THREE.Texture} PMREM texture
+     */
+    createEnvironmentMap(texture, euler) {
+        const isIdentity = euler.x === 0 && euler.y === 0 && euler.z === 0;
+        if (isIdentity) {
+            return this.pmremGenerator.fromEquirectangular(texture).texture;
+        }
+
+        return this.pmremGenerator.fromEquirectangular(this.rotate(texture, euler)).texture;
+    }
+
+    /**
+     * Resample an equirectangular texture under a rotation
+     * The result lives in a reused render target, valid until the next call
+     */
+    rotate(texture, euler) {
+        const { width, height } = texture.image;
+        if (!this.target || this.target.width !== width || this.target.height !== height) {
+            if (this.target) this.target.dispose();
+            this.target = new THREE.WebGLRenderTarget(width, height, {
+                type: THREE.HalfFloatType,
+                format: THREE.RGBAFormat,
+                depthBuffer: false
+            });
+            this.target.texture.mapping = THREE.EquirectangularReflectionMapping;
+        }
+
+        this.material.uniforms.map.value = texture;
+        this.material.uniforms.inverseRotation.value.setFromMatrix4(
+            new THREE.Matrix4().makeRotationFromEuler(euler).invert()
+        );
+
+        const previousTarget = this.renderer.getRenderTarget();
+        this.renderer.setRenderTarget(this.target);
+        this.renderer.render(this.quad, this.camera);
+        this.renderer.setRenderTarget(previousTarget);
+
+        this.material.uniforms.map.value = null;
+        return this.target.texture;
+    }
+
+    dispose() {
+        if (this.target) this.target.dispose();
+        this.material.dispose();
+        this.quad.geometry.dispose();
+    }
+}
@@ -0,0 +1,226 @@
+import * as THREE from 'three';
+
+/**
+ * FileResolver - Maps the relative URIs inside a model file to local files
+ * Used for multi-file assets (.gltf with external .bin buffers, .obj with its .mtl, textures)
+ * selected together, picked as a folder, or dropped onto the canvas
+ */
+export class FileResolver {
+    constructor(entries = []) {
+        // Normalized relative path -> File
+        this.files = new Map();
+        entries.forEach(({ path, file }) => {
+            this.files.set(FileResolver.normalizePath(path), file);
+        });
+
+        this.rootPath = null;
+        this.rootDirectory = '';
+        this.objectURLs = new Map();
+        this.missing = new Set();
+        // Files the root file actually referenced (saved with it in the model library)
+        this.referenced = new Set();
+    }
+
+    /**
+     * Build a resolver from an <input type="file"> FileList
+     * Folder inputs (webkitdirectory) provide webkitRelativePath for each file
+     */
+    static fromFileList(fileList) {
+        const entries = Array.from(fileList).map(file => ({
+            path: file.webkitRelativePath || file.name,
+            file
+        }));
+        return new FileResolver(entries);
+    }
+
+    /**
+     * Build a resolver from a drop event, walking dropped folders recursively
+     */
+    static async fromDataTransfer(dataTransfer) {
+        const entries = [];
+        const items = Array.from(dataTransfer.items || []);
+        const fsEntries = items
+            .filter(item => item.kind === 'file')
+            .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null);
+
+        if (fsEntries.length > 0 && fsEntries.every(entry => entry)) {
+            for (const entry of fsEntries) {
+                await FileResolver.readEntry(entry, entries);
+            }
+        } else {
+            // Browsers without the entries API only give us flat files
+            Array.from(dataTransfer.files || []).forEach(file => {
+                entries.push({ path: file.name, file });
+            });
+        }
+
+        return new FileResolver(entries);
+    }
+
+    static async readEntry(entry, entries) {
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            entries.push({ path: entry.fullPath, file });
+        } else if (entry.isDirectory) {
+            const reader = entry.createReader();
+            // readEntries returns results in batches until an empty batch is returned
+            let batch;
+            do {
+                batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                for (const child of batch) {
+                    await FileResolver.readEntry(child, entries);
+                }
+            } while (batch.length > 0);
+        }
+    }
+
+    /**
+     * Normalize a path: forward slashes, no leading "/" or "./", "../" collapsed
+     */
+    static normalizePath(path) {
+        const parts = [];
+        path.replace(/\\/g, '/').split('/').forEach(part => {
+            if (part === '' || part === '.') return;
+            if (part === '..') {
+                parts.pop();
+            } else {
+                parts.push(part);
+            }
+        });
+        return parts.join('/');
+    }
+
+    get size() {
+        return this.files.size;
+    }
+
+    /**
+     * Find the model file to load, preferring the shallowest one
+     * Files at the same depth are ranked by their extension's position in the list
+     */
+    findRootFile(extensions = ['gltf', 'glb']) {
+        const rank = (path) => extensions.indexOf(path.split('.').pop().toLowerCase());
+        const candidates = Array.from(this.files.keys())
+            .filter(path => rank(path) >= 0)
+            .sort((a, b) => (a.split('/').length - b.split('/').length) || (rank(a) - rank(b)));
+
+        if (candidates.length === 0) return null;
+        return this.setRootPath(candidates[0]);
+    }
+
+    /**
+     * Use a known path as the root file (e.g. a model restored from the library)
+     */
+    setRootPath(path) {
+        const normalized = FileResolver.normalizePath(path);
+        if (!this.files.has(normalized)) return null;
+
+        this.rootPath = normalized;
+        const slash = this.rootPath.lastIndexOf('/');
+        this.rootDirectory = slash >= 0 ? this.rootPath.substring(0, slash + 1) : '';
+        return this.files.get(this.rootPath);
+    }
+
+    /**
+     * Look up a URI referenced by the root file
+     * Returns the File or null when it was not provided
+     */
+    resolve(uri) {
+        let path;
+        try {
+            path = decodeURI(uri);
+        } catch (error) {
+            path = uri;
+        }
+        path = path.split(/[?#]/)[0];
+
+        const fromRoot = FileResolver.normalizePath(this.rootDirectory + path);
+        if (this.files.has(fromRoot)) {
+            const file = this.files.get(fromRoot);
+            this.referenced.add(file);
+            return file;
+        }
+
+        // Fall back to a file name match for assets exported with absolute paths
+        const fileName = fromRoot.split('/').pop();
+        for (const [filePath, file] of this.files) {
+            if (filePath.split('/').pop() === fileName) {
+                this.referenced.add(file);
+                return file;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * The root file (first) and every file it referenced, with paths relative to the root's folder
+     * Unrelated files from a picked folder are left out
+     * @returns {{ path: string, file: File }[]}
+     */
+    getReferencedEntries() {
+        const entries = [];
+        this.files.forEach((file, path) => {
+            if (path === this.rootPath || !this.referenced.has(file)) return;
+            const relativePath = path.startsWith(this.rootDirectory) ? path.substring(this.rootDirectory.length) : path;
+            entries.push({ path: relativePath, file });
+        });
+        entries.unshift({ path: this.rootPath.substring(this.rootDirectory.length), file: this.files.get(this.rootPath) });
+        return entries;
+    }
+
+    /**
+     * Create a LoadingManager whose URL modifier serves referenced files as blob URLs
+     * Relative URIs arrive resolved against the root blob URL, so that base is stripped first
+     * Unresolved references are collected in this.missing
+     */
+    createLoadingManager(rootURL) {
+        const manager = new THREE.LoadingManager();
+        const baseURL = THREE.LoaderUtils.extractUrlBase(rootURL);
+
+        manager.setURLModifier((url) => {
+            if (url === rootURL || /^data:/i.test(url) || /^(https?:)?\/\//i.test(url)) {
+                return url;
+            }
+
+            let relativePath = url;
+            if (url.startsWith(baseURL)) {
+                relativePath = url.substring(baseURL.length);
+                // Blob URLs the loader creates itself (embedded images) share the same base
+                if (FileResolver.isObjectURLId(relativePath)) {
+                    return url;
+                }
+            } else if (/^blob:/i.test(url)) {
+                return url;
+            }
+
+            const file = this.resolve(relativePath);
+            if (!file) {
+                this.missing.add(relativePath);
+                return url;
+            }
+
+            if (!this.objectURLs.has(file)) {
+                this.objectURLs.set(file, URL.createObjectURL(file));
+            }
+            return this.objectURLs.get(file);
+        });
+
+        return manager;
+    }
+
+    static isObjectURLId(path) {
+        return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(path);
+    }
+
+    getMissingFiles() {
+        return Array.from(this.missing);
+    }
+
+    /**
+     * Revoke all blob URLs handed out for this model
+     */
+    dispose() {
+        this.objectURLs.forEach(url => URL.revokeObjectURL(url));
+        this.objectURLs.clear();
+    }
+}
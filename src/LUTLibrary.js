@@ -0,0 +1,94 @@
+import { LUTCubeLoader } from 'postprocessing';
+import { STORES, storeRequest } from './ViewerDB.js';
+
+// Data lines of a .cube file: three numbers per lattice point
+const CUBE_DATA_LINE = /^[\d.e+-]+ +[\d.e+-]+ +[\d.e+-]+ *$/gm;
+
+/**
+ * LUTLibrary - Color grading lookup tables (.cube files) kept in IndexedDB
+ * Records keep the file's text rather than the parsed lattice: a 33³ table is a few
+ * hundred kilobytes of text but three times that as floats, and parsing takes milliseconds.
+ */
+export class LUTLibrary {
+    constructor() {
+        this.storeName = STORES.LUT_FILES;
+    }
+
+    /**
+     * Parse a .cube file into a 3D lookup texture
+     * @param {string} text - File contents
+     * @returns {LookupTexture}
+     * @throws {Error} If the file is not a complete 3D LUT
+     */
+    static parse(text) {
+        // The loader's line patterns don't accept Windows line endings
+        const normalized = text.replace(/\r\n?/g, '\n');
+        const lut = new LUTCubeLoader().parse(normalized);
+
+        const size = lut.image.width;
+        const points = (normalized.match(CUBE_DATA_LINE) || []).length;
+        if (size < 2 || points !== size ** 3) {
+            lut.dispose();
+            throw new Error(`Incomplete LUT: expected ${size ** 3} entries, found ${points}`);
+        }
+        return lut;
+    }
+
+    /**
+     * Validate and store an uploaded .cube file
+     * @param {File} file
+     * @returns {Promise<Object>} The stored record
+     */
+    async add(file) {
+        const text = await file.text();
+        const lut = LUTLibrary.parse(text);
+        const now = Date.now();
+
+        const record = {
+            id: `${now}-${Math.random().toString(36).substring(2, 8)}`,
+            name: lut.name || file.name.replace(/\.cube$/i, ''),
+            fileName: file.name,
+            size: lut.image.width,
+            text,
+            created: now
+        };
+        lut.dispose();
+
+        await storeRequest(this.storeName, 'readwrite', store => store.put(record));
+        return record;
+    }
+
+    /**
+     * All records, oldest first
+     */
+    async list() {
+        const records = await storeRequest(this.storeName, 'readonly', store => store.getAll());
+        return records.sort((a, b) => a.created - b.created);
+    }
+
+    async get(id) {
+        return storeRequest(this.storeName, 'readonly', store => store.get(id));
+    }
+
+    async rename(id, name) {
+        if (!name) return null;
+        const record = await this.get(id);
+        if (!record) return null;
+        record.name = name;
+        await storeRequest(this.storeName, 'readwrite', store => store.put(record));
+        return record;
+    }
+
+    async remove(id) {
+        return storeRequest(this.storeName, 'readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Lookup texture of a stored LUT
+     * @returns {Promise<LookupTexture|null>} null if the record no longer exists
+     */
+    async loadTexture(id) {
+        const record = await this.get(id);
+        return record ? LUTLibrary.parse(record.text) : null;
+    }
+}
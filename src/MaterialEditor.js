@@ -0,0 +1,432 @@
+import * as THREE from 'three';
+
+// Parameters that can be edited live (and are stored in override files)
+const EDITABLE_PROPERTIES = {
+    color: 'color',
+    metalness: 'number',
+    roughness: 'number',
+    emissive: 'color',
+    emissiveIntensity: 'number',
+    transmission: 'number',
+    thickness: 'number',
+    ior: 'number',
+    clearcoat: 'number',
+    clearcoatRoughness: 'number'
+};
+
+// These only exist on MeshPhysicalMaterial, editing them upgrades a standard material
+const PHYSICAL_PROPERTIES = ['transmission', 'thickness', 'ior', 'clearcoat', 'clearcoatRoughness'];
+
+// Read-only parameters shown in the inspector
+const STANDARD_PARAMETERS = [
+    'color', 'roughness', 'metalness', 'emissive', 'emissiveIntensity', 'opacity', 'transparent',
+    'alphaTest', 'side', 'flatShading', 'wireframe', 'vertexColors', 'envMapIntensity', 'normalScale',
+    'aoMapIntensity', 'lightMapIntensity', 'bumpScale', 'displacementScale', 'displacementBias'
+];
+const PHYSICAL_PARAMETERS = [
+    'ior', 'reflectivity', 'transmission', 'thickness', 'attenuationDistance', 'attenuationColor',
+    'clearcoat', 'clearcoatRoughness', 'clearcoatNormalScale', 'sheen', 'sheenRoughness', 'sheenColor',
+    'iridescence', 'iridescenceIOR', 'iridescenceThicknessRange', 'specularIntensity', 'specularColor',
+    'anisotropy', 'anisotropyRotation'
+];
+
+const STANDARD_TEXTURE_SLOTS = [
+    'map', 'normalMap', 'roughnessMap', 'metalnessMap', 'aoMap', 'emissiveMap', 'alphaMap',
+    'bumpMap', 'displacementMap', 'lightMap', 'envMap'
+];
+const PHYSICAL_TEXTURE_SLOTS = [
+    'clearcoatMap', 'clearcoatRoughnessMap', 'clearcoatNormalMap', 'transmissionMap', 'thicknessMap',
+    'sheenColorMap', 'sheenRoughnessMap', 'specularIntensityMap', 'specularColorMap',
+    'iridescenceMap', 'iridescenceThicknessMap', 'anisotropyMap'
+];
+
+// Slots holding color data (sRGB), everything else is linear data
+const COLOR_TEXTURE_SLOTS = ['map', 'emissiveMap', 'sheenColorMap', 'specularColorMap'];
+
+const SIDE_NAMES = {
+    [THREE.FrontSide]: 'FrontSide',
+    [THREE.BackSide]: 'BackSide',
+    [THREE.DoubleSide]: 'DoubleSide'
+};
+
+const STORAGE_KEY = 'gltfViewerMaterialOverrides';
+
+/**
+ * MaterialEditor - Live PBR material editing for the loaded model
+ * Keeps an untouched snapshot of every material for reset, records edits as
+ * overrides keyed by model and material, and reapplies them when the model loads again
+ */
+export class MaterialEditor {
+    constructor() {
+        this.modelKey = null;
+        this.entries = []; // { key, original, material, snapshot, slots: [{ mesh, index }], textures }
+        this.overrides = {}; // materialKey -> { property: value, textures: { slot: { name, dataURL } } }
+        this.textureLoader = new THREE.TextureLoader();
+        this.saveTimer = null;
+    }
+
+    static get editableProperties() {
+        return Object.keys(EDITABLE_PROPERTIES);
+    }
+
+    static isEditable(material) {
+        return !!material && (material.isMeshStandardMaterial || material.isMeshPhysicalMaterial);
+    }
+
+    /**
+     * Collect the materials of a newly loaded model and reapply stored overrides
+     * @param {THREE.Object3D|null} root
+     * @param {string|null} modelKey - Identifies the model across loads (e.g. file name and size)
+     * @returns {Promise<number>} Number of materials that had stored overrides
+     */
+    async setModel(root, modelKey = null) {
+        this.dispose();
+        this.modelKey = modelKey;
+        if (!root) return 0;
+
+        const byMaterial = new Map();
+        root.traverse(node => {
+            if (!node.isMesh) return;
+            const materials = Array.isArray(node.material) ? node.material : [node.material];
+            materials.forEach((material, index) => {
+                if (!MaterialEditor.isEditable(material)) return;
+                if (!byMaterial.has(material)) {
+                    byMaterial.set(material, []);
+                }
+                byMaterial.get(material).push({ mesh: node, index: Array.isArray(node.material) ? index : -1 });
+            });
+        });
+
+        // Key by name when it is unique, otherwise by traversal order
+        const nameCounts = new Map();
+        byMaterial.forEach((slots, material) => {
+            nameCounts.set(material.name, (nameCounts.get(material.name) || 0) + 1);
+        });
+
+        let index = 0;
+        byMaterial.forEach((slots, material) => {
+            const key = material.name && nameCounts.get(material.name) === 1 ? material.name : `#${index}`;
+            this.entries.push({
+                key,
+                original: material,
+                material,
+                snapshot: material.clone(),
+                slots,
+                textures: new Map() // slot -> texture loaded from a file
+            });
+            index++;
+        });
+
+        const stored = this.loadStoredOverrides();
+        return stored ? this.applyOverrides(stored) : 0;
+    }
+
+    /**
+     * Find the editor entries used by a mesh
+     */
+    getEntriesForObject(object) {
+        if (!object || !object.isMesh) return [];
+        const materials = Array.isArray(object.material) ? object.material : [object.material];
+        return materials
+            .map(material => this.entries.find(entry => entry.material === material))
+            .filter(Boolean);
+    }
+
+    getEntry(key) {
+        return this.entries.find(entry => entry.key === key) || null;
+    }
+
+    /**
+     * Current value of every parameter for display
+     */
+    getParameters(entry) {
+        const material = entry.material;
+        const names = material.isMeshPhysicalMaterial
+            ? STANDARD_PARAMETERS.concat(PHYSICAL_PARAMETERS)
+            : STANDARD_PARAMETERS;
+
+        return names
+            .filter(name => material[name] !== undefined)
+            .map(name => ({
+                name,
+                value: name === 'side' ? SIDE_NAMES[material.side] : MaterialEditor.formatValue(material[name])
+            }));
+    }
+
+    /**
+     * Texture slots available on the material with their current textures
+     */
+    getTextureSlots(entry) {
+        const material = entry.material;
+        const slots = material.isMeshPhysicalMaterial
+            ? STANDARD_TEXTURE_SLOTS.concat(PHYSICAL_TEXTURE_SLOTS)
+            : STANDARD_TEXTURE_SLOTS;
+
+        return slots.map(slot => ({
+            slot,
+            texture: material[slot] || null,
+            custom: entry.textures.has(slot)
+        }));
+    }
+
+    static formatValue(value) {
+        if (value && value.isColor) return '#' + value.getHexString();
+        if (value && value.isVector2) return `${value.x.toFixed(2)}, ${value.y.toFixed(2)}`;
+        if (Array.isArray(value)) return value.map(v => +v.toFixed(2)).join(', ');
+        if (typeof value === 'number') return +value.toFixed(3);
+        return String(value);
+    }
+
+    /**
+     * Edit a parameter live and record it as an override
+     * @param {Object} entry - Editor entry
+     * @param {string} property - One of MaterialEditor.editableProperties
+     * @param {number|string} value - Number, or hex string for colors
+     */
+    setProperty(entry, property, value) {
+        const type = EDITABLE_PROPERTIES[property];
+        if (!type) return;
+
+        if (PHYSICAL_PROPERTIES.includes(property)) {
+            this.upgradeToPhysical(entry);
+        }
+
+        const material = entry.material;
+        if (type === 'color') {
+            material[property].set(value);
+        } else {
+            material[property] = value;
+        }
+
+        this.getOverride(entry)[property] = type === 'color' ? '#' + material[property].getHexString() : value;
+        // Transmission toggles shader defines
+        material.needsUpdate = true;
+        this.scheduleSave();
+    }
+
+    /**
+     * Swap a texture slot with an image file
+     * @returns {Promise<THREE.Texture>}
+     */
+    async setTextureFromFile(entry, slot, file) {
+        const dataURL = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+
+        const texture = await this.setTexture(entry, slot, dataURL, file.name);
+        this.getOverride(entry).textures = this.getOverride(entry).textures || {};
+        this.getOverride(entry).textures[slot] = { name: file.name, dataURL };
+        this.saveStoredOverrides();
+        return texture;
+    }
+
+    async setTexture(entry, slot, url, name = '') {
+        if (PHYSICAL_TEXTURE_SLOTS.includes(slot)) {
+            this.upgradeToPhysical(entry);
+        }
+
+        const texture = await this.textureLoader.loadAsync(url);
+        texture.name = name;
+        texture.flipY = false; // glTF UV convention
+        texture.wrapS = THREE.RepeatWrapping;
+        texture.wrapT = THREE.RepeatWrapping;
+        texture.colorSpace = COLOR_TEXTURE_SLOTS.includes(slot) ? THREE.SRGBColorSpace : THREE.NoColorSpace;
+
+        // Keep the UV transform and channel of the texture being replaced
+        const previous = entry.material[slot];
+        if (previous) {
+            texture.channel = previous.channel;
+            texture.offset.copy(previous.offset);
+            texture.repeat.copy(previous.repeat);
+            texture.rotation = previous.rotation;
+            texture.center.copy(previous.center);
+            texture.wrapS = previous.wrapS;
+            texture.wrapT = previous.wrapT;
+        }
+
+        if (entry.textures.has(slot)) {
+            entry.textures.get(slot).dispose();
+        }
+        entry.textures.set(slot, texture);
+
+        entry.material[slot] = texture;
+        entry.material.needsUpdate = true;
+        return texture;
+    }
+
+    /**
+     * Replace a standard material with a physical one on every mesh that uses it
+     */
+    upgradeToPhysical(entry) {
+        if (entry.material.isMeshPhysicalMaterial) return;
+
+        const physical = new THREE.MeshPhysicalMaterial();
+        // Copy only the standard parameters, the physical ones keep their defaults
+        THREE.MeshStandardMaterial.prototype.copy.call(physical, entry.material);
+        // That copy resets the defines to the standard ones; without PHYSICAL the shader
+        // ignores IOR and specular
+        physical.defines = { STANDARD: '', PHYSICAL: '' };
+        this.replaceMaterial(entry, physical);
+    }
+
+    replaceMaterial(entry, material) {
+        const previous = entry.material;
+        entry.slots.forEach(({ mesh, index }) => {
+            if (index >= 0) {
+                mesh.material[index] = material;
+            } else {
+                mesh.material = material;
+            }
+        });
+        entry.material = material;
+
+        // Upgraded copies are ours to dispose, the original stays for reset
+        if (previous !== entry.original) {
+            previous.dispose();
+        }
+    }
+
+    /**
+     * Restore a material to its loaded state and forget its overrides
+     */
+    resetMaterial(entry) {
+        if (entry.material !== entry.original) {
+            this.replaceMaterial(entry, entry.original);
+        }
+        entry.original.copy(entry.snapshot);
+        entry.original.needsUpdate = true;
+
+        entry.textures.forEach(texture => texture.dispose());
+        entry.textures.clear();
+
+        delete this.overrides[entry.key];
+        this.saveStoredOverrides();
+    }
+
+    getOverride(entry) {
+        if (!this.overrides[entry.key]) {
+            this.overrides[entry.key] = {};
+        }
+        return this.overrides[entry.key];
+    }
+
+    hasOverrides() {
+        return Object.keys(this.overrides).length > 0;
+    }
+
+    /**
+     * Apply an overrides map to the current model
+     * @returns {Promise<number>} Number of materials that matched
+     */
+    async applyOverrides(overrides) {
+        let applied = 0;
+        for (const [key, values] of Object.entries(overrides)) {
+            const entry = this.getEntry(key);
+            if (!entry) continue;
+            applied++;
+
+            Object.entries(values).forEach(([property, value]) => {
+                if (EDITABLE_PROPERTIES[property]) {
+                    this.setProperty(entry, property, value);
+                }
+            });
+
+            const textures = values.textures || {};
+            for (const [slot, texture] of Object.entries(textures)) {
+                try {
+                    await this.setTexture(entry, slot, texture.dataURL, texture.name);
+                    this.getOverride(entry).textures = this.getOverride(entry).textures || {};
+                    this.getOverride(entry).textures[slot] = texture;
+                } catch (error) {
+                    console.warn(`Failed to restore ${slot} of material ${key}:`, error);
+                }
+            }
+        }
+
+        this.saveStoredOverrides();
+        return applied;
+    }
+
+    toJSON() {
+        return {
+            type: 'material-overrides',
+            version: 1,
+            model: this.modelKey,
+            materials: this.overrides
+        };
+    }
+
+    /**
+     * Apply an override file exported with toJSON()
+     */
+    async fromJSON(data) {
+        if (!data || data.type !== 'material-overrides' || typeof data.materials !== 'object') {
+            throw new Error('Invalid material override file');
+        }
+        return this.applyOverrides(data.materials);
+    }
+
+    /**
+     * Overrides are kept per model so they come back the next time it is opened
+     */
+    loadStoredOverrides() {
+        if (!this.modelKey) return null;
+        try {
+            const all = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            return all[this.modelKey] || null;
+        } catch (error) {
+            console.warn('Failed to read stored material overrides:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Slider edits arrive every frame, so writes to localStorage are batched
+     */
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveStoredOverrides(), 500);
+    }
+
+    saveStoredOverrides() {
+        clearTimeout(this.saveTimer);
+        if (!this.modelKey) return;
+        try {
+            const all = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            if (this.hasOverrides()) {
+                all[this.modelKey] = this.overrides;
+            } else {
+                delete all[this.modelKey];
+            }
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+        } catch (error) {
+            // Large embedded textures can exceed the storage quota, the JSON export still works
+            console.warn('Failed to store material overrides:', error);
+        }
+    }
+
+    /**
+     * Release textures loaded from files (the model's own materials are disposed with the model)
+     */
+    dispose() {
+        // Flush pending edits for the outgoing model
+        if (this.saveTimer) {
+            this.saveStoredOverrides();
+        }
+
+        this.entries.forEach(entry => {
+            entry.textures.forEach(texture => texture.dispose());
+            // Upgraded materials replaced the original on the meshes, so the original is ours
+            if (entry.material !== entry.original) {
+                entry.original.dispose();
+            }
+            entry.snapshot.dispose();
+        });
+        this.entries = [];
+        this.overrides = {};
+        this.modelKey = null;
+    }
+}
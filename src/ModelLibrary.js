@@ -0,0 +1,167 @@
+import * as THREE from 'three';
+import { STORES, storeRequest } from './ViewerDB.js';
+
+/**
+ * ModelLibrary - Loaded models kept in IndexedDB so they survive a reload
+ * A record holds the root file with the files it references, display metadata and a
+ * JPEG thumbnail. Records are keyed by the same "name:size" key as material overrides,
+ * so opening a model again updates its entry instead of adding a duplicate.
+ */
+export class ModelLibrary {
+    constructor() {
+        this.storeName = STORES.MODELS;
+        this.thumbnailSize = 160;
+    }
+
+    /**
+     * Save a model (or refresh an existing entry with the same key)
+     * @param {Object} model
+     * @param {string} model.key - Stable key for the model ("name:size")
+     * @param {string} model.name - Display name (kept when the entry already exists)
+     * @param {string} model.format - Loader format (glb, fbx, ...)
+     * @param {{ path: string, file: File }[]} model.files - Root file first, then the files it references
+     * @param {string|null} model.thumbnail - JPEG data URL
+     * @returns {Promise<Object>} The stored record
+     */
+    async add({ key, name, format, files, thumbnail }) {
+        const existing = (await this.list()).find(record => record.key === key);
+        const now = Date.now();
+
+        const record = {
+            id: existing ? existing.id : `${now}-${Math.random().toString(36).substring(2, 8)}`,
+            key,
+            name: existing ? existing.name : name,
+            format,
+            rootPath: files[0].path,
+            size: files.reduce((total, entry) => total + entry.file.size, 0),
+            files: files.map(entry => ({ path: entry.path, file: entry.file })),
+            thumbnail: thumbnail || (existing ? existing.thumbnail : null),
+            created: existing ? existing.created : now,
+            lastOpened: now
+        };
+
+        await storeRequest(this.storeName, 'readwrite', store => store.put(record));
+        return record;
+    }
+
+    /**
+     * All records, most recently opened first
+     * File contents are Blobs, which IndexedDB reads lazily
+     */
+    async list() {
+        const records = await storeRequest(this.storeName, 'readonly', store => store.getAll());
+        return records.sort((a, b) => b.lastOpened - a.lastOpened);
+    }
+
+    async get(id) {
+        return storeRequest(this.storeName, 'readonly', store => store.get(id));
+    }
+
+    async getLastOpened() {
+        const records = await this.list();
+        return records[0] || null;
+    }
+
+    async update(id, changes) {
+        const record = await this.get(id);
+        if (!record) return null;
+        Object.assign(record, changes);
+        await storeRequest(this.storeName, 'readwrite', store => store.put(record));
+        return record;
+    }
+
+    async rename(id, name) {
+        if (!name) return null;
+        return this.update(id, { name });
+    }
+
+    /**
+     * Mark a record as the most recently opened (restored on the next startup)
+     */
+    async touch(id) {
+        return this.update(id, { lastOpened: Date.now() });
+    }
+
+    async remove(id) {
+        return storeRequest(this.storeName, 'readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Bytes stored by the library and the browser's overall storage estimate
+     * @returns {Promise<{ count: number, bytes: number, usage: number|null, quota: number|null }>}
+     */
+    async getUsage() {
+        const records = await this.list();
+        const bytes = records.reduce((total, record) => total + record.size, 0);
+
+        let usage = null;
+        let quota = null;
+        if (navigator.storage && navigator.storage.estimate) {
+            const estimate = await navigator.storage.estimate();
+            usage = estimate.usage ?? null;
+            quota = estimate.quota ?? null;
+        }
+
+        return { count: records.length, bytes, usage, quota };
+    }
+
+    /**
+     * Render a square thumbnail of a model with the scene's lighting
+     * Everything except the model and lights is hidden for the shot. The canvas is read
+     * right after rendering, so no preserveDrawingBuffer is needed; the next frame
+     * simply overwrites it.
+     * @returns {string|null} JPEG data URL
+     */
+    captureThumbnail(renderer, scene, model) {
+        const box = new THREE.Box3().setFromObject(model);
+        if (box.isEmpty()) return null;
+
+        const sphere = box.getBoundingSphere(new THREE.Sphere());
+        const canvas = renderer.domElement;
+        const camera = new THREE.PerspectiveCamera(35, canvas.width / canvas.height, 0.01, sphere.radius * 100);
+        // The crop is the center square, so fit to the narrower of the two fields of view
+        const distance = sphere.radius / Math.sin(THREE.MathUtils.degToRad(camera.fov / 2)) / Math.min(1, camera.aspect) * 1.1;
+        camera.position.copy(sphere.center).add(new THREE.Vector3(1, 0.6, 1).normalize().multiplyScalar(distance));
+        camera.lookAt(sphere.center);
+
+        // Hide helpers, ground, player and particles for the shot
+        const hidden = [];
+        scene.children.forEach(child => {
+            if (child !== model && !child.isLight && child.visible) {
+                child.visible = false;
+                hidden.push(child);
+            }
+        });
+
+        let dataURL = null;
+        try {
+            renderer.render(scene, camera);
+
+            // Crop the center square of the canvas
+            const side = Math.min(canvas.width, canvas.height);
+            const thumbnail = document.createElement('canvas');
+            thumbnail.width = this.thumbnailSize;
+            thumbnail.height = this.thumbnailSize;
+            thumbnail.getContext('2d').drawImage(
+                canvas,
+                (canvas.width - side) / 2, (canvas.height - side) / 2, side, side,
+                0, 0, this.thumbnailSize, this.thumbnailSize
+            );
+            dataURL = thumbnail.toDataURL('image/jpeg', 0.85);
+        } finally {
+            hidden.forEach(child => { child.visible = true; });
+        }
+
+        return dataURL;
+    }
+
+    /**
+     * Human readable byte count
+     */
+    static formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+    }
+}
@@ -0,0 +1,192 @@
+import * as THREE from 'three';
+import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+import { MTLLoader } from 'three/examples/jsm/loaders/MTLLoader.js';
+import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js';
+import { PLYLoader } from 'three/examples/jsm/loaders/PLYLoader.js';
+import { USDZLoader } from 'three/examples/jsm/loaders/USDZLoader.js';
+
+// Root file extensions in load priority order (used when several are selected together)
+export const MODEL_EXTENSIONS = ['gltf', 'glb', 'fbx', 'obj', 'usdz', 'ply', 'stl'];
+
+/**
+ * ModelLoader - Picks the Three.js loader for a model file and normalizes the result
+ * Every format resolves to { format, scene, animations, gltf } so the viewer can run
+ * the same post-load pipeline (shadows, scaling, collision, path tracer) for all of them
+ */
+export class ModelLoader {
+    constructor(gltfLoader) {
+        // Configured by the viewer with the Draco / KTX2 / Meshopt decoders
+        this.gltfLoader = gltfLoader;
+
+        this.fbxLoader = new FBXLoader();
+        this.objLoader = new OBJLoader();
+        this.mtlLoader = new MTLLoader();
+        this.stlLoader = new STLLoader();
+        this.plyLoader = new PLYLoader();
+        this.usdzLoader = new USDZLoader();
+
+        // Initial size for PLY point clouds (world units, after auto-scaling)
+        this.pointSize = 0.01;
+    }
+
+    /**
+     * Work out the format from the file header, falling back to the extension
+     * Headers win so renamed or extension-less files still load
+     * @returns {Promise<string|null>} One of MODEL_EXTENSIONS or null
+     */
+    static async detectFormat(file) {
+        const header = new Uint8Array(await file.slice(0, 32).arrayBuffer());
+        const text = String.fromCharCode(...header);
+
+        if (text.startsWith('glTF')) return 'glb';
+        if (text.startsWith('Kaydara FBX Binary') || text.startsWith('; FBX')) return 'fbx';
+        if (/^ply\r?\n/.test(text)) return 'ply';
+        // USDZ is an uncompressed zip archive
+        if (header[0] === 0x50 && header[1] === 0x4B && header[2] === 0x03 && header[3] === 0x04) return 'usdz';
+
+        // Text and headerless formats (glTF JSON, OBJ, STL) are identified by extension
+        const extension = file.name.split('.').pop().toLowerCase();
+        if (MODEL_EXTENSIONS.includes(extension)) return extension;
+
+        if (text.trimStart().startsWith('{')) return 'gltf';
+        // Binary STL has an 80 byte free-form header, so "solid" is only a hint
+        if (text.startsWith('solid')) return 'stl';
+        return null;
+    }
+
+    /**
+     * Load a model file
+     * @param {File} file - Root model file
+     * @param {string} url - Blob URL of the file (relative references are resolved against it)
+     * @param {FileResolver} resolver - Companion files (.bin, .mtl, textures)
+     * @param {Function} onProgress - Loader progress callback (glTF only)
+     */
+    async load(file, url, resolver, onProgress) {
+        const format = await ModelLoader.detectFormat(file);
+        if (!format) {
+            throw new Error(`Unsupported model format: ${file.name}`);
+        }
+
+        // Relative texture and buffer URIs arrive against this base and are mapped to local files
+        const manager = resolver.createLoadingManager(url);
+        const baseURL = THREE.LoaderUtils.extractUrlBase(url);
+
+        switch (format) {
+            case 'gltf':
+            case 'glb': {
+                this.gltfLoader.setCrossOrigin('anonymous');
+                this.gltfLoader.manager = manager;
+                const gltf = await this.gltfLoader.loadAsync(url, onProgress);
+                return { format, scene: gltf.scene, animations: gltf.animations, gltf };
+            }
+
+            case 'fbx': {
+                this.fbxLoader.manager = manager;
+                const scene = this.fbxLoader.parse(await file.arrayBuffer(), baseURL);
+                return { format, scene, animations: scene.animations || [], gltf: null };
+            }
+
+            case 'obj': {
+                const text = await file.text();
+                this.objLoader.manager = manager;
+                this.objLoader.setMaterials(await this.loadMaterialLibrary(text, baseURL, manager, resolver));
+                const scene = this.objLoader.parse(text);
+                return { format, scene, animations: [], gltf: null };
+            }
+
+            case 'stl': {
+                const geometry = this.stlLoader.parse(await file.arrayBuffer());
+                const scene = new THREE.Group();
+                scene.add(this.createMesh(geometry, file.name));
+                return { format, scene, animations: [], gltf: null };
+            }
+
+            case 'ply': {
+                const geometry = this.plyLoader.parse(await file.arrayBuffer());
+                const scene = new THREE.Group();
+                // PLY files without faces are point clouds (scans, photogrammetry)
+                scene.add(geometry.index ? this.createMesh(geometry, file.name) : this.createPoints(geometry, file.name));
+                return { format, scene, animations: [], gltf: null };
+            }
+
+            case 'usdz': {
+                const scene = this.usdzLoader.parse(await file.arrayBuffer());
+                return { format, scene, animations: [], gltf: null };
+            }
+        }
+
+        throw new Error(`Unsupported model format: ${format}`);
+    }
+
+    /**
+     * Load the .mtl library an OBJ references (mtllib), if it was provided
+     * Missing libraries are reported through the resolver and the OBJ loads with default materials
+     */
+    async loadMaterialLibrary(objText, baseURL, manager, resolver) {
+        const match = objText.match(/^mtllib\s+(.+?)\s*$/m);
+        if (!match) return null;
+
+        const mtlFile = resolver.resolve(match[1]);
+        if (!mtlFile) {
+            resolver.missing.add(match[1]);
+            return null;
+        }
+
+        this.mtlLoader.manager = manager;
+        const materials = this.mtlLoader.parse(await mtlFile.text(), baseURL);
+        materials.preload();
+        return materials;
+    }
+
+    /**
+     * Wrap a bare geometry (STL, PLY with faces) in a standard PBR mesh
+     */
+    createMesh(geometry, name) {
+        if (!geometry.hasAttribute('normal')) {
+            geometry.computeVertexNormals();
+        }
+
+        const hasColors = geometry.hasAttribute('color');
+        const material = new THREE.MeshStandardMaterial({
+            color: hasColors ? 0xffffff : 0xcccccc,
+            roughness: 0.6,
+            metalness: 0.0,
+            vertexColors: hasColors
+        });
+
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.name = name;
+        return mesh;
+    }
+
+    createPoints(geometry, name) {
+        const material = new THREE.PointsMaterial({
+            size: this.pointSize,
+            sizeAttenuation: true,
+            vertexColors: geometry.hasAttribute('color')
+        });
+
+        const points = new THREE.Points(geometry, material);
+        points.name = name;
+        return points;
+    }
+
+    /**
+     * Set the point size for future point clouds and apply it to those under a model
+     * @returns {number} Number of point clouds updated
+     */
+    setPointSize(size, root = null) {
+        this.pointSize = size;
+        if (!root) return 0;
+
+        let count = 0;
+        root.traverse(child => {
+            if (child.isPoints && child.material) {
+                child.material.size = size;
+                count++;
+            }
+        });
+        return count;
+    }
+}
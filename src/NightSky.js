@@ -0,0 +1,240 @@
+import * as THREE from 'three';
+
+/**
+ * NightSky - Stars, moon and moonlight for the time of day
+ * The time of day system places the sun, moon and the rotation of the celestial sphere;
+ * this class owns the objects and blends them in by a night factor derived from the sun
+ * elevation. The moon is shaded by the real sun direction, so its phase follows from
+ * the angle between the two. Its directional light mirrors the sun light's shadow setup
+ * and only casts shadows while it contributes light.
+ */
+export class NightSky {
+    constructor(scene, sunLight) {
+        this.scene = scene;
+        this.sunLight = sunLight;
+
+        this.enabled = true;
+        this.moonIntensity = 0.3; // Full moon light intensity
+        this.starCount = 2500;
+        this.starRadius = 450;
+        this.moonDistance = 45;
+
+        this.nightFactor = 0;
+
+        this.createStars();
+        this.createMoon();
+        this.createMoonLight();
+    }
+
+    createStars() {
+        // Seeded so the star field is the same every session (stills can be reproduced)
+        let seed = 1;
+        const random = () => {
+            seed = (seed * 16807) % 2147483647;
+            return (seed - 1) / 2147483646;
+        };
+
+        const positions = [];
+        const colors = [];
+        const color = new THREE.Color();
+        for (let i = 0; i < this.starCount; i++) {
+            // Uniform direction on the sphere
+            const y = random() * 2 - 1;
+            const angle = random() * Math.PI * 2;
+            const radius = Math.sqrt(1 - y * y);
+            positions.push(
+                Math.cos(angle) * radius * this.starRadius,
+                y * this.starRadius,
+                Math.sin(angle) * radius * this.starRadius
+            );
+
+            // Mostly faint stars, slightly blue or warm
+            const brightness = 0.25 + Math.pow(random(), 3) * 0.75;
+            color.setHSL(random() < 0.5 ? 0.6 : 0.1, 0.3 * random(), brightness);
+            colors.push(color.r, color.g, color.b);
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+
+        this.stars = new THREE.Points(geometry, new THREE.PointsMaterial({
+            size: 2,
+            sizeAttenuation: false,
+            vertexColors: true,
+            transparent: true,
+            opacity: 0,
+            depthWrite: false,
+            fog: false
+        }));
+        this.stars.name = 'Stars';
+        this.stars.visible = false;
+        this.stars.frustumCulled = false;
+        this.scene.add(this.stars);
+    }
+
+    createMoon() {
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                sunDirection: { value: new THREE.Vector3(0, 1, 0) },
+                color: { value: new THREE.Color(0xe8e4da) },
+                opacity: { value: 1 }
+            },
+            vertexShader: `
+                varying vec3 vWorldNormal;
+                varying vec3 vLocalPosition;
+                void main() {
+                    vWorldNormal = normalize(mat3(modelMatrix) * normal);
+                    vLocalPosition = position;
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform vec3 sunDirection;
+                uniform vec3 color;
+                uniform float opacity;
+                varying vec3 vWorldNormal;
+                varying vec3 vLocalPosition;
+
+                void main() {
+                    // Lit hemisphere faces the sun; a soft terminator and faint earthshine
+                    float lit = smoothstep(-0.05, 0.1, dot(normalize(vWorldNormal), sunDirection));
+
+                    // Darker maria as low frequency blotches
+                    vec3 p = normalize(vLocalPosition) * 3.0;
+                    float maria = sin(p.x * 1.7 + sin(p.y * 2.3)) * sin(p.y * 1.3 + p.z * 1.9) * sin(p.z * 2.1 + p.x);
+                    float albedo = 0.85 - smoothstep(0.0, 0.4, maria) * 0.3;
+
+                    gl_FragColor = vec4(color * albedo * (lit * 1.2 + 0.02), opacity);
+
+                    #include <tonemapping_fragment>
+                    #include <colorspace_fragment>
+                }
+            `,
+            transparent: true,
+            depthWrite: false,
+            fog: false
+        });
+
+        this.moonMesh = new THREE.Mesh(new THREE.SphereGeometry(1.6, 32, 16), material);
+        this.moonMesh.name = 'Moon';
+        this.moonMesh.visible = false;
+        this.moonMesh.userData.skipPathTracing = true;
+        this.scene.add(this.moonMesh);
+    }
+
+    createMoonLight() {
+        this.moonLight = new THREE.DirectionalLight(0xb4c4ff, 0);
+        this.moonLight.name = 'MoonLight';
+        this.moonLight.castShadow = false;
+        this.scene.add(this.moonLight);
+        this.syncShadow();
+    }
+
+    /**
+     * Copy the sun light's shadow camera, map size and filtering to the moon light
+     * (the viewer's shadow controls only touch the sun light)
+     */
+    syncShadow() {
+        const source = this.sunLight.shadow;
+        const shadow = this.moonLight.shadow;
+
+        if (!shadow.mapSize.equals(source.mapSize)) {
+            shadow.mapSize.copy(source.mapSize);
+            if (shadow.map) {
+                shadow.map.dispose();
+                shadow.map = null;
+            }
+        }
+
+        const camera = shadow.camera;
+        const sourceCamera = source.camera;
+        if (camera.left !== sourceCamera.left || camera.right !== sourceCamera.right ||
+            camera.top !== sourceCamera.top || camera.bottom !== sourceCamera.bottom ||
+            camera.near !== sourceCamera.near || camera.far !== sourceCamera.far) {
+            camera.left = sourceCamera.left;
+            camera.right = sourceCamera.right;
+            camera.top = sourceCamera.top;
+            camera.bottom = sourceCamera.bottom;
+            camera.near = sourceCamera.near;
+            camera.far = sourceCamera.far;
+            camera.updateProjectionMatrix();
+        }
+
+        shadow.bias = source.bias;
+        shadow.normalBias = source.normalBias;
+        shadow.radius = source.radius;
+        shadow.blurSamples = source.blurSamples;
+    }
+
+    /**
+     * How much of the night is shown, from the sun elevation
+     * Fades between 4° above the horizon and 8° below it (civil into nautical twilight)
+     * @param {THREE.Vector3} sunDirection - Normalized
+     */
+    static getNightFactor(sunDirection) {
+        const elevation = THREE.MathUtils.radToDeg(Math.asin(THREE.MathUtils.clamp(sunDirection.y, -1, 1)));
+        return THREE.MathUtils.smoothstep(-elevation, -4, 8);
+    }
+
+    /**
+     * Fraction of the moon disc that is lit
+     * @param {number} phase - 0 = new, 0.5 = full
+     */
+    static getIllumination(phase) {
+        return (1 - Math.cos(phase * Math.PI * 2)) / 2;
+    }
+
+    /**
+     * @param {Object} state
+     * @param {THREE.Vector3} state.sunDirection - Normalized
+     * @param {THREE.Vector3} state.moonDirection - Normalized
+     * @param {THREE.Quaternion} state.skyRotation - Rotation of the celestial sphere
+     * @param {number} state.phase - Moon phase (0 = new, 0.5 = full)
+     */
+    update({ sunDirection, moonDirection, skyRotation, phase }) {
+        this.nightFactor = this.enabled ? NightSky.getNightFactor(sunDirection) : 0;
+        const night = this.nightFactor;
+
+        // Stars
+        this.stars.quaternion.copy(skyRotation);
+        this.stars.material.opacity = night;
+        this.stars.visible = night > 0;
+
+        // Moon disc (faint by day, like the real one)
+        const moonAboveHorizon = moonDirection.y > -0.05;
+        this.moonMesh.position.copy(moonDirection).multiplyScalar(this.moonDistance);
+        this.moonMesh.material.uniforms.sunDirection.value.copy(sunDirection);
+        this.moonMesh.material.uniforms.opacity.value = THREE.MathUtils.lerp(0.35, 1, night);
+        this.moonMesh.visible = this.enabled && moonAboveHorizon;
+
+        // Moonlight takes over from the sun as it sets
+        const moonHeight = THREE.MathUtils.smoothstep(moonDirection.y, -0.02, 0.1);
+        this.moonLight.position.copy(moonDirection).multiplyScalar(this.moonDistance);
+        this.moonLight.intensity = this.moonIntensity * NightSky.getIllumination(phase) * night * moonHeight;
+        this.moonLight.visible = this.sunLight.visible;
+
+        // Only pay for the second shadow map while the moon actually lights the scene
+        this.moonLight.castShadow = this.sunLight.castShadow && this.moonLight.intensity > 0;
+        if (this.moonLight.castShadow) {
+            this.syncShadow();
+        }
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    setMoonIntensity(intensity) {
+        this.moonIntensity = intensity;
+    }
+
+    dispose() {
+        [this.stars, this.moonMesh, this.moonLight].forEach(object => this.scene.remove(object));
+        this.stars.geometry.dispose();
+        this.stars.material.dispose();
+        this.moonMesh.geometry.dispose();
+        this.moonMesh.material.dispose();
+        if (this.moonLight.shadow.map) this.moonLight.shadow.map.dispose();
+    }
+}
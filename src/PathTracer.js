@@ -1,5 +1,5 @@
 import * as THREE from 'three';
-import { WebGLPathTracer } from 'three-gpu-pathtracer';
+import { WebGLPathTracer, PhysicalCamera } from 'three-gpu-pathtracer';
 
 /**
  * PathTracingRenderer - Realistic ray tracing with global illumination
@@ -22,6 +22,20 @@ export class PathTracingRenderer {
         this.tilesX = 2; // Horizontal tiles for progressive rendering
         this.tilesY = 2; // Vertical tiles for progressive rendering
 
+        // Environment (equirectangular HDR, or null) and its rotation
+        // The viewer's scene.environment is a PMREM map, which the path tracer can't sample
+        this.environmentMap = null;
+        this.environmentRotation = new THREE.Euler();
+
+        // The path tracer only reads lens settings from a PhysicalCamera, so it traces
+        // through a copy of the viewer camera that carries the depth of field
+        this.physicalCamera = new PhysicalCamera();
+        this.depthOfField = {
+            enabled: false,
+            focusDistance: 10, // World units
+            apertureDiameter: 0 // Millimetres
+        };
+
         // Create path tracer
         this.pathTracer = null;
 
@@ -43,24 +57,11 @@ export class PathTracingRenderer {
             this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
             this.renderer.toneMappingExposure = 1.0;
 
-            // Temporarily clear environment to avoid rotation errors during init
-            const tempEnv = this.scene.environment;
-            const tempBg = this.scene.background;
-            this.scene.environment = null;
-            this.scene.background = null;
-
             // Create path tracer instance (matching example)
             // Don't pass scene/camera to constructor - will call setScene later
             this.pathTracer = new WebGLPathTracer(this.renderer);
             this.pathTracer.tiles.set(this.tilesX, this.tilesY);
 
-            // Set environment rotation to default Euler to prevent errors
-            this.pathTracer.environmentRotation = new THREE.Euler(0, 0, 0);
-
-            // Restore environment
-            this.scene.environment = tempEnv;
-            this.scene.background = tempBg;
-
             // Configure path tracer parameters
             this.updateSettings();
 
@@ -97,34 +98,73 @@ export class PathTracingRenderer {
         }
 
         if (this.pathTracer) {
-
-            // Temporarily clear environment and background to avoid rotation errors
-            // The path tracer's updateEnvironment expects textures with rotation property
-            const tempEnv = scene.environment;
-            const tempBg = scene.background;
-            scene.environment = null;
-            scene.background = null;
-
             try {
-                // Ensure environment rotation is set on the path tracer
-                if (!this.pathTracer.environmentRotation) {
-                    this.pathTracer.environmentRotation = new THREE.Euler(0, 0, 0);
-                }
-
-                this.pathTracer.setScene(scene, camera);
+                this.syncPhysicalCamera();
+                this.withPathTracerEnvironment(() => this.pathTracer.setScene(scene, this.physicalCamera));
                 console.log('Path tracer scene set successfully');
             } catch (error) {
                 console.error('Error setting path tracer scene:', error);
             }
 
-            // Restore environment and background
-            scene.environment = tempEnv;
-            scene.background = tempBg;
-
             this.reset();
         }
     }
 
+    /**
+     * Run a path tracer call with the scene's environment swapped for the path tracer's view
+     * WebGLPathTracer reads scene.environmentRotation / backgroundRotation, which three r160
+     * scenes don't have, and needs an equirectangular map rather than the raster PMREM map
+     */
+    withPathTracerEnvironment(callback) {
+        const scene = this.scene;
+        const saved = {
+            environment: scene.environment,
+            background: scene.background,
+            environmentRotation: scene.environmentRotation,
+            backgroundRotation: scene.backgroundRotation
+        };
+
+        scene.environment = this.environmentMap;
+        // Solid colors pass through; HDR backgrounds use the (rotated) environment map
+        if (!(scene.background && scene.background.isColor)) {
+            scene.background = scene.background ? this.environmentMap : null;
+        }
+        scene.environmentRotation = this.environmentRotation;
+        scene.backgroundRotation = this.environmentRotation;
+
+        // Viewer-only backdrops (the procedural sky box) would otherwise be traced as geometry
+        const hidden = scene.children.filter(child => child.userData.skipPathTracing && child.visible);
+        hidden.forEach(child => { child.visible = false; });
+
+        try {
+            callback();
+        } finally {
+            Object.assign(scene, saved);
+            hidden.forEach(child => { child.visible = true; });
+        }
+    }
+
+    /**
+     * Set the equirectangular environment used for path tracing (null for none)
+     */
+    setEnvironmentMap(texture) {
+        this.environmentMap = texture;
+        this.updateEnvironment();
+    }
+
+    setEnvironmentRotation(euler) {
+        this.environmentRotation.copy(euler);
+        this.updateEnvironment();
+    }
+
+    /**
+     * Push environment or background changes to the path tracer (restarts sampling)
+     */
+    updateEnvironment() {
+        if (!this.pathTracer || !this.scene) return;
+        this.withPathTracerEnvironment(() => this.pathTracer.updateEnvironment());
+    }
+
     /**
      * Reset path tracer (restart sampling)
      */
@@ -162,7 +202,8 @@ export class PathTracingRenderer {
                 this.init();
                 this.setScene(this.scene, this.camera);
             }
-            this.reset();
+            // The camera and lens may have changed while path tracing was off
+            this.updateCamera();
             console.log('✅ Path tracing ENABLED - You should see progressive rendering now');
             console.log('Camera position:', this.camera.position);
             console.log('Scene objects:', this.scene.children.length);
@@ -173,15 +214,65 @@ export class PathTracingRenderer {
         }
     }
 
+    /**
+     * Update materials (call after material parameters or textures change)
+     */
+    updateMaterials() {
+        if (this.pathTracer) {
+            this.pathTracer.updateMaterials();
+        }
+    }
+
     /**
      * Update camera (call when camera moves)
      */
     updateCamera() {
         if (this.pathTracer) {
+            this.syncPhysicalCamera();
             this.pathTracer.updateCamera();
         }
     }
 
+    /**
+     * Copy the viewer camera's pose and projection onto the traced camera, plus the lens
+     */
+    syncPhysicalCamera() {
+        const camera = this.camera;
+        const physical = this.physicalCamera;
+
+        camera.updateMatrixWorld();
+        camera.matrixWorld.decompose(physical.position, physical.quaternion, physical.scale);
+        physical.fov = camera.fov;
+        physical.aspect = camera.aspect;
+        physical.near = camera.near;
+        physical.far = camera.far;
+        physical.zoom = camera.zoom;
+        physical.filmGauge = camera.filmGauge;
+        physical.filmOffset = camera.filmOffset;
+        physical.updateProjectionMatrix();
+        physical.updateMatrixWorld();
+
+        const { enabled, focusDistance, apertureDiameter } = this.depthOfField;
+        physical.focusDistance = focusDistance;
+        // A zero aperture turns the path tracer's depth of field off
+        physical.bokehSize = enabled ? apertureDiameter : 0;
+        return physical;
+    }
+
+    /**
+     * Lens settings for depth of field (restarts sampling while path tracing)
+     * @param {Object} options
+     * @param {boolean} [options.enabled]
+     * @param {number} [options.focusDistance] - World units from the camera
+     * @param {number} [options.apertureDiameter] - Millimetres (focal length / f-number)
+     */
+    setDepthOfField(options) {
+        Object.assign(this.depthOfField, options);
+        if (this.enabled) {
+            this.updateCamera();
+        }
+    }
+
     /**
      * Set render scale (resolution)
      */
@@ -16,7 +16,15 @@ export class Player {
         // Player size settings
         this.scale = 0.018;
         this.eyeHeight = 0.035;
-        this.groundLevel = 0.30; // Ground collision level
+        this.groundLevel = 0.30; // Ground collision level (fallback floor)
+
+        // Mesh collision settings (used when a collision world is available)
+        this.collisionWorld = null;
+        this.collisionEnabled = true;
+        this.stepHeight = 0.012; // Ledges up to this height are stepped onto
+        this.maxSlopeAngle = THREE.MathUtils.degToRad(45); // Steeper surfaces are not walkable
+        this.noclip = true; // Free camera passes through geometry
+        this.collisionSegment = new THREE.Line3();
 
         // Player representation (for third-person view)
         this.createPlayerMesh();
@@ -32,6 +40,8 @@ export class Player {
             down: false,
             sprint: false
         };
+        // Shift is also the bookmark hotkey modifier: sprint is ignored until it is released
+        this.sprintSuppressed = false;
 
         this.setupInput();
     }
@@ -74,16 +84,31 @@ export class Player {
         document.addEventListener('keyup', (e) => {
             if (keyMap[e.code] !== undefined) {
                 this.keys[keyMap[e.code]] = false;
+                if (keyMap[e.code] === 'sprint') {
+                    this.sprintSuppressed = false;
+                }
             }
         });
     }
 
+    /**
+     * Ignore the held Shift key for sprinting (it was used for a Shift+digit hotkey)
+     */
+    suppressSprint() {
+        this.sprintSuppressed = true;
+    }
+
+    get sprinting() {
+        return this.keys.sprint && !this.sprintSuppressed;
+    }
+
     update(deltaTime, cameraController) {
         const mode = cameraController.currentMode;
 
         if (mode === cameraController.modes.FREE_CAMERA) {
             this.updateFreeCamera(deltaTime, cameraController);
-        } else {
+        } else if (mode !== cameraController.modes.ORBIT) {
+            // Orbit camera is independent of the player, so the player stays put
             this.updatePlayerMovement(deltaTime, cameraController);
         }
 
@@ -91,8 +116,9 @@ export class Player {
         this.mesh.position.copy(this.position);
         this.mesh.scale.setScalar(this.scale);
 
-        // Hide mesh in first-person mode
-        this.mesh.visible = mode !== cameraController.modes.FIRST_PERSON;
+        // Hide mesh in first-person and orbit (product review) modes
+        this.mesh.visible = mode !== cameraController.modes.FIRST_PERSON &&
+            mode !== cameraController.modes.ORBIT;
     }
 
     setScale(scale) {
@@ -125,7 +151,7 @@ export class Player {
         }
 
         // Apply speed
-        const currentSpeed = this.keys.sprint ? this.fastSpeed : this.speed;
+        const currentSpeed = this.sprinting ? this.fastSpeed : this.speed;
         moveDirection.multiplyScalar(currentSpeed);
 
         // Apply horizontal movement
@@ -146,6 +172,13 @@ export class Player {
         this.position.y += this.velocity.y * deltaTime;
         this.position.z += this.velocity.z * deltaTime;
 
+        this.isGrounded = false;
+
+        // Mesh collision against the loaded model
+        if (this.collisionEnabled && this.collisionWorld?.isReady) {
+            this.resolveMeshCollision(deltaTime);
+        }
+
         // Simple ground collision
         if (this.position.y <= this.groundLevel) {
             this.position.y = this.groundLevel;
@@ -154,6 +187,99 @@ export class Player {
         }
     }
 
+    getCollisionRadius() {
+        // Match the player mesh capsule radius (0.5 before scaling)
+        return this.scale * 0.5;
+    }
+
+    getCollisionHeight() {
+        // Head sits slightly above the eyes
+        return this.eyeHeight + this.getCollisionRadius();
+    }
+
+    /**
+     * Resolve the player capsule against the collision world
+     * Handles wall sliding, stepping, slope limits and ceilings
+     */
+    resolveMeshCollision(deltaTime) {
+        const radius = this.getCollisionRadius();
+        const height = this.getCollisionHeight();
+
+        // The capsule bottom is lifted by the step height so low ledges don't block movement;
+        // the ground probe below then lifts the player onto them
+        const bottom = this.stepHeight + radius;
+        const top = Math.max(height - radius, bottom);
+        this.collisionSegment.start.set(this.position.x, this.position.y + bottom, this.position.z);
+        this.collisionSegment.end.set(this.position.x, this.position.y + top, this.position.z);
+
+        const correction = this.collisionWorld.resolveCapsule(this.collisionSegment, radius);
+        this.position.add(correction);
+
+        // Ceiling hit while jumping
+        if (correction.y < 0 && this.velocity.y > 0) {
+            this.velocity.y = 0;
+        }
+
+        // Ground probe from inside the capsule
+        const probeOrigin = this.position.clone();
+        probeOrigin.y += bottom;
+        const hit = this.collisionWorld.raycast(
+            probeOrigin,
+            new THREE.Vector3(0, -1, 0),
+            bottom + this.stepHeight
+        );
+        if (!hit) return;
+
+        const gap = this.position.y - hit.point.y; // > 0 above ground, < 0 below it
+        if (gap > this.stepHeight || -gap > this.stepHeight) return;
+
+        const walkable = hit.normal.y >= Math.cos(this.maxSlopeAngle);
+        if (walkable) {
+            // Snap down stairs while walking, step up onto ledges
+            if (this.velocity.y <= 0) {
+                this.position.y = hit.point.y;
+                this.velocity.y = 0;
+                this.isGrounded = true;
+            }
+        } else if (gap <= 0) {
+            // Too steep: stay on the surface and slide down it. Only the part of gravity along
+            // the slope accelerates the fall, which is carried down the slope tangent
+            this.position.y = hit.point.y;
+            const { x, y, z } = hit.normal;
+            const steepness = 1 - y * y; // Squared sine of the slope angle
+            this.velocity.y = Math.min(this.velocity.y - this.gravity * deltaTime * y * y, 0);
+            if (steepness > 0) {
+                const run = -this.velocity.y * deltaTime * y / steepness;
+                this.position.x += x * run;
+                this.position.z += z * run;
+            }
+        }
+    }
+
+    setCollisionWorld(collisionWorld) {
+        this.collisionWorld = collisionWorld;
+    }
+
+    setCollisionEnabled(enabled) {
+        this.collisionEnabled = enabled;
+    }
+
+    setStepHeight(height) {
+        this.stepHeight = Math.max(0, height);
+    }
+
+    /**
+     * Set maximum walkable slope
+     * @param {number} radians - Slope angle in radians
+     */
+    setMaxSlopeAngle(radians) {
+        this.maxSlopeAngle = radians;
+    }
+
+    setNoclip(enabled) {
+        this.noclip = enabled;
+    }
+
     setGroundLevel(level) {
         this.groundLevel = level;
         // If player is below ground, move them up
@@ -183,12 +309,20 @@ export class Player {
         }
 
         // Apply speed
-        const currentSpeed = this.keys.sprint ? this.fastSpeed : this.speed;
+        const currentSpeed = this.sprinting ? this.fastSpeed : this.speed;
         moveDirection.multiplyScalar(currentSpeed * deltaTime);
 
         // Update camera position directly in free camera mode
         cameraController.camera.position.add(moveDirection);
 
+        // Collide as a sphere unless noclip is on
+        if (!this.noclip && this.collisionWorld?.isReady) {
+            const camera = cameraController.camera;
+            this.collisionSegment.start.copy(camera.position);
+            this.collisionSegment.end.copy(camera.position);
+            camera.position.add(this.collisionWorld.resolveCapsule(this.collisionSegment, this.getCollisionRadius()));
+        }
+
         // Keep player mesh at camera position for reference
         this.position.copy(cameraController.camera.position);
     }
@@ -3,15 +3,156 @@ import {
     EffectComposer,
     RenderPass,
     EffectPass,
-    BloomEffect,
     SSAOEffect,
     VignetteEffect,
-    SMAAEffect
+    SMAAEffect,
+    SMAAPreset,
+    NormalPass,
+    BlendFunction,
+    DepthOfFieldEffect,
+    NoiseEffect,
+    ChromaticAberrationEffect,
+    LensDistortionEffect,
+    LUT3DEffect
 } from 'postprocessing';
 import { GlitchEffect } from './GlitchEffectPass.js';
+import { EmissiveBloomEffect } from './EmissiveBloomEffect.js';
+import { getFStop, computeFocusRange } from './DepthOfField.js';
+import { LUTLibrary } from './LUTLibrary.js';
+import { SelectionOutline } from './SelectionOutline.js';
+
+/**
+ * Configurable effects of the post-processing stack
+ * Parameter ranges drive the settings panel and clamp values coming from presets;
+ * `apply(effect, value, manager)` pushes a value into the live effect without rebuilding it.
+ * Parameters are numeric ranges, `options` lists, `toggle` switches, `color` hex strings or a `library` id.
+ */
+export const EFFECT_DEFINITIONS = {
+    dof: {
+        enabled: false,
+        parameters: {
+            // Thin lens: the sharp zone follows from all three (see updateDepthOfField)
+            focusDistance: { min: 0.1, max: 100, step: 0.01, value: 7.5, apply: (effect, value, manager) => manager.updateDepthOfField() },
+            focalLength: { min: 10, max: 300, step: 1, value: 50, apply: (effect, value, manager) => manager.updateDepthOfField() },
+            bokehScale: { min: 0, max: 10, step: 0.1, value: 2, apply: (effect, value, manager) => manager.updateDepthOfField() }
+        }
+    },
+    bloom: {
+        enabled: false,
+        parameters: {
+            intensity: { min: 0, max: 5, step: 0.05, value: 1, apply: (effect, value) => { effect.intensity = value; } },
+            // Only glowing meshes bloom (see EmissiveBloomEffect); off blooms everything above the threshold
+            selective: { toggle: true, value: true, apply: (effect, value) => { effect.setSelective(value); } },
+            autoSelect: { toggle: true, value: true, apply: (effect, value) => { effect.autoSelect = value; } },
+            emissiveCutoff: { min: 0, max: 5, step: 0.05, value: 0.1, apply: (effect, value) => { effect.emissiveCutoff = value; } },
+            luminanceThreshold: { min: 0, max: 1.5, step: 0.01, value: 0.9, apply: (effect, value) => { effect.luminanceMaterial.threshold = value; } },
+            luminanceSmoothing: { min: 0, max: 1, step: 0.01, value: 0.3, apply: (effect, value) => { effect.luminanceMaterial.smoothing = value; } },
+            radius: { min: 0, max: 1, step: 0.01, value: 0.85, apply: (effect, value) => { effect.mipmapBlurPass.radius = value; } }
+        }
+    },
+    ssao: {
+        enabled: false,
+        parameters: {
+            intensity: { min: 0, max: 5, step: 0.05, value: 1, apply: (effect, value) => { effect.intensity = value; } },
+            // World units (models are auto-scaled to 5 units); converted to screen space every frame in updateSSAO
+            worldRadius: { min: 0.02, max: 2, step: 0.01, value: 0.3, apply: () => {} },
+            resolutionScale: { min: 0.25, max: 1, step: 0.05, value: 0.5, apply: (effect, value) => { effect.resolution.scale = value; } },
+            samples: { min: 4, max: 32, step: 1, value: 9, apply: (effect, value) => { effect.samples = value; } },
+            rings: { min: 1, max: 16, step: 1, value: 7, apply: (effect, value) => { effect.rings = value; } },
+            bias: { min: 0, max: 0.2, step: 0.005, value: 0.025, apply: (effect, value) => { effect.ssaoMaterial.bias = value; } },
+            luminanceInfluence: { min: 0, max: 1, step: 0.05, value: 0.7, apply: (effect, value) => { effect.luminanceInfluence = value; } }
+        }
+    },
+    lensDistortion: {
+        enabled: false,
+        parameters: {
+            // Positive values bulge the image (barrel), negative values pinch it (pincushion)
+            distortion: { min: -1, max: 1, step: 0.01, value: 0.1, apply: (effect, value) => { effect.distortion.set(value, value); } },
+            // Zooming in crops the black corners a barrel distortion pulls into view
+            zoom: { min: 0.5, max: 2, step: 0.01, value: 1, apply: (effect, value) => { effect.focalLength.setScalar(1 / value); } }
+        }
+    },
+    chromaticAberration: {
+        enabled: false,
+        parameters: {
+            offset: { min: 0, max: 0.02, step: 0.0005, value: 0.002, apply: (effect, value) => { effect.offset.set(value, value); } },
+            // Keep the center of the image clean and fringe towards the edges, like a real lens
+            radialModulation: { toggle: true, value: true, apply: (effect, value) => { effect.radialModulation = value; } },
+            modulationOffset: { min: 0, max: 1, step: 0.01, value: 0.15, apply: (effect, value) => { effect.modulationOffset = value; } }
+        }
+    },
+    lut: {
+        enabled: false,
+        parameters: {
+            // LUTLibrary record; the effect only exists once a LUT has been loaded
+            lutId: { library: true, value: null, apply: (effect, value, manager) => manager.loadLUT(value) },
+            intensity: { min: 0, max: 1, step: 0.01, value: 1, apply: (effect, value) => { if (effect) effect.blendMode.opacity.value = value; } }
+        }
+    },
+    vignette: {
+        enabled: true,
+        parameters: {
+            offset: { min: 0, max: 1, step: 0.01, value: 0.35, apply: (effect, value) => { effect.offset = value; } },
+            darkness: { min: 0, max: 1, step: 0.01, value: 0.5, apply: (effect, value) => { effect.darkness = value; } }
+        }
+    },
+    outline: {
+        enabled: true,
+        parameters: {
+            selectionColor: { color: true, value: '#ffaa00', apply: (effect, value) => { effect.setParameter('selectionColor', value); } },
+            // Outline the mesh under the pointer in its own color
+            hover: { toggle: true, value: true, apply: (effect, value) => { effect.setParameter('hover', value); } },
+            hoverColor: { color: true, value: '#4fc3f7', apply: (effect, value) => { effect.setParameter('hoverColor', value); } },
+            thickness: { min: 1, max: 4, step: 0.5, value: 2, apply: (effect, value) => { effect.setParameter('thickness', value); } },
+            pulse: { min: 0, max: 2, step: 0.05, value: 0, apply: (effect, value) => { effect.setParameter('pulse', value); } },
+            // Dimmed outline where the object is behind other geometry
+            xRay: { toggle: true, value: true, apply: (effect, value) => { effect.setParameter('xRay', value); } }
+        }
+    },
+    smaa: {
+        enabled: true,
+        parameters: {
+            preset: {
+                options: ['low', 'medium', 'high', 'ultra'],
+                value: 'medium',
+                apply: (effect, value) => { effect.applyPreset(SMAAPreset[value.toUpperCase()]); }
+            }
+        }
+    },
+    grain: {
+        enabled: false,
+        parameters: {
+            intensity: { min: 0, max: 1, step: 0.01, value: 0.15, apply: (effect, value) => { effect.blendMode.opacity.value = value; } },
+            // Scale the grain with the image brightness instead of lifting the shadows
+            premultiply: { toggle: true, value: false, apply: (effect, value) => { effect.premultiply = value; } }
+        }
+    }
+};
+
+// Ambient occlusion darkens the lit image before it is blurred and bloom picks out the highlights;
+// the lens effects come next, then grading. Outlines are drawn on the graded image so their colors
+// stay as picked, and smoothed by SMAA. Grain goes last so SMAA doesn't treat it as edges.
+const DEFAULT_ORDER = ['ssao', 'dof', 'bloom', 'lensDistortion', 'chromaticAberration', 'lut', 'vignette', 'outline', 'smaa', 'grain'];
+
+// Consecutive effects share one EffectPass (one full-screen draw). Effects that read the pass
+// input themselves (depth, convolution, or a blur of the input in update) must come first in
+// their pass: EffectPass also sorts effects by attributes, so this keeps the user's order.
+const PASS_LEADERS = ['ssao', 'dof', 'bloom', 'chromaticAberration', 'smaa'];
+
+// Effects that move UVs would distort every effect merged with them, so they run alone
+const STANDALONE_EFFECTS = ['lensDistortion'];
+
+// Bounds of the auto-scaled model (5 units) used until a model is loaded
+const DEFAULT_MODEL_SPHERE = new THREE.Sphere(new THREE.Vector3(0, 2.5, 0), 2.5);
 
 export class PostProcessingManager {
-    constructor(renderer, scene, camera) {
+    /**
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {THREE.Scene} scene
+     * @param {THREE.Camera} camera
+     * @param {SelectionOutline} [selectionOutline] - Shared with the viewer, which draws it itself while post-processing is off
+     */
+    constructor(renderer, scene, camera, selectionOutline = new SelectionOutline(scene, camera)) {
         this.renderer = renderer;
         this.scene = scene;
         this.camera = camera;
@@ -28,57 +169,125 @@ export class PostProcessingManager {
 
         // Create effects
         this.effects = {
+            dof: null,
             bloom: null,
             ssao: null,
+            lensDistortion: null,
+            chromaticAberration: null,
+            lut: null,
             vignette: null,
+            outline: selectionOutline,
             smaa: null,
+            grain: null,
             glitch: this.glitchEffect // Add glitch to effects
         };
 
-        this.effectPasses = {
-            bloom: null,
-            ssao: null,
-            enhanced: null,
-            glitch: null // Add glitch pass placeholder
-        };
+        // Merged passes by their effect names ('vignette+outline'), created on first use
+        this.effectPasses = new Map();
+        this.glitchPass = null;
+
+        // View-space normals for SSAO; the effect downsamples them together with the depth
+        this.normalPass = new NormalPass(scene, camera);
+
+        // SSAO radius and cutoffs are set relative to the model
+        this.modelSphere = DEFAULT_MODEL_SPHERE.clone();
+        this.ssaoScreenRadius = 0;
+        this.ssaoProjection = new THREE.Matrix4();
+        this.ssaoDebug = false;
+
+        // Color grading LUTs uploaded by the user; lutRequest drops loads that were superseded
+        this.lutLibrary = new LUTLibrary();
+        this.lutRequest = 0;
 
         // Settings
         this.enabled = false;
-        this.bloomEnabled = false;
-        this.ssaoEnabled = false;
+        this.effectOrder = [...DEFAULT_ORDER];
+        this.effectSettings = PostProcessingManager.getDefaultSettings();
+
+        // Named presets (name -> state)
+        this.presets = {};
 
         this.setupEffects();
     }
 
+    /**
+     * Enable flag and parameter values of every configurable effect at their defaults
+     */
+    static getDefaultSettings() {
+        const settings = {};
+        Object.entries(EFFECT_DEFINITIONS).forEach(([name, definition]) => {
+            settings[name] = { enabled: definition.enabled };
+            Object.entries(definition.parameters).forEach(([key, parameter]) => {
+                settings[name][key] = parameter.value;
+            });
+        });
+        return settings;
+    }
+
     setupEffects() {
-        // Bloom effect
-        this.effects.bloom = new BloomEffect({
-            intensity: 1.0,
-            luminanceThreshold: 0.9,
-            luminanceSmoothing: 0.3
+        const { bloom, ssao, vignette, outline, lensDistortion, chromaticAberration, grain } = this.effectSettings;
+
+        // Bloom effect (selective: glowing meshes only)
+        this.effects.bloom = new EmissiveBloomEffect(this.scene, this.camera, {
+            selective: bloom.selective,
+            autoSelect: bloom.autoSelect,
+            emissiveCutoff: bloom.emissiveCutoff,
+            intensity: bloom.intensity,
+            luminanceThreshold: bloom.luminanceThreshold,
+            luminanceSmoothing: bloom.luminanceSmoothing,
+            radius: bloom.radius
         });
 
-        // SSAO effect
-        this.effects.ssao = new SSAOEffect(this.camera, null, {
-            intensity: 1.0,
-            radius: 0.1
+        // SSAO effect (constant screen radius: updateSSAO sizes it for the model distance)
+        this.effects.ssao = new SSAOEffect(this.camera, this.normalPass.texture, {
+            intensity: ssao.intensity,
+            samples: ssao.samples,
+            rings: ssao.rings,
+            bias: ssao.bias,
+            luminanceInfluence: ssao.luminanceInfluence,
+            resolutionScale: ssao.resolutionScale,
+            minRadiusScale: 1
         });
 
         // Vignette effect
         this.effects.vignette = new VignetteEffect({
-            offset: 0.35,
-            darkness: 0.5
+            offset: vignette.offset,
+            darkness: vignette.darkness
         });
 
+        // Selection and hover outlines
+        Object.entries(outline).forEach(([key, value]) => {
+            if (key !== 'enabled') this.effects.outline.setParameter(key, value);
+        });
+        this.effects.outline.enabled = outline.enabled;
+
         // SMAA (anti-aliasing)
-        this.effects.smaa = new SMAAEffect();
+        this.effects.smaa = new SMAAEffect({
+            preset: SMAAPreset[this.effectSettings.smaa.preset.toUpperCase()]
+        });
 
-        // Create enhanced pass (always active when postprocessing is enabled)
-        this.effectPasses.enhanced = new EffectPass(
-            this.camera,
-            this.effects.vignette,
-            this.effects.smaa
-        );
+        // Depth of field
+        this.effects.dof = new DepthOfFieldEffect(this.camera);
+        this.updateDepthOfField();
+
+        // Lens distortion
+        this.effects.lensDistortion = new LensDistortionEffect({
+            distortion: new THREE.Vector2(lensDistortion.distortion, lensDistortion.distortion),
+            focalLength: new THREE.Vector2(1, 1).divideScalar(lensDistortion.zoom)
+        });
+
+        // Chromatic aberration
+        this.effects.chromaticAberration = new ChromaticAberrationEffect({
+            offset: new THREE.Vector2(chromaticAberration.offset, chromaticAberration.offset),
+            radialModulation: chromaticAberration.radialModulation,
+            modulationOffset: chromaticAberration.modulationOffset
+        });
+
+        // Film grain
+        this.effects.grain = new NoiseEffect({ premultiply: grain.premultiply });
+        this.effects.grain.blendMode.opacity.value = grain.intensity;
+
+        // The color grading LUT is created by setLUT
     }
 
     setEnabled(enabled) {
@@ -86,13 +295,80 @@ export class PostProcessingManager {
         this.updatePasses();
     }
 
+    get bloomEnabled() {
+        return this.effectSettings.bloom.enabled;
+    }
+
+    get ssaoEnabled() {
+        return this.effectSettings.ssao.enabled;
+    }
+
     setBloomEnabled(enabled) {
-        this.bloomEnabled = enabled;
-        this.updatePasses();
+        this.setEffectEnabled('bloom', enabled);
     }
 
     setSSAOEnabled(enabled) {
-        this.ssaoEnabled = enabled;
+        this.setEffectEnabled('ssao', enabled);
+    }
+
+    /**
+     * @param {string} name - Key of EFFECT_DEFINITIONS
+     * @param {boolean} enabled
+     */
+    setEffectEnabled(name, enabled) {
+        if (!this.effectSettings[name]) return;
+        this.effectSettings[name].enabled = enabled;
+        this.updatePasses();
+    }
+
+    /**
+     * Change one parameter of an effect (clamped to its range)
+     * @param {string} name - Effect name
+     * @param {string} key - Parameter name from EFFECT_DEFINITIONS
+     * @param {number|string|boolean|null} value
+     */
+    setEffectParameter(name, key, value) {
+        const parameter = EFFECT_DEFINITIONS[name]?.parameters[key];
+        if (!parameter) return;
+
+        const sanitized = PostProcessingManager.sanitizeParameter(parameter, value);
+        if (sanitized === undefined) return;
+
+        this.effectSettings[name][key] = sanitized;
+        parameter.apply(this.effects[name], sanitized, this);
+    }
+
+    /**
+     * Clamp a number to the parameter range, or check an option; undefined if invalid
+     */
+    static sanitizeParameter(parameter, value) {
+        if (parameter.options) {
+            return parameter.options.includes(value) ? value : undefined;
+        }
+        if (parameter.toggle) {
+            return typeof value === 'boolean' ? value : undefined;
+        }
+        if (parameter.library) {
+            return value === null || typeof value === 'string' ? value : undefined;
+        }
+        if (parameter.color) {
+            return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : undefined;
+        }
+        const number = Number(value);
+        if (!Number.isFinite(number)) return undefined;
+        const clamped = THREE.MathUtils.clamp(number, parameter.min, parameter.max);
+        return parameter.step >= 1 ? Math.round(clamped) : clamped;
+    }
+
+    /**
+     * Move an effect earlier (-1) or later (+1) in the pass order
+     */
+    moveEffect(name, direction) {
+        const index = this.effectOrder.indexOf(name);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= this.effectOrder.length) return;
+
+        [this.effectOrder[index], this.effectOrder[target]] = [this.effectOrder[target], this.effectOrder[index]];
         this.updatePasses();
     }
 
@@ -102,37 +378,328 @@ export class PostProcessingManager {
             this.composer.removePass(this.composer.passes[this.composer.passes.length - 1]);
         }
 
+        // The viewer draws the outline fallback while the stack is off
+        this.effects.outline.enabled = this.effectSettings.outline.enabled;
+
         if (!this.enabled) {
             return;
         }
 
-        // Add bloom pass
-        if (this.bloomEnabled) {
-            if (!this.effectPasses.bloom) {
-                this.effectPasses.bloom = new EffectPass(this.camera, this.effects.bloom);
-            }
-            this.composer.addPass(this.effectPasses.bloom);
-        }
+        // Enabled effects in the user's order (the AO debug view shows SSAO alone)
+        const order = this.ssaoDebug ? ['ssao'] : this.effectOrder;
+        const names = order.filter(name =>
+            (this.ssaoDebug || this.effectSettings[name].enabled) &&
+            this.effects[name] // Color grading without a loaded LUT
+        );
 
-        // Add SSAO pass
-        if (this.ssaoEnabled) {
-            if (!this.effectPasses.ssao) {
-                this.effectPasses.ssao = new EffectPass(this.camera, this.effects.ssao);
+        const used = new Set();
+        PostProcessingManager.groupEffects(names).forEach(group => {
+            const key = group.join('+');
+            if (!this.effectPasses.has(key)) {
+                const effects = group.flatMap(name => name === 'outline' ? this.effects.outline.getEffects() : [this.effects[name]]);
+                this.effectPasses.set(key, new EffectPass(this.camera, ...effects));
             }
-            this.composer.addPass(this.effectPasses.ssao);
-        }
+            if (group[0] === 'ssao') {
+                this.composer.addPass(this.normalPass);
+            }
+            this.composer.addPass(this.effectPasses.get(key));
+            used.add(key);
+        });
 
-        // Always add enhanced pass when postprocessing is enabled
-        this.composer.addPass(this.effectPasses.enhanced);
+        // Passes of groupings no longer in use (the effects themselves are kept)
+        [...this.effectPasses.keys()].forEach(key => {
+            if (!used.has(key)) this.releasePass(key);
+        });
 
         // Add glitch pass if glitch effect is active
         if (this.glitchEffect && this.glitchEffect.isActive) {
-            if (!this.effectPasses.glitch) {
+            if (!this.glitchPass) {
                 // Create glitch pass with the effect
-                this.effectPasses.glitch = new EffectPass(this.camera, this.effects.glitch);
+                this.glitchPass = new EffectPass(this.camera, this.effects.glitch);
+            }
+            this.composer.addPass(this.glitchPass);
+        }
+    }
+
+    /**
+     * Split effect names (in pass order) into runs that can share one EffectPass
+     * @param {string[]} names
+     * @returns {string[][]}
+     */
+    static groupEffects(names) {
+        const groups = [];
+        let group = null;
+        names.forEach(name => {
+            if (!group || PASS_LEADERS.includes(name) || STANDALONE_EFFECTS.includes(name) ||
+                STANDALONE_EFFECTS.includes(group[0])) {
+                group = [];
+                groups.push(group);
+            }
+            group.push(name);
+        });
+        return groups;
+    }
+
+    /**
+     * Drop a merged pass without disposing its effects (EffectPass.dispose would)
+     */
+    releasePass(key) {
+        const pass = this.effectPasses.get(key);
+        if (!pass) return;
+        this.composer.removePass(pass);
+        pass.setEffects([]); // Unhooks the change listeners
+        pass.fullscreenMaterial.dispose();
+        this.effectPasses.delete(key);
+    }
+
+    /**
+     * Derive the blur of the depth of field effect from the lens settings
+     * The effect blurs fully at one focus range from the focal plane, so the range is set
+     * to the depth of the thin lens sharp zone (capped at the far plane when it is unbounded).
+     */
+    updateDepthOfField() {
+        const { focusDistance, focalLength, bokehScale } = this.effectSettings.dof;
+        const effect = this.effects.dof;
+        if (!effect) return;
+
+        const focusRange = computeFocusRange({ focusDistance, focalLength, fStop: getFStop(bokehScale) });
+        effect.cocMaterial.focusDistance = focusDistance;
+        effect.cocMaterial.focusRange = Math.min(focusRange, this.camera.far);
+        effect.bokehScale = bokehScale;
+    }
+
+    /**
+     * Load a stored LUT into the color grading effect
+     * A LUT that fails to load (or was deleted) leaves the effect without one.
+     * @param {string|null} id - LUTLibrary record id, or null for none
+     */
+    async loadLUT(id) {
+        const request = ++this.lutRequest;
+
+        let texture = null;
+        if (id) {
+            try {
+                texture = await this.lutLibrary.loadTexture(id);
+            } catch (error) {
+                console.warn('Failed to load LUT:', error);
             }
-            this.composer.addPass(this.effectPasses.glitch);
         }
+
+        if (request !== this.lutRequest) {
+            if (texture) texture.dispose();
+            return;
+        }
+        this.setLUT(texture);
+    }
+
+    /**
+     * Replace the lookup texture of the color grading effect
+     * @param {LookupTexture|null} texture - null removes the effect
+     */
+    setLUT(texture) {
+        const effect = this.effects.lut;
+        if (effect && effect.lut === texture) return;
+
+        if (effect) {
+            [...this.effectPasses.keys()].forEach(key => {
+                if (key.split('+').includes('lut')) this.releasePass(key);
+            });
+            effect.dispose();
+            effect.lut.dispose();
+            this.effects.lut = null;
+        }
+
+        if (texture) {
+            // Tetrahedral interpolation samples texel centers, which also works where float textures can't be filtered
+            this.effects.lut = new LUT3DEffect(texture, {
+                blendFunction: BlendFunction.NORMAL,
+                tetrahedralInterpolation: true
+            });
+            this.effects.lut.blendMode.opacity.value = this.effectSettings.lut.intensity;
+        }
+
+        this.updatePasses();
+    }
+
+    /**
+     * Show the ambient occlusion buffer instead of the shaded image
+     */
+    setSSAODebug(enabled) {
+        this.ssaoDebug = enabled;
+        this.effects.ssao.blendMode.blendFunction = enabled ? BlendFunction.NORMAL : BlendFunction.MULTIPLY;
+        this.updatePasses();
+    }
+
+    /**
+     * Model bounds the SSAO radius and cutoffs are measured against
+     * @param {THREE.Box3|null} box - World bounds, or null to fall back to the default model size
+     */
+    setModelBounds(box) {
+        if (box && !box.isEmpty()) {
+            box.getBoundingSphere(this.modelSphere);
+        } else {
+            this.modelSphere.copy(DEFAULT_MODEL_SPHERE);
+        }
+    }
+
+    /**
+     * Map the world-unit SSAO radius onto the screen-space one of the effect
+     * The effect samples a fixed pixel radius, so it is sized for the distance to the model.
+     * Changing that radius recompiles the shader, so it only moves in steps of about 9%
+     * (a handful of recompiles while zooming). Depth differences larger than the radius
+     * don't occlude, and nothing far behind the model (sky, distant ground) is shaded.
+     */
+    updateSSAO() {
+        const material = this.effects.ssao.ssaoMaterial;
+        const camera = this.camera;
+        const worldRadius = this.effectSettings.ssao.worldRadius;
+        const depthRange = camera.far - camera.near;
+
+        // The material copies the projection on resize only; fov and near plane change without one
+        if (!this.ssaoProjection.equals(camera.projectionMatrix)) {
+            this.ssaoProjection.copy(camera.projectionMatrix);
+            material.copyCameraSettings(camera);
+        }
+
+        const distance = Math.max(camera.position.distanceTo(this.modelSphere.center), camera.near);
+        const viewHeight = 2 * distance * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+        const screenRadius = THREE.MathUtils.clamp(
+            Math.pow(2, Math.round(Math.log2(worldRadius / viewHeight) * 8) / 8),
+            1e-4,
+            1
+        );
+        if (screenRadius !== this.ssaoScreenRadius) {
+            this.ssaoScreenRadius = screenRadius;
+            this.effects.ssao.radius = screenRadius;
+        }
+
+        // Cutoffs are in linear depth (0 at the near plane, 1 at the far plane)
+        material.proximityThreshold = worldRadius / depthRange;
+        material.proximityFalloff = worldRadius * 0.5 / depthRange;
+        material.distanceThreshold = (distance + this.modelSphere.radius * 2 - camera.near) / depthRange;
+        material.distanceFalloff = this.modelSphere.radius / depthRange;
+    }
+
+    /**
+     * Pass order, enable flags and parameters of the configurable effects
+     */
+    getState() {
+        const effects = {};
+        Object.entries(this.effectSettings).forEach(([name, settings]) => {
+            effects[name] = { ...settings };
+        });
+        return { order: [...this.effectOrder], effects };
+    }
+
+    /**
+     * Restore a state from getState; unknown effects and invalid values are ignored
+     */
+    applyState(state) {
+        if (!state || typeof state !== 'object') return;
+
+        if (Array.isArray(state.order)) {
+            this.effectOrder = PostProcessingManager.normalizeOrder(state.order);
+        }
+
+        Object.entries(state.effects || {}).forEach(([name, settings]) => {
+            const definition = EFFECT_DEFINITIONS[name];
+            if (!definition || !settings) return;
+
+            if (typeof settings.enabled === 'boolean') {
+                this.effectSettings[name].enabled = settings.enabled;
+            }
+            Object.keys(definition.parameters).forEach(key => {
+                if (settings[key] !== undefined) {
+                    this.setEffectParameter(name, key, settings[key]);
+                }
+            });
+        });
+
+        this.updatePasses();
+    }
+
+    /**
+     * Known effects of a saved order, each once; effects added since it was saved
+     * go right after the effect that precedes them by default
+     */
+    static normalizeOrder(order) {
+        const result = order.filter((name, index) => DEFAULT_ORDER.includes(name) && order.indexOf(name) === index);
+        DEFAULT_ORDER.forEach((name, index) => {
+            if (!result.includes(name)) {
+                const previous = index > 0 ? result.indexOf(DEFAULT_ORDER[index - 1]) : -1;
+                result.splice(previous + 1, 0, name);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Back to the built-in order and parameters
+     */
+    resetState() {
+        this.applyState({ order: DEFAULT_ORDER, effects: PostProcessingManager.getDefaultSettings() });
+    }
+
+    /**
+     * Store the current state under a name (replaces a preset with the same name)
+     */
+    savePreset(name) {
+        if (!name) return;
+        this.presets[name] = this.getState();
+    }
+
+    loadPreset(name) {
+        if (!this.presets[name]) return;
+        this.applyState(this.presets[name]);
+    }
+
+    deletePreset(name) {
+        delete this.presets[name];
+    }
+
+    /**
+     * Replace all presets with saved ones
+     */
+    applyPresets(presets) {
+        if (!presets || typeof presets !== 'object') return;
+        this.presets = {};
+        Object.entries(presets).forEach(([name, state]) => {
+            if (state && typeof state === 'object') {
+                this.presets[name] = state;
+            }
+        });
+    }
+
+    /**
+     * Shareable JSON of a named preset
+     */
+    presetToJSON(name) {
+        const state = this.presets[name];
+        if (!state) return null;
+        return {
+            type: 'post-processing-preset',
+            version: 1,
+            name,
+            ...state
+        };
+    }
+
+    /**
+     * Add a preset from a shared JSON file
+     * @returns {string} The preset name
+     */
+    presetFromJSON(data) {
+        if (!data || data.type !== 'post-processing-preset' || typeof data.name !== 'string' ||
+            !data.name.trim() || !data.effects || typeof data.effects !== 'object') {
+            throw new Error('Invalid post-processing preset file');
+        }
+
+        const name = data.name.trim();
+        this.presets[name] = {
+            order: PostProcessingManager.normalizeOrder(Array.isArray(data.order) ? data.order : []),
+            effects: data.effects
+        };
+        return name;
     }
 
     render(deltaTime) {
@@ -162,6 +729,10 @@ export class PostProcessingManager {
                 }
             }
 
+            if (this.ssaoDebug || this.effectSettings.ssao.enabled) {
+                this.updateSSAO();
+            }
+
             this.composer.render(deltaTime);
         }
     }
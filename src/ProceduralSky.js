@@ -0,0 +1,134 @@
+import * as THREE from 'three';
+import { Sky } from 'three/examples/jsm/objects/Sky.js';
+
+/**
+ * ProceduralSky - Physically based atmospheric scattering sky (Preetham model)
+ * The sun direction is driven by the time of day. Besides drawing the background, the sky
+ * is rendered into a PMREM lighting map so reflections and IBL follow the sun. Regenerating
+ * that map costs a few milliseconds, so it is throttled by time and by how far the sun moved.
+ * The sky is not affected by the environment rotation: its sun has to line up with the
+ * directional light, which the time of day orbit already places.
+ */
+export class ProceduralSky {
+    constructor(scene, pmremGenerator) {
+        this.scene = scene;
+        this.pmremGenerator = pmremGenerator;
+
+        this.enabled = false;
+        this.backgroundVisible = true;
+
+        // Scattering parameters (shader uniforms)
+        this.parameters = {
+            turbidity: 10,
+            rayleigh: 3,
+            mieCoefficient: 0.005,
+            mieDirectionalG: 0.7
+        };
+
+        // Throttling for lighting map regeneration
+        this.updateInterval = 250; // Milliseconds between regenerations
+        this.updateAngle = THREE.MathUtils.degToRad(0.5); // Sun movement that counts as a change
+        this.lastUpdateTime = -Infinity;
+        this.dirty = true;
+
+        this.sunDirection = new THREE.Vector3(0, 1, 0);
+        this.lastSunDirection = new THREE.Vector3(0, 1, 0);
+
+        // Background: the shader pins the box to the far plane, the scale only keeps it out of the near plane
+        this.sky = new Sky();
+        this.sky.name = 'ProceduralSky';
+        this.sky.scale.setScalar(1000);
+        this.sky.visible = false;
+        this.sky.userData.skipPathTracing = true;
+        this.scene.add(this.sky);
+
+        // Lighting: a second box sharing the material, alone in a scene for the PMREM cube camera
+        this.environmentScene = new THREE.Scene();
+        const environmentSky = new Sky();
+        environmentSky.material.dispose();
+        environmentSky.material = this.sky.material;
+        environmentSky.scale.setScalar(10);
+        this.environmentScene.add(environmentSky);
+
+        this.renderTarget = null;
+
+        Object.entries(this.parameters).forEach(([name, value]) => this.setParameter(name, value));
+        this.sky.material.uniforms.sunPosition.value.copy(this.sunDirection);
+    }
+
+    /**
+     * Show the sky and use it as the scene environment
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.sky.visible = enabled && this.backgroundVisible;
+
+        if (enabled) {
+            if (this.dirty || !this.renderTarget) {
+                this.regenerate();
+            }
+            this.scene.environment = this.renderTarget.texture;
+        }
+    }
+
+    setBackgroundVisible(visible) {
+        this.backgroundVisible = visible;
+        this.sky.visible = this.enabled && visible;
+    }
+
+    /**
+     * @param {string} name - turbidity, rayleigh, mieCoefficient or mieDirectionalG
+     * @param {number} value
+     */
+    setParameter(name, value) {
+        if (!(name in this.parameters)) return;
+        this.parameters[name] = value;
+        this.sky.material.uniforms[name].value = value;
+        this.dirty = true;
+    }
+
+    /**
+     * Point the sun at a world position (only the direction is used)
+     */
+    setSunPosition(position) {
+        if (position.lengthSq() === 0) return;
+        this.sunDirection.copy(position).normalize();
+        this.sky.material.uniforms.sunPosition.value.copy(this.sunDirection);
+
+        if (this.sunDirection.angleTo(this.lastSunDirection) > this.updateAngle) {
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * Regenerate the lighting map if something changed and the throttle interval has passed
+     * Called once per frame
+     */
+    update() {
+        if (!this.enabled || !this.dirty) return;
+
+        const now = performance.now();
+        if (now - this.lastUpdateTime < this.updateInterval) return;
+
+        this.regenerate();
+        this.scene.environment = this.renderTarget.texture;
+    }
+
+    regenerate() {
+        const previousTarget = this.renderTarget;
+        this.renderTarget = this.pmremGenerator.fromScene(this.environmentScene);
+        if (previousTarget) previousTarget.dispose();
+
+        this.lastSunDirection.copy(this.sunDirection);
+        this.lastUpdateTime = performance.now();
+        this.dirty = false;
+    }
+
+    dispose() {
+        this.scene.remove(this.sky);
+        this.sky.geometry.dispose();
+        this.sky.material.dispose();
+        this.environmentScene.children[0].geometry.dispose();
+        if (this.renderTarget) this.renderTarget.dispose();
+    }
+}
@@ -0,0 +1,130 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+
+/**
+ * SceneExporter - Writes the loaded model back to glTF with the viewer's edits baked in
+ * The model is exported with its current transform (including the auto-scale and centering
+ * from loading), current materials and visibility, plus optional viewer lights and camera
+ */
+export class SceneExporter {
+    constructor() {
+        this.exporter = new GLTFExporter();
+    }
+
+    /**
+     * Export the model
+     * @param {THREE.Object3D} model - Loaded model root
+     * @param {Object} options
+     * @param {string} options.fileName - Base name for the output files (no extension)
+     * @param {boolean} options.binary - GLB instead of .gltf JSON
+     * @param {boolean} options.embedTextures - Keep images inside the .gltf (JSON only, GLB always embeds)
+     * @param {boolean} options.stripHidden - Leave out hidden nodes
+     * @param {THREE.Light[]} options.lights - Viewer lights to include
+     * @param {THREE.Camera|null} options.camera - Viewer camera to include
+     * @param {THREE.AnimationClip[]} options.animations - Clips to include
+     * @returns {Promise<{ name: string, blob: Blob }[]>} Files to save
+     */
+    async export(model, options) {
+        const {
+            fileName = 'scene',
+            binary = true,
+            embedTextures = true,
+            stripHidden = true,
+            lights = [],
+            camera = null,
+            animations = []
+        } = options;
+
+        const input = [model];
+        lights.forEach(light => {
+            const exported = this.createExportLight(light);
+            if (exported) input.push(exported);
+        });
+        if (camera) {
+            input.push(this.createExportCamera(camera));
+        }
+
+        const result = await this.exporter.parseAsync(input, {
+            binary,
+            onlyVisible: stripHidden,
+            animations
+        });
+
+        if (binary) {
+            return [{ name: `${fileName}.glb`, blob: new Blob([result], { type: 'model/gltf-binary' }) }];
+        }
+
+        const files = [];
+        if (!embedTextures) {
+            files.push(...await this.extractImages(result, fileName));
+        }
+        files.unshift({
+            name: `${fileName}.gltf`,
+            blob: new Blob([JSON.stringify(result, null, 2)], { type: 'model/gltf+json' })
+        });
+        return files;
+    }
+
+    /**
+     * Copy a viewer light as a KHR_lights_punctual friendly light
+     * Directional and spot lights need their target as a child at (0, 0, -1)
+     */
+    createExportLight(light) {
+        if (!light.visible) return null;
+
+        let exported;
+        if (light.isDirectionalLight) {
+            exported = new THREE.DirectionalLight(light.color, light.intensity);
+        } else if (light.isPointLight) {
+            exported = new THREE.PointLight(light.color, light.intensity, light.distance, light.decay);
+        } else if (light.isSpotLight) {
+            exported = new THREE.SpotLight(light.color, light.intensity, light.distance, light.angle, light.penumbra, light.decay);
+        } else {
+            // Ambient and hemisphere lights have no glTF equivalent
+            return null;
+        }
+
+        exported.name = light.name || light.type;
+        light.updateWorldMatrix(true, false);
+        exported.position.setFromMatrixPosition(light.matrixWorld);
+
+        if (light.target) {
+            light.target.updateWorldMatrix(true, false);
+            exported.lookAt(new THREE.Vector3().setFromMatrixPosition(light.target.matrixWorld));
+            exported.target.position.set(0, 0, -1);
+            exported.add(exported.target);
+        }
+
+        return exported;
+    }
+
+    createExportCamera(camera) {
+        const exported = camera.clone();
+        exported.name = 'ViewerCamera';
+        camera.updateWorldMatrix(true, false);
+        camera.matrixWorld.decompose(exported.position, exported.quaternion, exported.scale);
+        return exported;
+    }
+
+    /**
+     * Move embedded data URI images out of the .gltf into separate files
+     */
+    async extractImages(json, fileName) {
+        const files = [];
+        const images = json.images || [];
+
+        for (let i = 0; i < images.length; i++) {
+            const image = images[i];
+            if (!image.uri || !image.uri.startsWith('data:')) continue;
+
+            const blob = await (await fetch(image.uri)).blob();
+            const extension = blob.type === 'image/jpeg' ? 'jpg' : 'png';
+            const name = `${fileName}_${image.name ? image.name.replace(/[^\w-]+/g, '_') + '_' : ''}${i}.${extension}`;
+
+            image.uri = encodeURI(name);
+            files.push({ name, blob });
+        }
+
+        return files;
+    }
+}
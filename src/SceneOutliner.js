@@ -0,0 +1,201 @@
+import * as THREE from 'three';
+
+/**
+ * SceneOutliner - Hierarchy state for the loaded model
+ * Tracks per-node visibility, subtree isolation and the selected nodes,
+ * and draws the selection's world bounds in the viewport
+ */
+export class SceneOutliner {
+    constructor(scene) {
+        this.scene = scene;
+        this.root = null;
+
+        // Nodes hidden by the user (kept separate from isolation)
+        this.hiddenNodes = new Set();
+        this.isolatedNode = null;
+        this.selectedNodes = []; // Most recently selected last
+
+        // Selection bounds helper
+        this.bounds = new THREE.Box3();
+        this.boundsHelper = new THREE.Box3Helper(this.bounds, 0xffcc00);
+        this.boundsHelper.material.depthTest = false;
+        this.boundsHelper.material.transparent = true;
+        this.boundsHelper.renderOrder = 999;
+        this.boundsHelper.visible = false;
+        this.boundsHelper.name = 'OutlinerSelectionBounds';
+        this.scene.add(this.boundsHelper);
+
+        this.raycaster = new THREE.Raycaster();
+        // Default threshold is a whole world unit, far too coarse for scaled point clouds
+        this.raycaster.params.Points.threshold = 0.02;
+    }
+
+    /**
+     * Attach a newly loaded model (or null to clear)
+     */
+    setModel(root) {
+        this.root = root;
+        this.hiddenNodes.clear();
+        this.isolatedNode = null;
+        this.select(null);
+    }
+
+    /**
+     * Short type label for a node
+     */
+    static getNodeType(node) {
+        if (node.isSkinnedMesh) return 'SkinnedMesh';
+        if (node.isInstancedMesh) return 'InstancedMesh';
+        if (node.isMesh) return 'Mesh';
+        if (node.isPoints) return 'Points';
+        if (node.isLine) return 'Line';
+        if (node.isLight) return node.type; // DirectionalLight, PointLight, SpotLight
+        if (node.isCamera) return node.type; // PerspectiveCamera, OrthographicCamera
+        if (node.isBone) return 'Bone';
+        if (node.isGroup || node.type === 'Group') return 'Group';
+        return 'Node';
+    }
+
+    static getNodeName(node) {
+        return node.name || `<${SceneOutliner.getNodeType(node)}>`;
+    }
+
+    /**
+     * Count all descendants of a node
+     */
+    static countDescendants(node) {
+        let count = 0;
+        node.traverse(() => count++);
+        return count - 1;
+    }
+
+    isHidden(node) {
+        return this.hiddenNodes.has(node);
+    }
+
+    setNodeVisible(node, visible) {
+        if (visible) {
+            this.hiddenNodes.delete(node);
+        } else {
+            this.hiddenNodes.add(node);
+        }
+        this.applyVisibility();
+    }
+
+    /**
+     * Show only the given subtree (and the ancestors leading to it)
+     */
+    isolate(node) {
+        this.isolatedNode = node;
+        this.applyVisibility();
+    }
+
+    clearIsolation() {
+        this.isolatedNode = null;
+        this.applyVisibility();
+    }
+
+    isInSubtree(node, ancestor) {
+        for (let current = node; current; current = current.parent) {
+            if (current === ancestor) return true;
+        }
+        return false;
+    }
+
+    applyVisibility() {
+        if (!this.root) return;
+
+        const isolated = this.isolatedNode;
+        this.root.traverse(node => {
+            let visible = !this.hiddenNodes.has(node);
+            if (visible && isolated) {
+                // Keep the isolated subtree and its ancestor chain, hide everything else
+                visible = this.isInSubtree(node, isolated) || this.isInSubtree(isolated, node);
+            }
+            node.visible = visible;
+        });
+
+        this.updateBounds();
+    }
+
+    /**
+     * True when the node and all of its ancestors are visible
+     */
+    isEffectivelyVisible(node) {
+        for (let current = node; current; current = current.parent) {
+            if (!current.visible) return false;
+        }
+        return true;
+    }
+
+    /**
+     * The most recently selected node (the one the panels show)
+     */
+    get selectedNode() {
+        return this.selectedNodes[this.selectedNodes.length - 1] || null;
+    }
+
+    isSelected(node) {
+        return this.selectedNodes.includes(node);
+    }
+
+    /**
+     * Replace the selection with a single node (or clear it with null)
+     */
+    select(node) {
+        this.selectedNodes = node ? [node] : [];
+        this.updateBounds();
+    }
+
+    /**
+     * Add a node to the selection, or remove it if it is already selected
+     */
+    toggleSelection(node) {
+        if (!node) return;
+        if (this.isSelected(node)) {
+            this.selectedNodes = this.selectedNodes.filter(selected => selected !== node);
+        } else {
+            this.selectedNodes = [...this.selectedNodes, node];
+        }
+        this.updateBounds();
+    }
+
+    /**
+     * Recompute the world bounds of the selection (call after the model moves or animates)
+     * @param {boolean} precise - Use vertex positions instead of transformed geometry bounds
+     */
+    updateBounds(precise = true) {
+        this.bounds.makeEmpty();
+        if (this.selectedNodes.length === 0) {
+            this.boundsHelper.visible = false;
+            return;
+        }
+
+        const nodeBounds = new THREE.Box3();
+        this.selectedNodes.forEach(node => {
+            node.updateWorldMatrix(true, true);
+            nodeBounds.setFromObject(node, precise);
+            if (nodeBounds.isEmpty()) {
+                // Lights, cameras and empty groups: show a small box at the node position
+                const position = new THREE.Vector3().setFromMatrixPosition(node.matrixWorld);
+                nodeBounds.setFromCenterAndSize(position, new THREE.Vector3(0.05, 0.05, 0.05));
+            }
+            this.bounds.union(nodeBounds);
+        });
+        this.boundsHelper.visible = true;
+    }
+
+    /**
+     * Pick the closest visible node under normalized device coordinates
+     * @param {THREE.Vector2} ndc - Pointer position in NDC (-1 to 1)
+     * @returns {THREE.Object3D|null}
+     */
+    pick(ndc, camera) {
+        if (!this.root) return null;
+
+        this.raycaster.setFromCamera(ndc, camera);
+        const hits = this.raycaster.intersectObject(this.root, true);
+        const hit = hits.find(h => this.isEffectivelyVisible(h.object));
+        return hit ? hit.object : null;
+    }
+}
@@ -0,0 +1,276 @@
+import * as THREE from 'three';
+import { OutlineEffect } from 'postprocessing';
+import { LineSegments2 } from 'three/examples/jsm/lines/LineSegments2.js';
+import { LineSegmentsGeometry } from 'three/examples/jsm/lines/LineSegmentsGeometry.js';
+import { LineMaterial } from 'three/examples/jsm/lines/LineMaterial.js';
+
+// Edges between faces meeting at a sharper angle are drawn by the fallback (degrees)
+const EDGE_THRESHOLD_ANGLE = 30;
+
+// Outlines behind other geometry (x-ray) use this fraction of the outline color
+const HIDDEN_EDGE_FACTOR = 0.35;
+
+/**
+ * Outline pulse: 1 without pulsing, otherwise between 0.25 and 1 (same curve as OutlineEffect)
+ */
+function getPulse(time, speed) {
+    return speed > 0 ? Math.cos(time * speed * 10) * 0.375 + 0.625 : 1;
+}
+
+/**
+ * SelectionOutline - Outlines around the selected objects and the one under the pointer
+ * Holds what is outlined and how (colors, thickness, pulse, x-ray). The post-processing stack
+ * draws it with two OutlineEffects, one per color. Without the composer, renderFallback draws
+ * the crease edges of the same meshes as fixed pixel width lines over the finished frame,
+ * which costs no extra scene renders; those edges come from the rest pose, so they don't
+ * follow skinning or morph targets.
+ */
+export class SelectionOutline {
+    constructor(scene, camera) {
+        this.scene = scene;
+        this.camera = camera;
+
+        this.enabled = true;
+        this.selectionColor = new THREE.Color(0xffaa00);
+        this.hoverColor = new THREE.Color(0x4fc3f7);
+        this.hoverEnabled = true;
+        this.thickness = 2; // Pixels
+        this.pulseSpeed = 0;
+        this.xRay = true;
+
+        this.selectedObjects = [];
+        this.hoveredObject = null;
+
+        // Post-processing: one effect per color, each with its own selection layer
+        this.selectionEffect = new OutlineEffect(scene, camera, { blur: true, edgeStrength: 3 });
+        this.hoverEffect = new OutlineEffect(scene, camera, { blur: true, edgeStrength: 3 });
+
+        // Fallback: edge lines over the frame
+        this.overlayScene = new THREE.Scene();
+        this.edgeGeometries = new Map(); // BufferGeometry -> LineSegmentsGeometry
+        this.materials = {
+            selection: this.createLineMaterials(),
+            hover: this.createLineMaterials()
+        };
+        this.overlayDirty = false;
+        this.time = 0;
+        this.size = new THREE.Vector2();
+
+        this.applyStyle();
+    }
+
+    createLineMaterials() {
+        // The lines are drawn as quads, so a polygon offset lifts them off the faces they lie on
+        const parameters = {
+            linewidth: this.thickness,
+            transparent: true,
+            depthWrite: false,
+            polygonOffset: true,
+            polygonOffsetFactor: -1,
+            polygonOffsetUnits: -4
+        };
+        return {
+            visible: new LineMaterial(parameters),
+            // Only where the edge is behind what was drawn before
+            hidden: new LineMaterial({ ...parameters, depthFunc: THREE.GreaterDepth })
+        };
+    }
+
+    /**
+     * @param {string} key - selectionColor, hoverColor, hover, thickness, pulse or xRay
+     * @param {string|number|boolean} value - Colors as '#rrggbb'
+     */
+    setParameter(key, value) {
+        switch (key) {
+            case 'selectionColor':
+                this.selectionColor.set(value);
+                break;
+            case 'hoverColor':
+                this.hoverColor.set(value);
+                break;
+            case 'hover':
+                this.hoverEnabled = value;
+                this.updateSelections();
+                break;
+            case 'thickness':
+                this.thickness = value;
+                break;
+            case 'pulse':
+                this.pulseSpeed = value;
+                break;
+            case 'xRay':
+                this.xRay = value;
+                break;
+            default:
+                return;
+        }
+        this.applyStyle();
+    }
+
+    applyStyle() {
+        [[this.selectionEffect, this.selectionColor], [this.hoverEffect, this.hoverColor]].forEach(([effect, color]) => {
+            effect.visibleEdgeColor.copy(color);
+            effect.hiddenEdgeColor.copy(color).multiplyScalar(HIDDEN_EDGE_FACTOR);
+            effect.xRay = this.xRay;
+            effect.pulseSpeed = this.pulseSpeed;
+            // The edge is one texel of the mask wide, so a coarser mask draws a thicker line
+            effect.resolution.scale = 1 / this.thickness;
+        });
+
+        [[this.materials.selection, this.selectionColor], [this.materials.hover, this.hoverColor]].forEach(([materials, color]) => {
+            materials.visible.color.copy(color);
+            materials.hidden.color.copy(color).multiplyScalar(HIDDEN_EDGE_FACTOR);
+            materials.visible.linewidth = this.thickness;
+            materials.hidden.linewidth = this.thickness;
+        });
+    }
+
+    /**
+     * @param {THREE.Object3D[]} objects - Selected nodes (their meshes are outlined)
+     */
+    setSelection(objects) {
+        this.selectedObjects = [...objects];
+        this.updateSelections();
+    }
+
+    setHovered(object) {
+        if (object === this.hoveredObject) return;
+        this.hoveredObject = object;
+        this.updateSelections();
+    }
+
+    /**
+     * Visible meshes under the given nodes
+     * OutlineEffect shows its selection again after hiding it for the depth pass, so
+     * hidden meshes must not be handed to it.
+     */
+    collectMeshes(objects) {
+        const meshes = new Set();
+        objects.forEach(object => {
+            object.traverseVisible(node => {
+                if (node.isMesh && SelectionOutline.isEffectivelyVisible(node)) {
+                    meshes.add(node);
+                }
+            });
+        });
+        return meshes;
+    }
+
+    static isEffectivelyVisible(object) {
+        for (let current = object; current; current = current.parent) {
+            if (!current.visible) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Refresh the outlined meshes (also after visibility changes)
+     */
+    updateSelections() {
+        const selected = this.collectMeshes(this.selectedObjects);
+        const hovered = this.hoverEnabled && this.hoveredObject ? this.collectMeshes([this.hoveredObject]) : new Set();
+        selected.forEach(mesh => hovered.delete(mesh)); // Selected meshes keep the selection color
+
+        this.selectionEffect.selection.set(selected);
+        this.hoverEffect.selection.set(hovered);
+        this.overlayDirty = true;
+    }
+
+    get hasOutlines() {
+        return this.selectionEffect.selection.size > 0 || this.hoverEffect.selection.size > 0;
+    }
+
+    getEdgeGeometry(geometry) {
+        let edges = this.edgeGeometries.get(geometry);
+        if (!edges) {
+            const edgesGeometry = new THREE.EdgesGeometry(geometry, EDGE_THRESHOLD_ANGLE);
+            edges = new LineSegmentsGeometry().fromEdgesGeometry(edgesGeometry);
+            edgesGeometry.dispose();
+            this.edgeGeometries.set(geometry, edges);
+        }
+        return edges;
+    }
+
+    /**
+     * Rebuild the fallback lines for the current outlines
+     */
+    rebuildOverlay() {
+        this.overlayScene.clear();
+        [[this.selectionEffect, this.materials.selection], [this.hoverEffect, this.materials.hover]].forEach(([effect, materials]) => {
+            effect.selection.forEach(mesh => {
+                const geometry = this.getEdgeGeometry(mesh.geometry);
+                [materials.visible, materials.hidden].forEach(material => {
+                    const line = new LineSegments2(geometry, material);
+                    line.matrixAutoUpdate = false;
+                    line.frustumCulled = false;
+                    line.userData.mesh = mesh;
+                    line.userData.hidden = material === materials.hidden;
+                    this.overlayScene.add(line);
+                });
+            });
+        });
+
+        // Geometries of meshes that are no longer outlined
+        const used = new Set(this.overlayScene.children.map(line => line.userData.mesh.geometry));
+        this.edgeGeometries.forEach((edges, geometry) => {
+            if (!used.has(geometry)) {
+                edges.dispose();
+                this.edgeGeometries.delete(geometry);
+            }
+        });
+
+        this.overlayDirty = false;
+    }
+
+    /**
+     * Draw the outlines over a frame rendered without post-processing
+     * Call right after rendering the scene, so its depth buffer is still there.
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {number} deltaTime - Seconds
+     */
+    renderFallback(renderer, deltaTime) {
+        if (!this.enabled || !this.hasOutlines) return;
+        if (this.overlayDirty) this.rebuildOverlay();
+
+        this.time += deltaTime;
+        const pulse = getPulse(this.time, this.pulseSpeed);
+        renderer.getSize(this.size);
+        [this.materials.selection, this.materials.hover].forEach(materials => {
+            [materials.visible, materials.hidden].forEach(material => {
+                material.opacity = pulse;
+                material.resolution.copy(this.size);
+            });
+        });
+
+        // Follow animated and moved meshes
+        this.overlayScene.children.forEach(line => {
+            line.matrix.copy(line.userData.mesh.matrixWorld);
+            line.matrixWorldNeedsUpdate = true;
+            line.visible = (this.xRay || !line.userData.hidden) && line.userData.mesh.visible;
+        });
+
+        const autoClear = renderer.autoClear;
+        renderer.autoClear = false;
+        renderer.render(this.overlayScene, this.camera);
+        renderer.autoClear = autoClear;
+    }
+
+    /**
+     * Effects for the post-processing pass (hover first, so the selection draws on top)
+     */
+    getEffects() {
+        return [this.hoverEffect, this.selectionEffect];
+    }
+
+    dispose() {
+        this.overlayScene.clear();
+        this.edgeGeometries.forEach(edges => edges.dispose());
+        this.edgeGeometries.clear();
+        [this.materials.selection, this.materials.hover].forEach(materials => {
+            materials.visible.dispose();
+            materials.hidden.dispose();
+        });
+        this.selectionEffect.dispose();
+        this.hoverEffect.dispose();
+    }
+}
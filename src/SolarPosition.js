@@ -0,0 +1,120 @@
+// Solar ephemeris (NOAA general solar position equations) and mean moon phase
+// Accurate to about a minute of time / a fraction of a degree, which is plenty for
+// lighting studies. Angles are in degrees, times are local clock hours in the given
+// UTC offset (no daylight saving).
+
+const DEG = Math.PI / 180;
+
+// Sun center 0.833° below the horizon: refraction plus the solar disc radius
+const SUNRISE_ZENITH = 90.833;
+
+/**
+ * Day of the year (1-366) and the length of that year
+ * @param {string} date - 'YYYY-MM-DD'
+ */
+function parseDate(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    const dayOfYear = (Date.UTC(year, month - 1, day) - Date.UTC(year, 0, 1)) / 86400000 + 1;
+    const isLeapYear = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+    return { dayOfYear, daysInYear: isLeapYear ? 366 : 365 };
+}
+
+/**
+ * Equation of time (minutes) and solar declination (radians) for a moment of the day
+ */
+function getSolarTerms(date, hours) {
+    const { dayOfYear, daysInYear } = parseDate(date);
+    // Fractional year in radians
+    const gamma = (2 * Math.PI / daysInYear) * (dayOfYear - 1 + (hours - 12) / 24);
+
+    const equationOfTime = 229.18 * (0.000075
+        + 0.001868 * Math.cos(gamma) - 0.032077 * Math.sin(gamma)
+        - 0.014615 * Math.cos(2 * gamma) - 0.040849 * Math.sin(2 * gamma));
+
+    const declination = 0.006918
+        - 0.399912 * Math.cos(gamma) + 0.070257 * Math.sin(gamma)
+        - 0.006758 * Math.cos(2 * gamma) + 0.000907 * Math.sin(2 * gamma)
+        - 0.002697 * Math.cos(3 * gamma) + 0.00148 * Math.sin(3 * gamma);
+
+    return { equationOfTime, declination };
+}
+
+/**
+ * Sun position for a local clock time
+ * @param {Object} options
+ * @param {string} options.date - 'YYYY-MM-DD'
+ * @param {number} options.hours - Local clock time (0-24)
+ * @param {number} options.latitude - Degrees, north positive
+ * @param {number} options.longitude - Degrees, east positive
+ * @param {number} options.timezone - UTC offset in hours
+ * @returns {{ azimuth: number, elevation: number, hourAngle: number }}
+ *   Azimuth clockwise from true north, elevation above the horizon, hour angle
+ *   (negative before solar noon)
+ */
+export function computeSolarPosition({ date, hours, latitude, longitude, timezone }) {
+    const { equationOfTime, declination } = getSolarTerms(date, hours);
+
+    // True solar time (minutes) and hour angle
+    const timeOffset = equationOfTime + 4 * longitude - 60 * timezone;
+    const trueSolarTime = hours * 60 + timeOffset;
+    const hourAngle = ((((trueSolarTime / 4 - 180) % 360) + 540) % 360) - 180; // Wrap to -180..180
+
+    const phi = latitude * DEG;
+    const h = hourAngle * DEG;
+
+    const cosZenith = Math.sin(phi) * Math.sin(declination)
+        + Math.cos(phi) * Math.cos(declination) * Math.cos(h);
+    const elevation = 90 - Math.acos(Math.min(1, Math.max(-1, cosZenith))) / DEG;
+
+    // Measured from south (westward positive), then turned to clockwise from north
+    const azimuthFromSouth = Math.atan2(
+        Math.sin(h),
+        Math.cos(h) * Math.sin(phi) - Math.tan(declination) * Math.cos(phi)
+    ) / DEG;
+    const azimuth = (azimuthFromSouth + 180 + 360) % 360;
+
+    return { azimuth, elevation, hourAngle };
+}
+
+/**
+ * Sunrise, solar noon and sunset for a day
+ * @param {Object} options - date, latitude, longitude, timezone (see computeSolarPosition)
+ * @returns {{ sunrise: number|null, noon: number, sunset: number|null, polar: 'day'|'night'|null }}
+ *   Local clock hours; sunrise and sunset are null during polar day or night
+ */
+export function computeSunTimes({ date, latitude, longitude, timezone }) {
+    // Terms evaluated at local noon are close enough for the whole day
+    const { equationOfTime, declination } = getSolarTerms(date, 12);
+
+    const noon = (720 - 4 * longitude - equationOfTime + timezone * 60) / 60;
+
+    const phi = latitude * DEG;
+    const cosHourAngle = Math.cos(SUNRISE_ZENITH * DEG) / (Math.cos(phi) * Math.cos(declination))
+        - Math.tan(phi) * Math.tan(declination);
+
+    if (cosHourAngle > 1) return { sunrise: null, noon, sunset: null, polar: 'night' };
+    if (cosHourAngle < -1) return { sunrise: null, noon, sunset: null, polar: 'day' };
+
+    // 4 minutes per degree of hour angle
+    const halfDay = (Math.acos(cosHourAngle) / DEG) * 4 / 60;
+    return { sunrise: noon - halfDay, noon, sunset: noon + halfDay, polar: null };
+}
+
+// New moon of 2000-01-06 18:14 UTC and the mean synodic month
+const REFERENCE_NEW_MOON = Date.UTC(2000, 0, 6, 18, 14);
+const SYNODIC_MONTH = 29.530588853; // Days
+
+/**
+ * Moon phase as a fraction of the synodic month (mean motion, within about a day)
+ * @param {Object} options
+ * @param {string} options.date - 'YYYY-MM-DD'
+ * @param {number} options.hours - Local clock time (0-24)
+ * @param {number} options.timezone - UTC offset in hours
+ * @returns {number} 0 = new moon, 0.25 = first quarter, 0.5 = full moon, 0.75 = last quarter
+ */
+export function computeMoonPhase({ date, hours, timezone }) {
+    const [year, month, day] = date.split('-').map(Number);
+    const time = Date.UTC(year, month - 1, day) + (hours - timezone) * 3600000;
+    const days = (time - REFERENCE_NEW_MOON) / 86400000;
+    return ((days / SYNODIC_MONTH) % 1 + 1) % 1;
+}
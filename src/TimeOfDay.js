@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import { computeSolarPosition, computeSunTimes, computeMoonPhase } from './SolarPosition.js';
+import { NightSky } from './NightSky.js';
 
 export class TimeOfDaySystem {
     constructor(scene, directionalLight, hemisphereLight) {
@@ -22,58 +24,69 @@ export class TimeOfDaySystem {
             z: 0     // Roll: rotate orbit around Z-axis
         };
 
+        // Geographic sun position (solar ephemeris) instead of the fixed 6:00-18:00 arc
+        // timeOfDay is then the local clock time in the given UTC offset
+        this.ephemeris = {
+            enabled: false,
+            latitude: 37.5665,  // Degrees, north positive (Seoul)
+            longitude: 126.978, // Degrees, east positive
+            date: new Date().toISOString().slice(0, 10), // 'YYYY-MM-DD'
+            timezone: 9,        // UTC offset in hours
+            northOffset: 0      // Degrees clockwise from -Z to the model's north
+        };
+
+        // Procedural sky whose sun follows the time of day (see setSky)
+        this.sky = null;
+
         // Create visible sun mesh
         this.createSunMesh();
 
+        // Stars, moon and moonlight (take over from the sun at dusk)
+        this.nightSky = new NightSky(scene, directionalLight);
+        this.moonPhase = 0.5; // 0 = new, 0.5 = full; from the date when the ephemeris is on
+
         // Color presets for different times (adjusted for black background)
         this.timeColorPresets = {
             night: {
                 sky: new THREE.Color(0x000000), // Black background
                 sun: new THREE.Color(0x4060ff),
                 ambient: new THREE.Color(0x202050),
-                fog: new THREE.Color(0x000000),
                 sunIntensity: 0.1
             },
             dawn: {
                 sky: new THREE.Color(0x000000), // Keep black background
                 sun: new THREE.Color(0xff9a56),
                 ambient: new THREE.Color(0xff8c69),
-                fog: new THREE.Color(0x000000),
                 sunIntensity: 0.6
             },
             morning: {
                 sky: new THREE.Color(0x000000), // Keep black background
                 sun: new THREE.Color(0xfffacd),
                 ambient: new THREE.Color(0xfff8dc),
-                fog: new THREE.Color(0x000000),
                 sunIntensity: 1.2
             },
             noon: {
                 sky: new THREE.Color(0x000000), // Keep black background
                 sun: new THREE.Color(0xfffaf0),
                 ambient: new THREE.Color(0xffffff),
-                fog: new THREE.Color(0x000000),
                 sunIntensity: 2.0
             },
             afternoon: {
                 sky: new THREE.Color(0x000000), // Keep black background
                 sun: new THREE.Color(0xffd700),
                 ambient: new THREE.Color(0xffefd5),
-                fog: new THREE.Color(0x000000),
                 sunIntensity: 1.5
             },
             dusk: {
                 sky: new THREE.Color(0x000000), // Keep black background
                 sun: new THREE.Color(0xff4500),
                 ambient: new THREE.Color(0xff7f50),
-                fog: new THREE.Color(0x000000),
                 sunIntensity: 0.5
             },
             evening: {
                 sky: new THREE.Color(0x000000), // Keep black background
                 sun: new THREE.Color(0x4169e1),
                 ambient: new THREE.Color(0x483d8b),
-                fog: new THREE.Color(0x000000),
                 sunIntensity: 0.2
             }
         };
@@ -93,12 +106,12 @@ export class TimeOfDaySystem {
 
     updateLighting() {
         // Get colors for current time
-        const colors = this.getColorsForTime(this.timeOfDay);
+        const colors = this.getColorsForTime(this.getLightingTime(this.timeOfDay));
 
-        // Update scene colors
-        this.scene.background = colors.sky;
-        if (this.scene.fog) {
-            this.scene.fog.color = colors.fog;
+        // Update scene colors (the procedural sky draws its own background)
+        // Fog is owned by the weather system, which darkens it at night
+        if (!this.isSkyActive()) {
+            this.scene.background = colors.sky;
         }
 
         // Update sun color and intensity
@@ -111,6 +124,66 @@ export class TimeOfDaySystem {
 
         // Update sun position based on time
         this.updateSunPosition(this.timeOfDay);
+
+        // Stars and moon; the sun light fades out as the moonlight fades in
+        this.updateNightSky(this.timeOfDay);
+    }
+
+    updateNightSky(time) {
+        const sunDirection = this.directionalLight.position.clone().normalize();
+        const phase = this.getMoonPhase(time);
+
+        // The moon trails the sun by its phase: a new moon rises with the sun, a full moon at sunset
+        const moonTime = time - phase * 24;
+        const moonDirection = (this.ephemeris.enabled
+            ? this.getEphemerisSunPosition(moonTime)
+            : this.getOrbitSunPosition(moonTime)).normalize();
+
+        this.nightSky.update({
+            sunDirection,
+            moonDirection,
+            skyRotation: this.getSkyRotation(time),
+            phase
+        });
+        this.directionalLight.intensity *= 1 - this.nightSky.nightFactor;
+    }
+
+    /**
+     * Moon phase (0 = new, 0.5 = full): from the calendar with the ephemeris, manual otherwise
+     */
+    getMoonPhase(time = this.timeOfDay) {
+        if (!this.ephemeris.enabled) return this.moonPhase;
+
+        const { date, timezone } = this.ephemeris;
+        return computeMoonPhase({ date, hours: time, timezone });
+    }
+
+    /**
+     * Rotation of the celestial sphere, turning with the sun
+     * On the fixed orbit the stars turn around the orbit axis; with the ephemeris around the
+     * celestial pole (due north, raised by the latitude) by the sun's hour angle
+     */
+    getSkyRotation(time) {
+        if (!this.ephemeris.enabled) {
+            const sunAngle = ((time - 6) / 12) * Math.PI;
+            const orbit = new THREE.Quaternion().setFromEuler(new THREE.Euler(
+                this.orbitRotation.x,
+                this.orbitRotation.y,
+                this.orbitRotation.z,
+                'XYZ'
+            ));
+            return orbit.multiply(new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), sunAngle));
+        }
+
+        const latitude = THREE.MathUtils.degToRad(this.ephemeris.latitude);
+        const north = THREE.MathUtils.degToRad(this.ephemeris.northOffset);
+        const pole = new THREE.Vector3(
+            Math.cos(latitude) * Math.sin(north),
+            Math.sin(latitude),
+            -Math.cos(latitude) * Math.cos(north)
+        );
+        const hourAngle = THREE.MathUtils.degToRad(this.getSolarPosition(time).hourAngle);
+        return new THREE.Quaternion().setFromAxisAngle(pole, -hourAngle);
     }
 
     createSunMesh() {
@@ -124,8 +197,35 @@ export class TimeOfDaySystem {
     }
 
     updateSunPosition(time) {
+        const position = this.ephemeris.enabled
+            ? this.getEphemerisSunPosition(time)
+            : this.getOrbitSunPosition(time);
+
+        this.directionalLight.position.copy(position);
+
+        if (this.sky) {
+            this.sky.setSunPosition(position);
+        }
+
+        // Update sun mesh position
+        if (this.sunMesh) {
+            this.sunMesh.position.copy(position);
+
+            // Update sun color based on time
+            const colors = this.getColorsForTime(this.getLightingTime(time));
+            this.sunMesh.material.color = colors.sun;
+
+            // Hide sun when below horizon (based on rotated Y component)
+            // The procedural sky renders its own sun disc
+            this.sunMesh.visible = position.y > 0 && !this.isSkyActive();
+        }
+    }
+
+    /**
+     * Sun position on the fixed orbit (rises at 6:00, sets at 18:00), tilted by the orbit rotation
+     */
+    getOrbitSunPosition(time) {
         // Calculate sun angle (0 = midnight, 12 = noon)
-        // Sun rises at 6:00, sets at 18:00
         const sunAngle = ((time - 6) / 12) * Math.PI; // -PI to PI
 
         // Base position: sun in arc across sky (default: X-Y plane)
@@ -148,20 +248,52 @@ export class TimeOfDaySystem {
 
         // Apply rotation to position
         position.applyMatrix4(rotationMatrix);
+        return position;
+    }
 
-        this.directionalLight.position.copy(position);
+    /**
+     * Sun position from the solar ephemeris
+     * World -Z is north and +X is east, turned clockwise (seen from above) by the north offset
+     */
+    getEphemerisSunPosition(time) {
+        const { azimuth, elevation } = this.getSolarPosition(time);
+        const azimuthRadians = THREE.MathUtils.degToRad(azimuth + this.ephemeris.northOffset);
+        const elevationRadians = THREE.MathUtils.degToRad(elevation);
+
+        return new THREE.Vector3(
+            Math.cos(elevationRadians) * Math.sin(azimuthRadians),
+            Math.sin(elevationRadians),
+            -Math.cos(elevationRadians) * Math.cos(azimuthRadians)
+        ).multiplyScalar(this.sunDistance);
+    }
 
-        // Update sun mesh position
-        if (this.sunMesh) {
-            this.sunMesh.position.copy(position);
+    /**
+     * True azimuth and elevation (degrees) for a local clock time on the ephemeris date
+     */
+    getSolarPosition(time = this.timeOfDay) {
+        const { date, latitude, longitude, timezone } = this.ephemeris;
+        return computeSolarPosition({ date, hours: time, latitude, longitude, timezone });
+    }
 
-            // Update sun color based on time
-            const colors = this.getColorsForTime(time);
-            this.sunMesh.material.color = colors.sun;
+    /**
+     * Sunrise, solar noon and sunset (local clock hours) for the ephemeris date and location
+     */
+    getSunTimes() {
+        const { date, latitude, longitude, timezone } = this.ephemeris;
+        return computeSunTimes({ date, latitude, longitude, timezone });
+    }
 
-            // Hide sun when below horizon (based on rotated Y component)
-            this.sunMesh.visible = position.y > 0;
-        }
+    /**
+     * Time used to pick the sky/sun color presets
+     * The presets follow the fixed orbit, where the sun climbs 15° per hour from 6:00. With the
+     * ephemeris the time with the same sun elevation is used instead, so dawn colors appear at
+     * the real sunrise and winter noons don't get midday light.
+     */
+    getLightingTime(time) {
+        if (!this.ephemeris.enabled) return time;
+
+        const { elevation, hourAngle } = this.getSolarPosition(time);
+        return hourAngle < 0 ? 6 + elevation / 15 : 18 - elevation / 15;
     }
 
     getColorsForTime(time) {
@@ -208,7 +340,6 @@ export class TimeOfDaySystem {
             sky: new THREE.Color().lerpColors(preset1.sky, preset2.sky, t),
             sun: new THREE.Color().lerpColors(preset1.sun, preset2.sun, t),
             ambient: new THREE.Color().lerpColors(preset1.ambient, preset2.ambient, t),
-            fog: new THREE.Color().lerpColors(preset1.fog, preset2.fog, t),
             sunIntensity: THREE.MathUtils.lerp(preset1.sunIntensity, preset2.sunIntensity, t)
         };
     }
@@ -231,6 +362,19 @@ export class TimeOfDaySystem {
         this.enabled = enabled;
     }
 
+    /**
+     * Attach a procedural sky; its sun direction follows updateSunPosition
+     * @param {ProceduralSky|null} sky
+     */
+    setSky(sky) {
+        this.sky = sky;
+        this.updateLighting();
+    }
+
+    isSkyActive() {
+        return Boolean(this.sky && this.sky.enabled);
+    }
+
     /**
      * Set sun orbit rotation around X-axis (pitch)
      * @param {number} radians - Rotation in radians
@@ -271,6 +415,34 @@ export class TimeOfDaySystem {
         this.updateLighting();
     }
 
+    /**
+     * Set the manual moon phase (used without the ephemeris)
+     * @param {number} phase - 0 = new, 0.25 = first quarter, 0.5 = full, 0.75 = last quarter
+     */
+    setMoonPhase(phase) {
+        this.moonPhase = phase;
+        this.updateLighting();
+    }
+
+    setNightSkyEnabled(enabled) {
+        this.nightSky.setEnabled(enabled);
+        this.updateLighting();
+    }
+
+    setMoonIntensity(intensity) {
+        this.nightSky.setMoonIntensity(intensity);
+        this.updateLighting();
+    }
+
+    /**
+     * Update the solar ephemeris (any of enabled, latitude, longitude, date, timezone, northOffset)
+     * @param {Object} changes
+     */
+    setEphemeris(changes) {
+        Object.assign(this.ephemeris, changes);
+        this.updateLighting();
+    }
+
     /**
      * Get current orbit rotation in degrees
      */
@@ -283,8 +455,16 @@ export class TimeOfDaySystem {
     }
 
     getTimeString() {
-        const hours = Math.floor(this.timeOfDay);
-        const minutes = Math.floor((this.timeOfDay % 1) * 60);
+        return TimeOfDaySystem.formatTime(this.timeOfDay);
+    }
+
+    /**
+     * Clock time in hours as HH:MM (wrapped into 0-24)
+     */
+    static formatTime(time) {
+        const wrapped = ((time % 24) + 24) % 24;
+        const hours = Math.floor(wrapped);
+        const minutes = Math.floor((wrapped % 1) * 60);
         return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
     }
 }
@@ -0,0 +1,83 @@
+// Shared IndexedDB database for everything the viewer persists locally
+// Each feature owns one object store; bump DB_VERSION when adding a store
+
+export const DB_NAME = 'GLTFViewerDB';
+export const DB_VERSION = 3;
+
+// Object stores (all keyed by 'id')
+export const STORES = {
+    HDR_FILES: 'hdrFiles',
+    MODELS: 'models',
+    LUT_FILES: 'lutFiles'
+};
+
+let dbPromise = null;
+
+/**
+ * Open (and upgrade) the viewer database
+ * The connection is shared, so repeated calls are cheap. It is closed when another tab
+ * upgrades the database, and an upgrade blocked by an older tab fails instead of waiting.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openViewerDB() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            let blocked = false;
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+            request.onblocked = () => {
+                // Another tab still has the previous version open
+                blocked = true;
+                dbPromise = null;
+                console.warn('Viewer database upgrade is blocked by another open tab');
+                reject(new Error('Viewer database upgrade blocked: close other tabs of the viewer and try again'));
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                if (blocked) {
+                    // The other tab closed after the request was given up on
+                    db.close();
+                    return;
+                }
+                // Let a newer version in another tab upgrade; the next call reopens
+                db.onversionchange = () => {
+                    db.close();
+                    dbPromise = null;
+                };
+                resolve(db);
+            };
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                Object.values(STORES).forEach(name => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, { keyPath: 'id' });
+                    }
+                });
+            };
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Run a single request against a store and resolve with its result
+ * Resolves only once the transaction commits, so a write aborted afterwards (e.g. by the
+ * storage quota) is reported as a failure.
+ * @param {string} storeName - One of STORES
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the IDBObjectStore and returns an IDBRequest
+ */
+export async function storeRequest(storeName, mode, callback) {
+    const db = await openViewerDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([storeName], mode);
+        const request = callback(transaction.objectStore(storeName));
+        // Request errors bubble up to the transaction
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error || request.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
@@ -0,0 +1,347 @@
+import * as THREE from 'three';
+
+/**
+ * WeatherSystem - Weather presets driving precipitation, fog, wind and sunlight
+ * A preset is a target state; switching presets interpolates from the current state over
+ * the transition time, so rain fades into snow and fog thickens gradually. Rain and snow
+ * are separate particle layers in a box that wraps around the camera, each with a density
+ * (fraction of its particles drawn) and drifted by the wind.
+ * The weather owns the scene fog (exponential, tinted darker at night) and dims the sun
+ * and moon lights after the time of day has set them each frame.
+ */
+export class WeatherSystem {
+    static PRESETS = {
+        clear: {
+            rain: 0, snow: 0,
+            fogDensity: 0.006, fogColor: 0xa8bccf,
+            windDirection: 45, windStrength: 1,
+            lightFactor: 1
+        },
+        overcast: {
+            rain: 0, snow: 0,
+            fogDensity: 0.02, fogColor: 0x9aa0a8,
+            windDirection: 90, windStrength: 3,
+            lightFactor: 0.35
+        },
+        rain: {
+            rain: 0.6, snow: 0,
+            fogDensity: 0.03, fogColor: 0x7d848c,
+            windDirection: 120, windStrength: 4,
+            lightFactor: 0.25
+        },
+        snow: {
+            rain: 0, snow: 0.7,
+            fogDensity: 0.04, fogColor: 0xd0d6de,
+            windDirection: 60, windStrength: 2,
+            lightFactor: 0.4
+        },
+        storm: {
+            rain: 1, snow: 0,
+            fogDensity: 0.05, fogColor: 0x4a5058,
+            windDirection: 150, windStrength: 12,
+            lightFactor: 0.12
+        }
+    };
+
+    /**
+     * @param {THREE.Scene} scene
+     * @param {THREE.Light[]} lights - Lights dimmed by clouds (sun and moon)
+     */
+    constructor(scene, lights) {
+        this.scene = scene;
+        this.lights = lights;
+
+        this.preset = 'clear';
+        this.transitionDuration = 5; // Seconds
+        this.windDirection = WeatherSystem.PRESETS.clear.windDirection; // Degrees clockwise from north (-Z), blowing toward
+        this.windStrength = WeatherSystem.PRESETS.clear.windStrength; // Units per second
+
+        this.state = this.createState(WeatherSystem.PRESETS.clear);
+        this.transition = null;
+
+        // Precipitation volume around the camera
+        this.volumeSize = new THREE.Vector3(24, 16, 24);
+
+        // Exponential fog, enabled by the viewer's fog toggle
+        this.fog = new THREE.FogExp2(this.state.fogColor.getHex(), this.state.fogDensity);
+        this.fogEnabled = Boolean(scene.fog);
+        this.scene.fog = this.fogEnabled ? this.fog : null;
+
+        this.rain = this.createPrecipitation({
+            name: 'Rain',
+            count: 6000,
+            size: 0.35,
+            fallSpeed: 9,
+            drift: 0.6, // Heavy drops follow the wind less
+            color: new THREE.Color(0xaebbd0),
+            opacity: 0.45,
+            streak: 1
+        });
+        this.snow = this.createPrecipitation({
+            name: 'Snow',
+            count: 5000,
+            size: 0.12,
+            fallSpeed: 1.1,
+            drift: 1,
+            color: new THREE.Color(0xffffff),
+            opacity: 0.85,
+            streak: 0
+        });
+    }
+
+    /**
+     * Interpolatable state of a preset (wind as a vector so directions blend without wrapping)
+     */
+    createState(preset, windDirection = preset.windDirection, windStrength = preset.windStrength) {
+        return {
+            rain: preset.rain,
+            snow: preset.snow,
+            fogDensity: preset.fogDensity,
+            fogColor: new THREE.Color(preset.fogColor),
+            wind: WeatherSystem.windVector(windDirection, windStrength),
+            lightFactor: preset.lightFactor
+        };
+    }
+
+    /**
+     * Wind direction (degrees clockwise from north, -Z) and strength to an XZ vector
+     */
+    static windVector(direction, strength) {
+        const radians = THREE.MathUtils.degToRad(direction);
+        return new THREE.Vector2(Math.sin(radians) * strength, -Math.cos(radians) * strength);
+    }
+
+    createPrecipitation({ name, count, size, fallSpeed, drift, color, opacity, streak }) {
+        const positions = new Float32Array(count * 3);
+        const seeds = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            positions[i * 3] = Math.random() * this.volumeSize.x;
+            positions[i * 3 + 1] = Math.random() * this.volumeSize.y;
+            positions[i * 3 + 2] = Math.random() * this.volumeSize.z;
+            seeds[i] = Math.random();
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('seed', new THREE.BufferAttribute(seeds, 1));
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                offset: { value: new THREE.Vector3() },
+                center: { value: new THREE.Vector3() },
+                volumeSize: { value: this.volumeSize },
+                density: { value: 0 },
+                size: { value: size },
+                color: { value: color },
+                opacity: { value: opacity },
+                streak: { value: streak },
+                time: { value: 0 },
+                pixelRatio: { value: window.devicePixelRatio }
+            },
+            vertexShader: `
+                attribute float seed;
+
+                uniform vec3 offset;
+                uniform vec3 center;
+                uniform vec3 volumeSize;
+                uniform float density;
+                uniform float size;
+                uniform float streak;
+                uniform float time;
+                uniform float pixelRatio;
+
+                varying float vFade;
+
+                void main() {
+                    // Particles beyond the current density are skipped
+                    if (seed > density) {
+                        gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+                        gl_PointSize = 0.0;
+                        return;
+                    }
+
+                    // Wrap the drifting particles into a box centered on the camera
+                    vec3 p = position + offset;
+                    p = center + mod(p - center + volumeSize * 0.5, volumeSize) - volumeSize * 0.5;
+
+                    // Snowflakes flutter
+                    float flutter = 1.0 - streak;
+                    p.x += sin(time * 1.3 + seed * 40.0) * 0.25 * flutter;
+                    p.z += cos(time * 1.1 + seed * 60.0) * 0.25 * flutter;
+
+                    vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);
+                    gl_Position = projectionMatrix * mvPosition;
+                    gl_PointSize = size * pixelRatio * 300.0 / max(-mvPosition.z, 0.1);
+
+                    // Fade out towards the edges of the volume so the wrap isn't visible
+                    vec3 local = abs(p - center) / (volumeSize * 0.5);
+                    vFade = 1.0 - smoothstep(0.7, 1.0, max(local.x, max(local.y, local.z)));
+                }
+            `,
+            fragmentShader: `
+                uniform vec3 color;
+                uniform float opacity;
+                uniform float streak;
+
+                varying float vFade;
+
+                void main() {
+                    vec2 c = gl_PointCoord - vec2(0.5);
+
+                    // Rain: thin vertical streak; snow: soft disc
+                    float rainAlpha = (1.0 - smoothstep(0.02, 0.06, abs(c.x))) * (1.0 - smoothstep(0.2, 0.5, abs(c.y)));
+                    float snowAlpha = 1.0 - smoothstep(0.2, 0.5, length(c));
+                    float alpha = mix(snowAlpha, rainAlpha, streak) * opacity * vFade;
+                    if (alpha < 0.01) discard;
+
+                    gl_FragColor = vec4(color, alpha);
+
+                    #include <tonemapping_fragment>
+                    #include <colorspace_fragment>
+                }
+            `,
+            transparent: true,
+            depthWrite: false,
+            fog: false
+        });
+
+        const points = new THREE.Points(geometry, material);
+        points.name = name;
+        points.frustumCulled = false;
+        points.visible = false;
+        points.userData.fallSpeed = fallSpeed;
+        points.userData.drift = drift;
+        this.scene.add(points);
+        return points;
+    }
+
+    /**
+     * Switch to a preset, interpolating from the current state
+     * The preset's wind replaces any manual wind setting
+     * @param {string} name - clear, overcast, rain, snow or storm
+     * @param {number} duration - Seconds (0 applies immediately)
+     */
+    setPreset(name, duration = this.transitionDuration) {
+        const preset = WeatherSystem.PRESETS[name];
+        if (!preset) return;
+
+        this.preset = name;
+        this.windDirection = preset.windDirection;
+        this.windStrength = preset.windStrength;
+        this.startTransition(this.createState(preset), duration);
+    }
+
+    /**
+     * Override the wind of the current weather
+     */
+    setWind(direction, strength) {
+        this.windDirection = direction;
+        this.windStrength = strength;
+
+        const wind = WeatherSystem.windVector(direction, strength);
+        if (this.transition) {
+            this.transition.to.wind.copy(wind);
+        } else {
+            this.state.wind.copy(wind);
+        }
+    }
+
+    setTransitionDuration(seconds) {
+        this.transitionDuration = seconds;
+    }
+
+    startTransition(to, duration) {
+        if (duration <= 0) {
+            this.transition = null;
+            this.state = to;
+            return;
+        }
+
+        this.transition = {
+            from: {
+                ...this.state,
+                fogColor: this.state.fogColor.clone(),
+                wind: this.state.wind.clone()
+            },
+            to,
+            elapsed: 0,
+            duration
+        };
+    }
+
+    setFogEnabled(enabled) {
+        this.fogEnabled = enabled;
+        this.scene.fog = enabled ? this.fog : null;
+    }
+
+    /**
+     * Advance transitions and precipitation, then apply fog and light dimming
+     * Call after the time of day has updated the lights
+     * @param {number} deltaTime - Seconds
+     * @param {THREE.Camera} camera - Precipitation follows the camera
+     * @param {number} daylight - 1 by day, 0 at night (darkens the fog color)
+     */
+    update(deltaTime, camera, daylight = 1) {
+        if (this.transition) {
+            const transition = this.transition;
+            transition.elapsed += deltaTime;
+            const t = THREE.MathUtils.smoothstep(transition.elapsed / transition.duration, 0, 1);
+            const { from, to } = transition;
+
+            this.state.rain = THREE.MathUtils.lerp(from.rain, to.rain, t);
+            this.state.snow = THREE.MathUtils.lerp(from.snow, to.snow, t);
+            this.state.fogDensity = THREE.MathUtils.lerp(from.fogDensity, to.fogDensity, t);
+            this.state.fogColor.lerpColors(from.fogColor, to.fogColor, t);
+            this.state.wind.lerpVectors(from.wind, to.wind, t);
+            this.state.lightFactor = THREE.MathUtils.lerp(from.lightFactor, to.lightFactor, t);
+
+            if (t >= 1) {
+                this.transition = null;
+            }
+        }
+
+        // Fog (night keeps a little of the color so silhouettes stay readable)
+        this.fog.density = this.state.fogDensity;
+        this.fog.color.copy(this.state.fogColor).multiplyScalar(THREE.MathUtils.lerp(0.08, 1, daylight));
+
+        // Clouds dim the sun and moon
+        this.lights.forEach(light => {
+            light.intensity *= this.state.lightFactor;
+        });
+
+        this.updatePrecipitation(this.rain, this.state.rain, deltaTime, camera);
+        this.updatePrecipitation(this.snow, this.state.snow, deltaTime, camera);
+    }
+
+    updatePrecipitation(points, density, deltaTime, camera) {
+        points.visible = density > 0.001;
+        if (!points.visible) return;
+
+        const uniforms = points.material.uniforms;
+        const { fallSpeed, drift } = points.userData;
+
+        // Integrate the drift so wind changes don't make particles jump
+        uniforms.offset.value.x += this.state.wind.x * drift * deltaTime;
+        uniforms.offset.value.y -= fallSpeed * deltaTime;
+        uniforms.offset.value.z += this.state.wind.y * drift * deltaTime;
+        // Keep the offset small for float precision (the shader wraps anyway)
+        uniforms.offset.value.x %= this.volumeSize.x;
+        uniforms.offset.value.y %= this.volumeSize.y;
+        uniforms.offset.value.z %= this.volumeSize.z;
+
+        uniforms.center.value.copy(camera.position);
+        uniforms.density.value = density;
+        uniforms.time.value += deltaTime;
+    }
+
+    dispose() {
+        [this.rain, this.snow].forEach(points => {
+            this.scene.remove(points);
+            points.geometry.dispose();
+            points.material.dispose();
+        });
+        if (this.scene.fog === this.fog) {
+            this.scene.fog = null;
+        }
+    }
+}
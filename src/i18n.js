@@ -4,23 +4,125 @@
 export const translations = {
     en: {
         // UI Controls
-        'file-label': 'Load GLTF File',
+        'file-label': 'Load 3D Model',
         'hdr-label': 'Load HDR File (.hdr, .exr)',
         'hdr-hint': 'Upload custom HDR environment map',
         'toggle-settings': '⚙️ Settings',
+        'compression-label': 'Compression',
+        'compression-none': 'None',
+        'folder-label': 'Load Folder',
+        'drop-hint': 'Drop a model (.gltf, .glb, .fbx, .obj, .stl, .ply, .usdz) with its companion files',
+        'no-model-file': 'No supported model file (.gltf, .glb, .fbx, .obj, .stl, .ply, .usdz) found in the selected files.',
+        'format-label': 'Format',
+        'point-cloud': 'Point cloud',
+        'missing-files': 'The model references files that were not provided:',
+        'missing-files-short': 'Missing',
+        'drop-read-error': 'Failed to read the dropped files.',
 
         // Camera Modes
         'first-person': '1st Person',
         'third-person': '3rd Person',
         'free-camera': 'Free Camera',
+        'orbit': 'Orbit',
 
         // Settings Sections
+        'model-library': 'Model Library',
+        'library-empty': 'Loaded models are saved here and reopened on startup',
+        'library-models': 'Models',
+        'library-storage': 'Storage',
+        'library-open': 'Open',
+        'library-rename': 'Rename',
+        'library-delete': 'Delete from library',
+        'library-delete-confirm': 'Delete this model from the library?',
+        'library-open-error': 'Failed to open the model from the library.',
+        'library-update-error': 'Could not update the browser storage. It may be full, or the viewer may be open in another tab.',
+        'outliner': 'Outliner',
+        'outliner-empty': 'Load a model to see its node tree',
+        'outliner-clear-isolate': 'Exit Isolation',
+        'outliner-clear-selection': 'Clear Selection',
+        'outliner-hint': 'Click in the viewport to select (screen center while mouse look is active). Shift or Ctrl+click adds to the selection',
+        'outliner-visible': 'Visible',
+        'outliner-isolate': 'Isolate subtree',
+        'outliner-no-selection': 'Nothing selected',
+        'outliner-descendants': 'Descendants',
+        'outliner-bounds-size': 'World size',
+        'outliner-bounds-center': 'World center',
+        'outliner-selected-count': 'Selected nodes',
+        'material': 'Material',
+        'material-empty': 'Select a mesh to edit its materials',
+        'material-select': 'Material',
+        'material-color': 'Base Color',
+        'material-metalness': 'Metalness',
+        'material-roughness': 'Roughness',
+        'material-emissive': 'Emissive',
+        'material-emissive-intensity': 'Emissive Intensity',
+        'material-transmission': 'Transmission',
+        'material-thickness': 'Thickness',
+        'material-ior': 'IOR',
+        'material-clearcoat': 'Clearcoat',
+        'material-clearcoat-roughness': 'Clearcoat Roughness',
+        'material-textures': 'Textures',
+        'material-parameters': 'All Parameters',
+        'material-reset': 'Reset Material',
+        'material-export': 'Export Overrides (JSON)',
+        'material-import': 'Import Overrides (JSON)',
+        'material-replace-texture': 'Replace',
+        'material-no-texture': 'none',
+        'material-texture-error': 'Failed to load the texture.',
+        'material-no-overrides': 'No material edits to export.',
+        'material-overrides-applied': 'Material overrides applied',
+        'material-import-error': 'Invalid material override file.',
+        'export': 'Export',
+        'export-format': 'Format',
+        'export-format-glb': 'GLB (binary)',
+        'export-format-gltf': 'glTF (JSON)',
+        'export-textures': 'Textures',
+        'export-textures-embedded': 'Embedded',
+        'export-textures-external': 'External files',
+        'export-strip-hidden': 'Strip hidden nodes',
+        'export-animations': 'Include animations',
+        'export-lights': 'Include sun light',
+        'export-camera': 'Include current camera',
+        'export-model': '📦 Export Model',
+        'export-no-model': 'Load a model before exporting.',
+        'export-error': 'Export failed',
         'player-settings': 'Player Settings',
         'post-processing': 'Post-Processing',
         'time-of-day': 'Time of Day',
         'graphics': 'Graphics',
         'environment-lighting': 'Environment & Lighting',
         'particles': 'Particle System',
+        'bookmarks': 'Camera Bookmarks',
+        'bookmark-name': 'View name',
+        'bookmark-add': 'Save View',
+        'bookmark-empty': 'No saved views',
+        'bookmark-duration': 'Fly-to Duration',
+        'bookmark-hint': 'Shift + 0-9 flies to the view with that hotkey',
+        'bookmark-fly': 'Fly to view',
+        'bookmark-hotkey': 'Hotkey (Shift + number)',
+        'bookmark-up': 'Move up',
+        'bookmark-down': 'Move down',
+        'bookmark-update': 'Replace with current view',
+        'bookmark-delete': 'Delete',
+        'camera-path': 'Camera Path',
+        'camera-path-hint': 'Frame each shot in Free Camera mode (3), then add a keyframe',
+        'path-add': '+ Keyframe',
+        'path-clear': 'Clear',
+        'path-empty': 'No keyframes',
+        'path-loop': 'Loop',
+        'path-show': 'Show Path',
+        'path-speed': 'Playback Speed',
+        'path-segment': 'Seconds per Keyframe',
+        'path-ease': 'Easing',
+        'path-ease-linear': 'Linear',
+        'path-export': 'Export Path (JSON)',
+        'path-import': 'Import Path (JSON)',
+        'path-keyframe': 'Keyframe',
+        'path-goto': 'Jump to keyframe',
+        'path-insert': 'Insert current view after this keyframe',
+        'path-need-keyframes': 'Add at least two keyframes to play the path.',
+        'path-import-error': 'Invalid camera path file.',
+        'animation': 'Animation',
         'glitch': 'Glitch Effect',
         'settings-management': 'Settings Management',
 
@@ -29,24 +131,151 @@ export const translations = {
         'player-height': 'Eye Height',
         'player-speed': 'Movement Speed',
         'ground-level': 'Ground Level',
+        'mesh-collision': 'Mesh Collision',
+        'step-height': 'Step Height',
+        'max-slope': 'Max Walkable Slope',
+        'free-camera-noclip': 'Free Camera Noclip',
         'third-person-distance': '3rd Person Distance',
         'third-person-height': '3rd Person Height',
+        'camera-transition': 'Mode Transition',
+        'orbit-damping': 'Orbit Damping',
+
+        // Animation
+        'animation-empty': 'No animations in the loaded model',
+        'animation-clip': 'Clip',
+        'animation-loop-repeat': 'Loop',
+        'animation-loop-once': 'Play Once',
+        'animation-loop-pingpong': 'Ping-Pong',
+        'animation-timeline': 'Timeline',
+        'animation-speed': 'Playback Speed',
+        'animation-crossfade': 'Crossfade Duration',
 
         // Post-Processing
         'enable-postprocessing': 'Enable Post-Processing',
         'enable-bloom': 'Bloom Effect',
         'enable-ssao': 'SSAO (Ambient Occlusion)',
+        'post-effects-hint': 'Effects run top to bottom; use the arrows to change the order',
+        'post-effect-dof': 'Depth of Field',
+        'post-param-focusDistance': 'Focus Distance',
+        'post-param-focalLength': 'Focal Length (mm)',
+        'post-param-bokehScale': 'Bokeh Scale',
+        'dof-autofocus': 'Auto-focus on screen center',
+        'dof-click-focus': 'Click to focus (instead of selecting)',
+        'dof-hint': 'Depth of field also sets the lens of the path tracer',
+        'post-effect-bloom': 'Bloom',
+        'post-effect-ssao': 'SSAO (Ambient Occlusion)',
+        'post-effect-vignette': 'Vignette',
+        'post-effect-smaa': 'SMAA (Anti-Aliasing)',
+        'post-effect-lensDistortion': 'Lens Distortion',
+        'post-effect-chromaticAberration': 'Chromatic Aberration',
+        'post-effect-lut': 'Color Grading (LUT)',
+        'post-effect-grain': 'Film Grain',
+        'post-effect-outline': 'Selection Outline',
+        'post-param-distortion': 'Distortion',
+        'post-param-zoom': 'Zoom',
+        'post-param-radialModulation': 'Stronger towards the edges',
+        'post-param-modulationOffset': 'Clean Center Size',
+        'post-param-lutId': 'LUT',
+        'post-param-premultiply': 'Scale with brightness',
+        'post-param-selective': 'Glowing objects only (selective)',
+        'post-param-autoSelect': 'Pick emissive meshes automatically',
+        'post-param-emissiveCutoff': 'Emission Cutoff',
+        'post-param-selectionColor': 'Selection Color',
+        'post-param-hover': 'Hover Highlight',
+        'post-param-hoverColor': 'Hover Color',
+        'post-param-thickness': 'Thickness',
+        'post-param-pulse': 'Pulse Speed',
+        'post-param-xRay': 'X-Ray (Show Hidden Edges)',
+        'bloom-glow': 'Glowing Objects (Selective Bloom)',
+        'bloom-glow-empty': 'Nothing glows yet: give a material emission above the cutoff or add the selected object',
+        'bloom-glow-add': 'Make Selected Object Glow',
+        'bloom-glow-auto': 'auto',
+        'bloom-glow-strength': 'Glow strength',
+        'bloom-glow-remove': 'Stop glowing',
+        'bloom-glow-no-selection': 'Select an object in the viewport or the outliner first.',
+        'post-lut-none': 'None',
+        'lut-upload': 'Load Color Grading LUT (.cube)',
+        'lut-library': 'Saved LUTs',
+        'lut-library-empty': 'Uploaded LUTs are kept here and can be picked in the color grading effect',
+        'lut-delete': 'Delete LUT',
+        'lut-delete-confirm': 'Delete this LUT from the library?',
+        'lut-import-error': 'Could not read the LUT file. Only 3D .cube LUTs are supported.',
+        'post-effect-up': 'Run earlier',
+        'post-effect-down': 'Run later',
+        'post-param-intensity': 'Intensity',
+        'post-param-luminanceThreshold': 'Luminance Threshold',
+        'post-param-luminanceSmoothing': 'Threshold Smoothing',
+        'post-param-radius': 'Radius',
+        'post-param-samples': 'Samples',
+        'post-param-rings': 'Rings',
+        'post-param-resolutionScale': 'Resolution Scale',
+        'post-param-worldRadius': 'Radius (world units)',
+        'ssao-debug': 'Show ambient occlusion only (debug)',
+        'post-param-bias': 'Bias',
+        'post-param-luminanceInfluence': 'Luminance Influence',
+        'post-param-offset': 'Offset',
+        'post-param-darkness': 'Darkness',
+        'post-param-preset': 'Quality',
+        'post-option-low': 'Low',
+        'post-option-medium': 'Medium',
+        'post-option-high': 'High',
+        'post-option-ultra': 'Ultra',
+        'post-preset': 'Presets',
+        'post-preset-empty': 'No saved presets',
+        'post-preset-load': 'Apply',
+        'post-preset-delete': 'Delete',
+        'post-preset-export': 'Export',
+        'post-preset-name': 'Preset name',
+        'post-preset-save': 'Save',
+        'post-preset-import': 'Import Preset (JSON)',
+        'post-preset-import-error': 'Could not read the post-processing preset file.',
+        'post-reset': 'Reset Effects',
 
         // Time of Day
         'enable-time-cycle': 'Enable Time Cycle',
         'time-of-day-label': 'Time of Day',
         'time-speed': 'Time Speed',
         'sun-intensity': 'Sun Intensity',
+        'solar-azimuth': 'Azimuth',
+        'solar-elevation': 'Elevation',
+        'sunrise': 'Sunrise',
+        'sunset': 'Sunset',
+        'polar-day': 'Sun does not set (polar day)',
+        'polar-night': 'Sun does not rise (polar night)',
+        'moon-new': 'New Moon',
+        'moon-waxing-crescent': 'Waxing Crescent',
+        'moon-first-quarter': 'First Quarter',
+        'moon-waxing-gibbous': 'Waxing Gibbous',
+        'moon-full': 'Full Moon',
+        'moon-waning-gibbous': 'Waning Gibbous',
+        'moon-last-quarter': 'Last Quarter',
+        'moon-waning-crescent': 'Waning Crescent',
+        'moon-illumination': 'Illuminated',
+
+        // Weather
+        'weather': 'Weather',
+        'weather-preset': 'Preset',
+        'weather-clear': 'Clear',
+        'weather-overcast': 'Overcast',
+        'weather-rain': 'Rain',
+        'weather-snow': 'Snow',
+        'weather-storm': 'Storm',
+        'weather-hint': 'Fog density and color follow the preset while fog is enabled (Graphics)',
+        'weather-transition': 'Transition Time',
+        'weather-wind-direction': 'Wind Direction',
+        'weather-wind-strength': 'Wind Strength',
 
         // Graphics
         'enable-shadows': 'Enable Shadows',
         'enable-fog': 'Enable Fog',
         'pixel-ratio': 'Pixel Ratio',
+        'hdr-library': 'Saved HDRs',
+        'hdr-library-empty': 'Uploaded HDRs are kept here',
+        'hdr-apply': 'Use this environment',
+        'hdr-delete': 'Delete HDR',
+        'hdr-delete-confirm': 'Delete this HDR from the library?',
+        'hdr-save-error': 'Failed to store the HDR file in the browser.',
+        'point-size': 'Point Cloud Size',
 
         // Environment
         'environment': 'Environment',
@@ -103,6 +332,7 @@ export const translations = {
         'mode-1': '1: First Person',
         'mode-2': '2: Third Person',
         'mode-3': '3: Free Camera',
+        'mode-4': '4: Orbit',
 
         // Alerts
         'settings-saved': 'Settings saved!',
@@ -117,23 +347,125 @@ export const translations = {
 
     ko: {
         // UI Controls
-        'file-label': 'GLTF 파일 불러오기',
+        'file-label': '3D 모델 불러오기',
         'hdr-label': 'HDR 파일 불러오기 (.hdr, .exr)',
         'hdr-hint': '커스텀 HDR 환경 맵 업로드',
         'toggle-settings': '⚙️ 설정',
+        'compression-label': '압축',
+        'compression-none': '없음',
+        'folder-label': '폴더 불러오기',
+        'drop-hint': '모델 파일(.gltf, .glb, .fbx, .obj, .stl, .ply, .usdz)과 관련 파일을 함께 드롭하세요',
+        'no-model-file': '선택한 파일에 지원되는 모델 파일(.gltf, .glb, .fbx, .obj, .stl, .ply, .usdz)이 없습니다.',
+        'format-label': '형식',
+        'point-cloud': '포인트 클라우드',
+        'missing-files': '모델이 참조하는 파일 중 제공되지 않은 파일이 있습니다:',
+        'missing-files-short': '누락',
+        'drop-read-error': '드롭한 파일을 읽는데 실패했습니다.',
 
         // Camera Modes
         'first-person': '1인칭',
         'third-person': '3인칭',
         'free-camera': '자유 카메라',
+        'orbit': '오빗',
 
         // Settings Sections
+        'model-library': '모델 라이브러리',
+        'library-empty': '불러온 모델이 여기에 저장되고 시작 시 다시 열립니다',
+        'library-models': '모델',
+        'library-storage': '저장소',
+        'library-open': '열기',
+        'library-rename': '이름 변경',
+        'library-delete': '라이브러리에서 삭제',
+        'library-delete-confirm': '이 모델을 라이브러리에서 삭제하시겠습니까?',
+        'library-open-error': '라이브러리에서 모델을 열지 못했습니다.',
+        'library-update-error': '브라우저 저장소를 업데이트하지 못했습니다. 저장 공간이 가득 찼거나 뷰어가 다른 탭에서 열려 있을 수 있습니다.',
+        'outliner': '아웃라이너',
+        'outliner-empty': '모델을 불러오면 노드 트리가 표시됩니다',
+        'outliner-clear-isolate': '격리 해제',
+        'outliner-clear-selection': '선택 해제',
+        'outliner-hint': '뷰포트를 클릭해 선택 (마우스 시점 모드에서는 화면 중앙). Shift 또는 Ctrl+클릭으로 선택에 추가',
+        'outliner-visible': '표시',
+        'outliner-isolate': '하위 트리만 표시',
+        'outliner-no-selection': '선택된 항목 없음',
+        'outliner-descendants': '하위 노드',
+        'outliner-bounds-size': '월드 크기',
+        'outliner-bounds-center': '월드 중심',
+        'outliner-selected-count': '선택된 노드',
+        'material': '재질',
+        'material-empty': '재질을 편집할 메시를 선택하세요',
+        'material-select': '재질',
+        'material-color': '기본 색상',
+        'material-metalness': '금속성',
+        'material-roughness': '거칠기',
+        'material-emissive': '발광 색상',
+        'material-emissive-intensity': '발광 강도',
+        'material-transmission': '투과',
+        'material-thickness': '두께',
+        'material-ior': '굴절률 (IOR)',
+        'material-clearcoat': '클리어코트',
+        'material-clearcoat-roughness': '클리어코트 거칠기',
+        'material-textures': '텍스처',
+        'material-parameters': '전체 파라미터',
+        'material-reset': '재질 초기화',
+        'material-export': '재질 변경 내보내기 (JSON)',
+        'material-import': '재질 변경 가져오기 (JSON)',
+        'material-replace-texture': '교체',
+        'material-no-texture': '없음',
+        'material-texture-error': '텍스처를 불러오지 못했습니다.',
+        'material-no-overrides': '내보낼 재질 변경 사항이 없습니다.',
+        'material-overrides-applied': '재질 변경 적용됨',
+        'material-import-error': '잘못된 재질 변경 파일입니다.',
+        'export': '내보내기',
+        'export-format': '형식',
+        'export-format-glb': 'GLB (바이너리)',
+        'export-format-gltf': 'glTF (JSON)',
+        'export-textures': '텍스처',
+        'export-textures-embedded': '포함',
+        'export-textures-external': '별도 파일',
+        'export-strip-hidden': '숨긴 노드 제외',
+        'export-animations': '애니메이션 포함',
+        'export-lights': '태양광 포함',
+        'export-camera': '현재 카메라 포함',
+        'export-model': '📦 모델 내보내기',
+        'export-no-model': '내보낼 모델을 먼저 불러오세요.',
+        'export-error': '내보내기 실패',
         'player-settings': '플레이어 설정',
         'post-processing': '후처리 효과',
         'time-of-day': '시간대',
         'graphics': '그래픽',
         'environment-lighting': '환경 & 조명',
         'particles': '파티클 시스템',
+        'bookmarks': '카메라 북마크',
+        'bookmark-name': '뷰 이름',
+        'bookmark-add': '뷰 저장',
+        'bookmark-empty': '저장된 뷰가 없습니다',
+        'bookmark-duration': '이동 시간',
+        'bookmark-hint': 'Shift + 0-9로 해당 단축키의 뷰로 이동',
+        'bookmark-fly': '뷰로 이동',
+        'bookmark-hotkey': '단축키 (Shift + 숫자)',
+        'bookmark-up': '위로 이동',
+        'bookmark-down': '아래로 이동',
+        'bookmark-update': '현재 뷰로 덮어쓰기',
+        'bookmark-delete': '삭제',
+        'camera-path': '카메라 경로',
+        'camera-path-hint': '자유 카메라 모드(3)에서 구도를 잡은 후 키프레임을 추가하세요',
+        'path-add': '+ 키프레임',
+        'path-clear': '초기화',
+        'path-empty': '키프레임이 없습니다',
+        'path-loop': '반복',
+        'path-show': '경로 표시',
+        'path-speed': '재생 속도',
+        'path-segment': '키프레임 간 시간',
+        'path-ease': '이징',
+        'path-ease-linear': '선형',
+        'path-export': '경로 내보내기 (JSON)',
+        'path-import': '경로 가져오기 (JSON)',
+        'path-keyframe': '키프레임',
+        'path-goto': '키프레임으로 이동',
+        'path-insert': '이 키프레임 뒤에 현재 뷰 삽입',
+        'path-need-keyframes': '경로를 재생하려면 키프레임을 두 개 이상 추가하세요.',
+        'path-import-error': '잘못된 카메라 경로 파일입니다.',
+        'animation': '애니메이션',
         'glitch': '글리치 효과',
         'settings-management': '설정 관리',
 
@@ -142,24 +474,151 @@ export const translations = {
         'player-height': '눈 높이',
         'player-speed': '이동 속도',
         'ground-level': '지면 레벨',
+        'mesh-collision': '메시 충돌',
+        'step-height': '계단 오르기 높이',
+        'max-slope': '최대 보행 경사',
+        'free-camera-noclip': '자유 카메라 통과 (Noclip)',
         'third-person-distance': '3인칭 거리',
         'third-person-height': '3인칭 높이',
+        'camera-transition': '모드 전환 시간',
+        'orbit-damping': '오빗 감속 (Damping)',
+
+        // Animation
+        'animation-empty': '불러온 모델에 애니메이션이 없습니다',
+        'animation-clip': '클립',
+        'animation-loop-repeat': '반복',
+        'animation-loop-once': '한 번 재생',
+        'animation-loop-pingpong': '왕복 재생',
+        'animation-timeline': '타임라인',
+        'animation-speed': '재생 속도',
+        'animation-crossfade': '크로스페이드 시간',
 
         // Post-Processing
         'enable-postprocessing': '후처리 활성화',
         'enable-bloom': '블룸 효과',
         'enable-ssao': 'SSAO (앰비언트 오클루전)',
+        'post-effects-hint': '효과는 위에서 아래 순서로 적용됩니다. 화살표로 순서를 바꾸세요',
+        'post-effect-dof': '피사계 심도',
+        'post-param-focusDistance': '초점 거리',
+        'post-param-focalLength': '렌즈 초점 거리 (mm)',
+        'post-param-bokehScale': '보케 크기',
+        'dof-autofocus': '화면 중앙 자동 초점',
+        'dof-click-focus': '클릭으로 초점 맞추기 (선택 대신)',
+        'dof-hint': '피사계 심도는 패스 트레이서 렌즈에도 적용됩니다',
+        'post-effect-bloom': '블룸',
+        'post-effect-ssao': 'SSAO (앰비언트 오클루전)',
+        'post-effect-vignette': '비네트',
+        'post-effect-smaa': 'SMAA (안티앨리어싱)',
+        'post-effect-lensDistortion': '렌즈 왜곡',
+        'post-effect-chromaticAberration': '색수차',
+        'post-effect-lut': '컬러 그레이딩 (LUT)',
+        'post-effect-grain': '필름 그레인',
+        'post-effect-outline': '선택 외곽선',
+        'post-param-distortion': '왜곡',
+        'post-param-zoom': '확대',
+        'post-param-radialModulation': '가장자리로 갈수록 강하게',
+        'post-param-modulationOffset': '깨끗한 중앙 영역 크기',
+        'post-param-lutId': 'LUT',
+        'post-param-premultiply': '밝기에 비례',
+        'post-param-selective': '발광 오브젝트만 (선택적)',
+        'post-param-autoSelect': '발광 메시 자동 선택',
+        'post-param-emissiveCutoff': '발광 기준값',
+        'post-param-selectionColor': '선택 색상',
+        'post-param-hover': '호버 강조',
+        'post-param-hoverColor': '호버 색상',
+        'post-param-thickness': '두께',
+        'post-param-pulse': '깜빡임 속도',
+        'post-param-xRay': '투시 (가려진 외곽선 표시)',
+        'bloom-glow': '발광 오브젝트 (선택적 블룸)',
+        'bloom-glow-empty': '아직 발광하는 오브젝트가 없습니다. 재질의 발광을 기준값 이상으로 올리거나 선택한 오브젝트를 추가하세요',
+        'bloom-glow-add': '선택한 오브젝트 발광',
+        'bloom-glow-auto': '자동',
+        'bloom-glow-strength': '발광 강도',
+        'bloom-glow-remove': '발광 해제',
+        'bloom-glow-no-selection': '먼저 뷰포트나 아웃라이너에서 오브젝트를 선택하세요.',
+        'post-lut-none': '없음',
+        'lut-upload': '컬러 그레이딩 LUT 불러오기 (.cube)',
+        'lut-library': '저장된 LUT',
+        'lut-library-empty': '업로드한 LUT가 여기에 보관되며 컬러 그레이딩 효과에서 선택할 수 있습니다',
+        'lut-delete': 'LUT 삭제',
+        'lut-delete-confirm': '이 LUT를 라이브러리에서 삭제하시겠습니까?',
+        'lut-import-error': 'LUT 파일을 읽을 수 없습니다. 3D .cube LUT만 지원됩니다.',
+        'post-effect-up': '먼저 적용',
+        'post-effect-down': '나중에 적용',
+        'post-param-intensity': '강도',
+        'post-param-luminanceThreshold': '밝기 임계값',
+        'post-param-luminanceSmoothing': '임계값 부드러움',
+        'post-param-radius': '반경',
+        'post-param-samples': '샘플 수',
+        'post-param-rings': '링 수',
+        'post-param-resolutionScale': '해상도 배율',
+        'post-param-worldRadius': '반경 (월드 단위)',
+        'ssao-debug': '앰비언트 오클루전만 보기 (디버그)',
+        'post-param-bias': '바이어스',
+        'post-param-luminanceInfluence': '밝기 영향',
+        'post-param-offset': '오프셋',
+        'post-param-darkness': '어두움',
+        'post-param-preset': '품질',
+        'post-option-low': '낮음',
+        'post-option-medium': '중간',
+        'post-option-high': '높음',
+        'post-option-ultra': '최고',
+        'post-preset': '프리셋',
+        'post-preset-empty': '저장된 프리셋 없음',
+        'post-preset-load': '적용',
+        'post-preset-delete': '삭제',
+        'post-preset-export': '내보내기',
+        'post-preset-name': '프리셋 이름',
+        'post-preset-save': '저장',
+        'post-preset-import': '프리셋 가져오기 (JSON)',
+        'post-preset-import-error': '후처리 프리셋 파일을 읽을 수 없습니다.',
+        'post-reset': '효과 초기화',
 
         // Time of Day
         'enable-time-cycle': '시간 사이클 활성화',
         'time-of-day-label': '시간대',
         'time-speed': '시간 속도',
         'sun-intensity': '태양 강도',
+        'solar-azimuth': '방위각',
+        'solar-elevation': '고도',
+        'sunrise': '일출',
+        'sunset': '일몰',
+        'polar-day': '해가 지지 않음 (백야)',
+        'polar-night': '해가 뜨지 않음 (극야)',
+        'moon-new': '삭 (신월)',
+        'moon-waxing-crescent': '초승달',
+        'moon-first-quarter': '상현달',
+        'moon-waxing-gibbous': '차오르는 달',
+        'moon-full': '보름달',
+        'moon-waning-gibbous': '기우는 달',
+        'moon-last-quarter': '하현달',
+        'moon-waning-crescent': '그믐달',
+        'moon-illumination': '밝은 면',
+
+        // Weather
+        'weather': '날씨',
+        'weather-preset': '프리셋',
+        'weather-clear': '맑음',
+        'weather-overcast': '흐림',
+        'weather-rain': '비',
+        'weather-snow': '눈',
+        'weather-storm': '폭풍',
+        'weather-hint': '안개가 켜져 있으면 (그래픽) 안개 밀도와 색상이 프리셋을 따릅니다',
+        'weather-transition': '전환 시간',
+        'weather-wind-direction': '풍향',
+        'weather-wind-strength': '풍속',
 
         // Graphics
         'enable-shadows': '그림자 활성화',
         'enable-fog': '안개 활성화',
         'pixel-ratio': '픽셀 비율',
+        'hdr-library': '저장된 HDR',
+        'hdr-library-empty': '업로드한 HDR이 여기에 보관됩니다',
+        'hdr-apply': '이 환경 사용',
+        'hdr-delete': 'HDR 삭제',
+        'hdr-delete-confirm': '이 HDR을 라이브러리에서 삭제하시겠습니까?',
+        'hdr-save-error': 'HDR 파일을 브라우저에 저장하지 못했습니다.',
+        'point-size': '포인트 클라우드 크기',
 
         // Environment
         'environment': '환경',
@@ -216,6 +675,7 @@ export const translations = {
         'mode-1': '1: 1인칭',
         'mode-2': '2: 3인칭',
         'mode-3': '3: 자유 카메라',
+        'mode-4': '4: 오빗',
 
         // Alerts
         'settings-saved': '설정이 저장되었습니다!',
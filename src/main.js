@@ -1,72 +1,78 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js';
 import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js';
 import { RoomEnvironment } from 'three/examples/jsm/environments/RoomEnvironment.js';
 import { CameraController } from './Camera.js';
 import { Player } from './Player.js';
-import { PostProcessingManager } from './PostProcessing.js';
+import { CollisionWorld } from './CollisionWorld.js';
+import { CameraBookmarks } from './CameraBookmarks.js';
+import { CameraPath } from './CameraPath.js';
+import { SceneOutliner } from './SceneOutliner.js';
+import { MaterialEditor } from './MaterialEditor.js';
+import { SceneExporter } from './SceneExporter.js';
+import { PostProcessingManager, EFFECT_DEFINITIONS } from './PostProcessing.js';
+import { SelectionOutline } from './SelectionOutline.js';
+import { FocusController, getFStop, getApertureDiameter } from './DepthOfField.js';
 import { TimeOfDaySystem } from './TimeOfDay.js';
 import { ParticleSystem } from './ParticleSystem.js';
+import { AnimationSystem } from './AnimationSystem.js';
 import { PathTracingRenderer } from './PathTracer.js';
+import { FileResolver } from './FileResolver.js';
+import { EnvironmentRotator } from './EnvironmentRotator.js';
+import { ProceduralSky } from './ProceduralSky.js';
+import { NightSky } from './NightSky.js';
+import { WeatherSystem } from './WeatherSystem.js';
+import { ModelLoader, MODEL_EXTENSIONS } from './ModelLoader.js';
+import { ModelLibrary } from './ModelLibrary.js';
+import { STORES, storeRequest } from './ViewerDB.js';
 import { i18n } from './i18n.js';
 import gsap from 'gsap';
 
 // IndexedDB helper for HDR file storage
+// Each uploaded HDR is its own record; the id is stable and used in saved settings
+// (records saved before multiple HDRs were supported use the id 'lastHDR')
 const HDRStorage = {
-    DB_NAME: 'GLTFViewerDB',
-    STORE_NAME: 'hdrFiles',
-    DB_VERSION: 1,
-
-    async openDB() {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
-            request.onerror = () => reject(request.error);
-            request.onsuccess = () => resolve(request.result);
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                if (!db.objectStoreNames.contains(this.STORE_NAME)) {
-                    db.createObjectStore(this.STORE_NAME, { keyPath: 'id' });
-                }
-            };
-        });
-    },
+    STORE_NAME: STORES.HDR_FILES,
 
     async saveHDR(arrayBuffer, fileName) {
-        const db = await this.openDB();
-        return new Promise((resolve, reject) => {
-            const transaction = db.transaction([this.STORE_NAME], 'readwrite');
-            const store = transaction.objectStore(this.STORE_NAME);
-            const request = store.put({
-                id: 'lastHDR',
-                data: arrayBuffer,
-                fileName: fileName,
-                timestamp: Date.now()
-            });
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
-        });
+        const id = `hdr-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+        await storeRequest(this.STORE_NAME, 'readwrite', store => store.put({
+            id,
+            name: fileName.replace(/\.[^.]+$/, ''),
+            // Stored as a Blob so listing the library does not read every file
+            data: new Blob([arrayBuffer], { type: 'application/octet-stream' }),
+            fileName: fileName,
+            thumbnail: null,
+            timestamp: Date.now()
+        }));
+        return id;
     },
 
-    async loadHDR() {
-        const db = await this.openDB();
-        return new Promise((resolve, reject) => {
-            const transaction = db.transaction([this.STORE_NAME], 'readonly');
-            const store = transaction.objectStore(this.STORE_NAME);
-            const request = store.get('lastHDR');
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-        });
+    async loadHDR(id = 'lastHDR') {
+        return storeRequest(this.STORE_NAME, 'readonly', store => store.get(id));
     },
 
-    async deleteHDR() {
-        const db = await this.openDB();
-        return new Promise((resolve, reject) => {
-            const transaction = db.transaction([this.STORE_NAME], 'readwrite');
-            const store = transaction.objectStore(this.STORE_NAME);
-            const request = store.delete('lastHDR');
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
-        });
+    /**
+     * All stored HDRs, oldest first
+     */
+    async listHDRs() {
+        const records = await storeRequest(this.STORE_NAME, 'readonly', store => store.getAll());
+        return records.sort((a, b) => a.timestamp - b.timestamp);
+    },
+
+    async updateHDR(id, changes) {
+        const record = await this.loadHDR(id);
+        if (!record) return null;
+        Object.assign(record, changes);
+        await storeRequest(this.STORE_NAME, 'readwrite', store => store.put(record));
+        return record;
+    },
+
+    async deleteHDR(id = 'lastHDR') {
+        await storeRequest(this.STORE_NAME, 'readwrite', store => store.delete(id));
     }
 };
 
@@ -84,7 +90,11 @@ class GLTFViewer {
         this.environmentIntensity = 1.0;
         this.showBackground = true;
         this.backgroundBlurLevel = 0.0;
-        this.customHDRPath = null;
+        this.pendingEnvironment = null; // Last requested environment (HDRs load asynchronously)
+        this.customHDRPath = null; // Project HDR file shown as the legacy 'Custom' environment
+        this.environmentYaw = 0; // Degrees
+        this.environmentPitch = 0; // Degrees
+        this.environmentRotationDirty = false;
 
         this.setupRenderer();
         this.setupScene();
@@ -94,28 +104,80 @@ class GLTFViewer {
         this.cameraController = new CameraController(this.canvas, this.renderer);
         this.player = new Player(this.scene);
 
+        // Mesh collision (BVH over the loaded model)
+        this.collisionWorld = new CollisionWorld();
+        this.player.setCollisionWorld(this.collisionWorld);
+
+        // Selection and hover outlines: an effect of the post-processing stack,
+        // drawn over the plain render while post-processing is off
+        this.selectionOutline = new SelectionOutline(this.scene, this.cameraController.camera);
+
         // Post-processing (wrapped in try-catch)
         this.postProcessing = null;
         try {
             this.postProcessing = new PostProcessingManager(
                 this.renderer,
                 this.scene,
-                this.cameraController.camera
+                this.cameraController.camera,
+                this.selectionOutline
             );
         } catch (error) {
             console.warn('Post-processing initialization failed:', error);
         }
 
+        // Stored color grading LUTs, listed in the LUT library and the color grading effect
+        this.lutRecords = [];
+
+        // Meshes shown in the glow list, to skip rebuilding it when nothing started or stopped glowing
+        this.glowListMeshes = [];
+
+        // Depth of field focus (click-to-focus and auto-focus on the model)
+        this.focusController = new FocusController(
+            this.cameraController.camera,
+            this.collisionWorld,
+            (distance) => this.onFocusDistanceChanged(distance)
+        );
+
         // Time of day system
         this.timeOfDay = new TimeOfDaySystem(
             this.scene,
             this.directionalLight,
             this.hemisphereLight
         );
+        this.timeOfDay.setSky(this.proceduralSky);
+
+        // Weather presets (precipitation, fog, wind, cloud dimming of the sun and moon)
+        this.weather = new WeatherSystem(this.scene, [this.directionalLight, this.timeOfDay.nightSky.moonLight]);
 
         // Particle system (like Igloo Inc.)
         this.particleSystem = new ParticleSystem(this.scene);
 
+        // glTF animation playback
+        this.animationSystem = new AnimationSystem();
+        this.animationSystem.onFinished = () => this.updateAnimationUI();
+
+        // Saved camera views
+        this.cameraBookmarks = new CameraBookmarks(this.cameraController, this.player, this.timeOfDay);
+        this.cameraBookmarks.onTimeChange = () => this.updateTimeDisplay();
+
+        // Camera path flythrough
+        this.cameraPath = new CameraPath(this.scene, this.cameraController, this.timeOfDay);
+        this.cameraPath.onChange = () => this.updateCameraPathPlayback();
+
+        // Hierarchy outliner and selection
+        this.outliner = new SceneOutliner(this.scene);
+        this.outlinerExpanded = new Set();
+
+        // Material inspector
+        this.materialEditor = new MaterialEditor();
+
+        // glTF export
+        this.sceneExporter = new SceneExporter();
+
+        // Saved models (IndexedDB)
+        this.modelLibrary = new ModelLibrary();
+        this.currentLibraryId = null;
+
         // Path tracing renderer
         this.pathTracer = new PathTracingRenderer(
             this.renderer,
@@ -124,17 +186,11 @@ class GLTFViewer {
         );
 
         // Initialize loaders with proper configuration
-        this.gltfLoader = new GLTFLoader();
-
-        // Set up texture loader for GLTF
-        const textureLoader = new THREE.TextureLoader();
-        textureLoader.setCrossOrigin('anonymous');
-
-        // Configure GLTF loader
-        this.gltfLoader.setDRACOLoader(null); // Disable DRACO if not needed
+        this.setupLoaders();
 
         this.rgbeLoader = new RGBELoader();
         this.loadedModel = null;
+        this.loadedModelInfo = null;
 
         // Initialize i18n
         this.i18n = i18n;
@@ -143,6 +199,13 @@ class GLTFViewer {
         this.setupUI();
         this.setupSettings();
         this.animate();
+
+        // Stored HDRs in the environment selector
+        this.renderHDRLibrary();
+
+        // Reopen the model from the previous session
+        this.renderModelLibrary();
+        this.restoreLastModel();
     }
 
     setupRenderer() {
@@ -179,6 +242,77 @@ class GLTFViewer {
         // Initialize PMREM generator for environment maps
         this.pmremGenerator = new THREE.PMREMGenerator(this.renderer);
         this.pmremGenerator.compileEquirectangularShader();
+
+        // Rotated HDR environments (raster reflections)
+        this.environmentRotator = new EnvironmentRotator(this.renderer, this.pmremGenerator);
+    }
+
+    setupLoaders() {
+        this.gltfLoader = new GLTFLoader();
+
+        // Draco mesh compression (KHR_draco_mesh_compression)
+        // Decoder files are served from public/decoders so loading works offline
+        this.dracoLoader = new DRACOLoader();
+        this.dracoLoader.setDecoderPath(`${import.meta.env.BASE_URL}decoders/draco/`);
+        this.dracoLoader.preload();
+        this.gltfLoader.setDRACOLoader(this.dracoLoader);
+
+        // Basis Universal textures (KHR_texture_basisu)
+        this.ktx2Loader = new KTX2Loader();
+        this.ktx2Loader.setTranscoderPath(`${import.meta.env.BASE_URL}decoders/basis/`);
+        this.ktx2Loader.detectSupport(this.renderer);
+        this.gltfLoader.setKTX2Loader(this.ktx2Loader);
+
+        // Meshopt compression (EXT_meshopt_compression) - decoder is embedded in the module
+        this.gltfLoader.setMeshoptDecoder(MeshoptDecoder);
+
+        // FBX, OBJ/MTL, STL, PLY and USDZ (glTF goes through the loader above)
+        this.modelLoader = new ModelLoader(this.gltfLoader);
+    }
+
+    /**
+     * Collect the compression extensions a loaded glTF asset declares
+     */
+    getCompressionExtensions(gltf) {
+        const compressionExtensions = {
+            'KHR_draco_mesh_compression': 'Draco',
+            'EXT_meshopt_compression': 'Meshopt',
+            'KHR_meshopt_compression': 'Meshopt',
+            'KHR_texture_basisu': 'KTX2 / BasisU',
+            'KHR_mesh_quantization': 'Quantization'
+        };
+
+        const extensionsUsed = gltf.parser?.json?.extensionsUsed || [];
+        return extensionsUsed
+            .filter(name => compressionExtensions[name])
+            .map(name => ({ extension: name, label: compressionExtensions[name] }));
+    }
+
+    updateModelInfo() {
+        const modelInfo = document.getElementById('model-info');
+        if (!modelInfo) return;
+
+        if (!this.loadedModelInfo) {
+            modelInfo.textContent = '';
+            return;
+        }
+
+        const compression = this.loadedModelInfo.compression;
+        const compressionText = compression.length > 0
+            ? compression.map(c => c.label).join(', ')
+            : this.i18n.t('compression-none');
+        modelInfo.textContent = `${this.i18n.t('format-label')}: ${this.loadedModelInfo.format.toUpperCase()}`;
+        if (this.loadedModelInfo.gltf) {
+            modelInfo.textContent += ` | ${this.i18n.t('compression-label')}: ${compressionText}`;
+        }
+        if (this.loadedModelInfo.pointClouds > 0) {
+            modelInfo.textContent += ` | ${this.i18n.t('point-cloud')}`;
+        }
+
+        const missingFiles = this.loadedModelInfo.missingFiles || [];
+        if (missingFiles.length > 0) {
+            modelInfo.textContent += ` | ${this.i18n.t('missing-files-short')}: ${missingFiles.join(', ')}`;
+        }
     }
 
     setupScene() {
@@ -186,6 +320,9 @@ class GLTFViewer {
         this.scene.background = new THREE.Color(0x000000); // Black background like donmccurdy viewer
         this.scene.fog = new THREE.Fog(0x000000, 10, 100);
 
+        // Atmospheric sky (selected as the 'Sky' environment, sun driven by the time of day)
+        this.proceduralSky = new ProceduralSky(this.scene, this.pmremGenerator);
+
         // Create environment map for PBR reflections
         this.setupEnvironmentMap();
     }
@@ -199,6 +336,7 @@ class GLTFViewer {
     createStudioEnvironment() {
         // Use Three.js built-in RoomEnvironment for realistic studio lighting
         const roomScene = new RoomEnvironment();
+        roomScene.rotation.copy(this.getEnvironmentEuler());
         const environmentTexture = this.pmremGenerator.fromScene(roomScene, 0.04).texture;
 
         // Store in environments object
@@ -257,6 +395,7 @@ class GLTFViewer {
         envScene.add(ambientLight);
 
         const roughness = 0.04 + (this.backgroundBlurLevel || 0) * 0.5;
+        envScene.rotation.copy(this.getEnvironmentEuler());
         const environmentTexture = this.pmremGenerator.fromScene(envScene, roughness).texture;
         this.environments['Natural'] = environmentTexture;
     }
@@ -270,16 +409,20 @@ class GLTFViewer {
         }
 
         // Create a large sphere with HDR texture as background
+        // Mirrored in Z so its UVs follow the same equirect layout as the environment map,
+        // which keeps the background lined up with reflections when rotated
         const sphereGeo = new THREE.SphereGeometry(500, 60, 40);
+        sphereGeo.scale(1, 1, -1);
         const sphereMat = new THREE.MeshBasicMaterial({
             map: texture,
-            side: THREE.BackSide, // Render inside of sphere
+            side: THREE.FrontSide, // Mirroring flipped the winding, so front faces point inward
             depthWrite: false,
             fog: false
         });
 
         this.hdrBackgroundSphere = new THREE.Mesh(sphereGeo, sphereMat);
         this.hdrBackgroundSphere.name = 'HDRBackgroundSphere';
+        this.hdrBackgroundSphere.rotation.copy(this.getEnvironmentEuler());
         this.scene.add(this.hdrBackgroundSphere);
 
         console.log('HDR background sphere created with texture');
@@ -358,180 +501,209 @@ class GLTFViewer {
         envScene.add(ambientLight);
 
         const roughness = 0.04 + (this.backgroundBlurLevel || 0) * 0.5;
+        envScene.rotation.copy(this.getEnvironmentEuler());
         const environmentTexture = this.pmremGenerator.fromScene(envScene, roughness).texture;
         this.environments['Venice'] = environmentTexture;
     }
 
+    /**
+     * Add an uploaded HDR to the library and switch to it
+     */
     loadCustomHDR(file) {
-        const url = URL.createObjectURL(file);
-
-        // Store the file name for settings
-        this.customHDRPath = file.name;
-
         console.log('Loading HDR file:', file.name);
 
-        // Save HDR file to IndexedDB for persistence
+        // Save HDR file to IndexedDB, then load it back through the library
         const reader = new FileReader();
         reader.onload = async (e) => {
+            let id;
             try {
-                await HDRStorage.saveHDR(e.target.result, file.name);
+                id = await HDRStorage.saveHDR(e.target.result, file.name);
                 console.log('HDR file saved to IndexedDB:', file.name);
             } catch (error) {
-                console.warn('Failed to save HDR to IndexedDB:', error);
+                console.error('Failed to save HDR to IndexedDB:', error);
+                alert(this.i18n.t('hdr-save-error'));
+                return;
             }
-        };
-        reader.readAsArrayBuffer(file);
 
-        this.rgbeLoader.load(
-            url,
-            (texture) => {
-                console.log('HDR texture loaded, converting to environment map...');
-                console.log('Original texture type:', texture.type);
-                console.log('Original texture format:', texture.format);
-                console.log('Original texture mapping:', texture.mapping);
-                console.log('Original texture colorSpace:', texture.colorSpace);
-
-                // Keep original texture as is for background - RGBELoader sets proper HDR format
-                // Don't change colorSpace - it should be LinearSRGBColorSpace for HDR
-                texture.mapping = THREE.EquirectangularReflectionMapping;
-                texture.needsUpdate = true;
-
-                console.log('Texture properties set, generating PMREM...');
-
-                // Convert HDR texture to environment map using PMREM for lighting
-                const pmremTarget = this.pmremGenerator.fromEquirectangular(texture);
-                const environmentTexture = pmremTarget.texture;
-
-                console.log('PMREM generated');
-                console.log('Environment texture type:', environmentTexture.type);
-                console.log('Environment texture format:', environmentTexture.format);
-                console.log('Environment texture mapping:', environmentTexture.mapping);
-
-                // Store both textures
-                this.environments['Custom'] = environmentTexture;
-                this.environments['CustomBackground'] = texture;
-
-                console.log('Environment texture created and stored');
-
-                // Enable background visibility for HDR
-                this.showBackground = true;
-                const showBackgroundCheckbox = document.getElementById('show-background');
-                if (showBackgroundCheckbox) {
-                    showBackgroundCheckbox.checked = true;
+            const envName = `hdr:${id}`;
+            this.pendingEnvironment = envName;
+            const success = await this.loadHDRFromStorage(id);
+            if (!success) {
+                alert('Failed to load HDR file. Please make sure it is a valid .hdr or .exr file.');
+                // Not a readable HDR - don't keep it in the library
+                try {
+                    await HDRStorage.deleteHDR(id);
+                } catch (error) {
+                    console.error('Failed to remove unreadable HDR from IndexedDB:', error);
+                    alert(this.i18n.t('library-update-error'));
                 }
+            } else {
+                this.raiseExposureForHDR();
+            }
+            this.renderHDRLibrary();
+        };
+        reader.readAsArrayBuffer(file);
+    }
 
-                // Apply the custom environment for lighting (IBL) - use PMREM
-                this.scene.environment = environmentTexture;
+    /**
+     * HDRs are usually darker than the built-in environments at the default exposure
+     */
+    raiseExposureForHDR() {
+        this.renderer.toneMappingExposure = Math.max(this.renderer.toneMappingExposure, 1.5);
 
-                // Apply original texture for background - use original HDR with proper mapping
-                this.scene.background = texture;
-                this.currentEnvironment = 'Custom';
+        const exposureSlider = document.getElementById('exposure');
+        const exposureValue = document.getElementById('exposure-value');
+        if (exposureSlider && exposureValue) {
+            exposureSlider.value = this.renderer.toneMappingExposure;
+            exposureValue.textContent = this.renderer.toneMappingExposure.toFixed(2);
+        }
+    }
 
-                console.log('Background texture object:', texture);
-                console.log('Background is Texture:', texture.isTexture);
-                console.log('Background image:', texture.image);
-                console.log('Background image width:', texture.image?.width);
-                console.log('Background image height:', texture.image?.height);
+    /**
+     * Turn an equirectangular HDR texture into the IBL map plus background and show it
+     */
+    applyHDRTexture(texture, envName) {
+        // Keep original texture as is for background - RGBELoader sets proper HDR format
+        texture.mapping = THREE.EquirectangularReflectionMapping;
+        texture.needsUpdate = true;
 
-                // Try creating a background sphere as fallback
-                this.createHDRBackgroundSphere(texture);
+        this.disposeEnvironment(envName);
+        this.environments[`${envName}Background`] = texture;
 
-                // Increase exposure automatically for HDR
-                const currentExposure = this.renderer.toneMappingExposure;
-                this.renderer.toneMappingExposure = Math.max(currentExposure, 1.5);
+        this.useHDREnvironment(envName);
+    }
 
-                // Update exposure slider
-                const exposureSlider = document.getElementById('exposure');
-                const exposureValue = document.getElementById('exposure-value');
-                if (exposureSlider && exposureValue) {
-                    exposureSlider.value = this.renderer.toneMappingExposure;
-                    exposureValue.textContent = this.renderer.toneMappingExposure.toFixed(2);
-                }
+    /**
+     * (Re)build the PMREM lighting map of an HDR environment if the rotation changed
+     */
+    updateHDREnvironmentMap(envName) {
+        const texture = this.environments[`${envName}Background`];
+        const rotationKey = `${this.environmentYaw},${this.environmentPitch}`;
+        const current = this.environments[envName];
+        if (!texture || (current && current.userData.rotationKey === rotationKey)) return;
+
+        // Convert HDR texture to environment map using PMREM for lighting
+        const environmentTexture = this.environmentRotator.createEnvironmentMap(texture, this.getEnvironmentEuler());
+        environmentTexture.userData.rotationKey = rotationKey;
+        if (current) current.dispose();
+        this.environments[envName] = environmentTexture;
+    }
 
-                console.log('Exposure increased to:', this.renderer.toneMappingExposure);
+    getEnvironmentEuler() {
+        return EnvironmentRotator.createEuler(this.environmentYaw, this.environmentPitch);
+    }
 
-                console.log('Scene environment set:', this.scene.environment !== null);
-                console.log('Scene background set:', this.scene.background !== null);
+    /**
+     * Rotate the environment (degrees): reflections, HDR background and path tracer
+     * The background and path tracer follow immediately, lighting maps are rebuilt once per frame
+     */
+    setEnvironmentRotation(yaw, pitch) {
+        this.environmentYaw = yaw;
+        this.environmentPitch = pitch;
 
-                // Hide ground and grid when showing HDR background
-                if (this.ground) this.ground.visible = false;
-                if (this.gridHelper) this.gridHelper.visible = false;
+        const euler = this.getEnvironmentEuler();
+        if (this.hdrBackgroundSphere) {
+            this.hdrBackgroundSphere.rotation.copy(euler);
+        }
+        if (this.pathTracer) {
+            this.pathTracer.setEnvironmentRotation(euler);
+        }
+        this.environmentRotationDirty = true;
+    }
 
-                // Update the select dropdown to show Custom
-                const environmentSelect = document.getElementById('environment-select');
-                if (environmentSelect) {
-                    environmentSelect.value = 'Custom';
-                }
+    updateEnvironmentRotation() {
+        this.environmentRotationDirty = false;
 
-                console.log('Custom HDR environment loaded and applied successfully');
-                console.log('If background still appears black, try increasing Exposure slider (current:', this.renderer.toneMappingExposure, ')');
+        const envName = this.currentEnvironment;
+        if (!envName || envName === 'None' || this.pendingEnvironment !== envName) return;
 
-                // Don't dispose original texture as we're using it for background
-                // URL.revokeObjectURL(url); // Keep URL alive for texture
-            },
-            (progress) => {
-                const percent = (progress.loaded / progress.total * 100).toFixed(1);
-                console.log('Loading HDR:', percent + '%');
-            },
-            (error) => {
-                console.error('Error loading HDR file:', error);
-                alert('Failed to load HDR file. Please make sure it is a valid .hdr or .exr file.');
-                URL.revokeObjectURL(url);
-            }
-        );
+        if (this.environments[`${envName}Background`]) {
+            this.updateHDREnvironmentMap(envName);
+            this.scene.environment = this.environments[envName];
+        } else {
+            // Built-in environments are regenerated from their (rotated) source scenes
+            this.setEnvironment(envName);
+        }
     }
 
     /**
-     * Load HDR from a URL/path (for project HDR files)
+     * Procedural sky sliders: shader parameter, element id, and display precision
+     * Settings keys are 'sky' + the capitalized parameter name
      */
-    loadHDRFromPath(path) {
-        console.log('Loading HDR from path:', path);
-        this.customHDRPath = path;
+    getSkyControls() {
+        return [
+            { name: 'turbidity', id: 'sky-turbidity', digits: 1 },
+            { name: 'rayleigh', id: 'sky-rayleigh', digits: 2 },
+            { name: 'mieCoefficient', id: 'sky-mie-coefficient', digits: 3 },
+            { name: 'mieDirectionalG', id: 'sky-mie-directional-g', digits: 2 }
+        ];
+    }
 
-        return new Promise((resolve) => {
-            this.rgbeLoader.load(
-                path,
-                (texture) => {
-                    console.log('HDR texture loaded from path:', path);
+    /**
+     * Show an HDR environment that is already loaded
+     */
+    useHDREnvironment(envName) {
+        const texture = this.environments[`${envName}Background`];
+        this.updateHDREnvironmentMap(envName);
 
-                    texture.mapping = THREE.EquirectangularReflectionMapping;
-                    texture.needsUpdate = true;
+        // Enable background visibility for HDR
+        this.showBackground = true;
+        const showBackgroundCheckbox = document.getElementById('show-background');
+        if (showBackgroundCheckbox) {
+            showBackgroundCheckbox.checked = true;
+        }
 
-                    const pmremTarget = this.pmremGenerator.fromEquirectangular(texture);
-                    const environmentTexture = pmremTarget.texture;
+        // PMREM for lighting (IBL), original texture for the background
+        this.scene.environment = this.environments[envName];
+        this.scene.background = texture;
+        this.currentEnvironment = envName;
 
-                    this.environments['Custom'] = environmentTexture;
-                    this.environments['CustomBackground'] = texture;
+        this.createHDRBackgroundSphere(texture);
+        if (this.pathTracer) {
+            this.pathTracer.setEnvironmentMap(texture);
+        }
 
-                    this.showBackground = true;
-                    const showBackgroundCheckbox = document.getElementById('show-background');
-                    if (showBackgroundCheckbox) {
-                        showBackgroundCheckbox.checked = true;
-                    }
+        // Hide ground and grid when showing HDR background
+        if (this.ground) this.ground.visible = false;
+        if (this.gridHelper) this.gridHelper.visible = false;
 
-                    this.scene.environment = environmentTexture;
-                    this.scene.background = texture;
-                    this.currentEnvironment = 'Custom';
+        const environmentSelect = document.getElementById('environment-select');
+        if (environmentSelect) {
+            environmentSelect.value = envName;
+        }
+    }
 
-                    this.createHDRBackgroundSphere(texture);
+    /**
+     * Free the textures of an environment (and its HDR background, if any)
+     */
+    disposeEnvironment(envName) {
+        [envName, `${envName}Background`].forEach(key => {
+            if (this.environments[key]) {
+                this.environments[key].dispose();
+                delete this.environments[key];
+            }
+        });
+    }
 
-                    const currentExposure = this.renderer.toneMappingExposure;
-                    this.renderer.toneMappingExposure = Math.max(currentExposure, 1.5);
+    /**
+     * Load HDR from a URL/path (for project HDR files)
+     */
+    loadHDRFromPath(path, envName) {
+        console.log('Loading HDR from path:', path);
 
-                    const exposureSlider = document.getElementById('exposure');
-                    const exposureValue = document.getElementById('exposure-value');
-                    if (exposureSlider && exposureValue) {
-                        exposureSlider.value = this.renderer.toneMappingExposure;
-                        exposureValue.textContent = this.renderer.toneMappingExposure.toFixed(2);
+        return new Promise((resolve) => {
+            this.rgbeLoader.load(
+                path,
+                (texture) => {
+                    if (this.pendingEnvironment !== envName) {
+                        // Another environment was picked while this one was loading
+                        texture.dispose();
+                        resolve(true);
+                        return;
                     }
 
-                    if (this.ground) this.ground.visible = false;
-                    if (this.gridHelper) this.gridHelper.visible = false;
-
-                    const environmentSelect = document.getElementById('environment-select');
-                    if (environmentSelect) {
-                        environmentSelect.value = 'Custom';
-                    }
+                    this.applyHDRTexture(texture, envName);
+                    this.raiseExposureForHDR();
 
                     console.log('HDR loaded from path successfully:', path);
                     resolve(true);
@@ -551,64 +723,61 @@ class GLTFViewer {
     }
 
     /**
-     * Load HDR from IndexedDB (for restoring saved settings)
+     * Load a stored HDR from IndexedDB by id and show it
+     * Only one library HDR is kept in GPU memory at a time
      */
-    async loadHDRFromStorage() {
+    async loadHDRFromStorage(id) {
+        const envName = `hdr:${id}`;
+        if (this.environments[envName]) {
+            this.useHDREnvironment(envName);
+            return true;
+        }
+
         try {
-            const hdrData = await HDRStorage.loadHDR();
+            const hdrData = await HDRStorage.loadHDR(id);
             if (!hdrData || !hdrData.data) {
-                console.log('No saved HDR found in IndexedDB');
+                console.log('No saved HDR found in IndexedDB:', id);
                 return false;
             }
 
             console.log('Loading HDR from IndexedDB:', hdrData.fileName);
-            this.customHDRPath = hdrData.fileName;
 
-            // Create blob from ArrayBuffer
-            const blob = new Blob([hdrData.data], { type: 'application/octet-stream' });
+            // Older records hold an ArrayBuffer, newer ones a Blob
+            const blob = hdrData.data instanceof Blob
+                ? hdrData.data
+                : new Blob([hdrData.data], { type: 'application/octet-stream' });
             const url = URL.createObjectURL(blob);
 
             return new Promise((resolve) => {
                 this.rgbeLoader.load(
                     url,
                     (texture) => {
-                        console.log('HDR texture loaded from IndexedDB');
+                        URL.revokeObjectURL(url);
 
-                        texture.mapping = THREE.EquirectangularReflectionMapping;
-                        texture.needsUpdate = true;
-
-                        const pmremTarget = this.pmremGenerator.fromEquirectangular(texture);
-                        const environmentTexture = pmremTarget.texture;
-
-                        this.environments['Custom'] = environmentTexture;
-                        this.environments['CustomBackground'] = texture;
-
-                        this.showBackground = true;
-                        const showBackgroundCheckbox = document.getElementById('show-background');
-                        if (showBackgroundCheckbox) {
-                            showBackgroundCheckbox.checked = true;
+                        if (!hdrData.thumbnail) {
+                            HDRStorage.updateHDR(id, { thumbnail: this.createHDRThumbnail(texture) })
+                                .then(() => this.renderHDRLibrary())
+                                .catch(error => console.warn('Failed to save HDR thumbnail:', error));
                         }
 
-                        this.scene.environment = environmentTexture;
-                        this.scene.background = texture;
-                        this.currentEnvironment = 'Custom';
-
-                        this.createHDRBackgroundSphere(texture);
-
-                        if (this.ground) this.ground.visible = false;
-                        if (this.gridHelper) this.gridHelper.visible = false;
-
-                        const environmentSelect = document.getElementById('environment-select');
-                        if (environmentSelect) {
-                            environmentSelect.value = 'Custom';
+                        if (this.pendingEnvironment !== envName) {
+                            texture.dispose();
+                            resolve(true);
+                            return;
                         }
 
+                        Object.keys(this.environments)
+                            .filter(key => key.startsWith('hdr:') && !key.endsWith('Background') && key !== envName)
+                            .forEach(key => this.disposeEnvironment(key));
+                        this.applyHDRTexture(texture, envName);
+
                         console.log('HDR restored from IndexedDB successfully:', hdrData.fileName);
                         resolve(true);
                     },
                     undefined,
                     (error) => {
                         console.error('Error loading HDR from IndexedDB:', error);
+                        URL.revokeObjectURL(url);
                         resolve(false);
                     }
                 );
@@ -619,7 +788,138 @@ class GLTFViewer {
         }
     }
 
+    /**
+     * Small tone-mapped JPEG preview of an equirectangular HDR, computed on the CPU
+     */
+    createHDRThumbnail(texture, width = 128, height = 64) {
+        const { data, width: sourceWidth, height: sourceHeight } = texture.image;
+        const isHalfFloat = texture.type === THREE.HalfFloatType;
+        const channels = data.length / (sourceWidth * sourceHeight);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+        const image = context.createImageData(width, height);
+
+        for (let y = 0; y < height; y++) {
+            const sourceY = Math.floor((y + 0.5) / height * sourceHeight);
+            for (let x = 0; x < width; x++) {
+                const sourceX = Math.floor((x + 0.5) / width * sourceWidth);
+                const source = (sourceY * sourceWidth + sourceX) * channels;
+                const target = (y * width + x) * 4;
+
+                for (let c = 0; c < 3; c++) {
+                    const value = isHalfFloat ? THREE.DataUtils.fromHalfFloat(data[source + c]) : data[source + c];
+                    // Reinhard tone mapping and gamma
+                    const mapped = Math.pow(value / (1 + value), 1 / 2.2);
+                    image.data[target + c] = Math.round(THREE.MathUtils.clamp(mapped, 0, 1) * 255);
+                }
+                image.data[target + 3] = 255;
+            }
+        }
+
+        context.putImageData(image, 0, 0);
+        return canvas.toDataURL('image/jpeg', 0.85);
+    }
+
+    /**
+     * Refresh the stored HDR entries in the environment selector and the HDR library list
+     */
+    async renderHDRLibrary() {
+        const group = document.getElementById('hdr-library-options');
+        const list = document.getElementById('hdr-library-list');
+        const emptyMessage = document.getElementById('hdr-library-empty');
+        if (!group || !list) return;
+
+        let records;
+        try {
+            records = await HDRStorage.listHDRs();
+        } catch (error) {
+            console.warn('HDR library unavailable:', error);
+            records = [];
+        }
+
+        group.innerHTML = '';
+        group.label = this.i18n.t('hdr-library');
+        list.innerHTML = '';
+        group.style.display = records.length > 0 ? '' : 'none';
+        emptyMessage.style.display = records.length > 0 ? 'none' : 'block';
+
+        records.forEach(record => {
+            const envName = `hdr:${record.id}`;
+            const name = record.name || record.fileName;
+
+            const option = document.createElement('option');
+            option.value = envName;
+            option.textContent = name;
+            group.appendChild(option);
+
+            const row = document.createElement('div');
+            row.style.cssText = `display: flex; gap: 4px; align-items: center; margin-bottom: 4px; padding: 2px; border: 1px solid ${envName === this.currentEnvironment ? '#4CAF50' : 'transparent'}; border-radius: 3px;`;
+
+            const thumbnail = document.createElement('div');
+            thumbnail.title = this.i18n.t('hdr-apply');
+            thumbnail.style.cssText = 'width: 64px; height: 32px; flex-shrink: 0; background: #111 center / cover no-repeat; border-radius: 2px; cursor: pointer;';
+            if (record.thumbnail) {
+                thumbnail.style.backgroundImage = `url(${record.thumbnail})`;
+            }
+            thumbnail.addEventListener('click', () => this.setEnvironment(envName));
+
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.value = name;
+            nameInput.title = record.fileName;
+            nameInput.style.cssText = 'flex: 1; min-width: 0; padding: 3px; background: #333; color: white; border: 1px solid #555;';
+            nameInput.addEventListener('change', (e) => {
+                const newName = e.target.value.trim();
+                if (!newName) {
+                    this.renderHDRLibrary();
+                    return;
+                }
+                this.runLibraryAction(() => HDRStorage.updateHDR(record.id, { name: newName }), () => this.renderHDRLibrary());
+            });
+
+            const deleteButton = document.createElement('button');
+            deleteButton.textContent = '✕';
+            deleteButton.title = this.i18n.t('hdr-delete');
+            deleteButton.style.cssText = 'padding: 3px 6px; background: #f44336; color: white; border: none; border-radius: 3px; cursor: pointer;';
+            deleteButton.addEventListener('click', () => {
+                if (!confirm(`${this.i18n.t('hdr-delete-confirm')}\n\n${name}`)) return;
+                this.runLibraryAction(async () => {
+                    await HDRStorage.deleteHDR(record.id);
+                    // Only once it is gone from storage
+                    if (this.currentEnvironment === envName) {
+                        this.setEnvironment('Studio');
+                    }
+                    this.disposeEnvironment(envName);
+                }, () => this.renderHDRLibrary());
+            });
+
+            row.append(thumbnail, nameInput, deleteButton);
+            list.appendChild(row);
+        });
+
+        // Options were rebuilt, so reselect the current environment
+        const environmentSelect = document.getElementById('environment-select');
+        if (environmentSelect) {
+            environmentSelect.value = this.currentEnvironment;
+        }
+    }
+
     setEnvironment(envName) {
+        this.pendingEnvironment = envName;
+
+        // Built-in environments use scene.background; the HDR sphere is only for HDRs
+        if (this.hdrBackgroundSphere) {
+            this.hdrBackgroundSphere.visible = false;
+        }
+        this.proceduralSky.setEnabled(envName === 'Sky');
+        // The path tracer only samples equirectangular HDRs (set again once one is shown)
+        if (this.pathTracer) {
+            this.pathTracer.setEnvironmentMap(null);
+        }
+
         // Handle None environment
         if (envName === 'None') {
             this.scene.environment = null;
@@ -631,31 +931,23 @@ class GLTFViewer {
             return;
         }
 
-        // Handle Custom environment (already loaded via HDR file)
-        if (envName === 'Custom') {
-            if (this.environments['Custom']) {
-                this.scene.environment = this.environments['Custom'];
-                if (this.showBackground) {
-                    this.scene.background = this.environments['Custom'];
-                    if (this.ground) this.ground.visible = false;
-                    if (this.gridHelper) this.gridHelper.visible = false;
-                } else {
-                    this.scene.background = new THREE.Color(0x000000);
-                    if (this.ground) this.ground.visible = true;
-                    if (this.gridHelper) this.gridHelper.visible = true;
-                }
-                this.currentEnvironment = envName;
-            } else {
-                console.warn('No custom HDR loaded. Please upload an HDR file first.');
-                alert('Please upload an HDR file first using the "Load HDR File" option.');
-            }
+        // Procedural sky (enabled above, its lighting map follows the sun)
+        if (envName === 'Sky') {
+            this.currentEnvironment = envName;
+            this.setBackgroundVisibility(this.showBackground);
             return;
         }
 
-        // Dispose old environment for this type if it exists
-        if (this.environments[envName]) {
-            this.environments[envName].dispose();
-            delete this.environments[envName];
+        // Stored HDRs (IndexedDB library)
+        if (envName.startsWith('hdr:')) {
+            this.loadHDRFromStorage(envName.substring(4)).then((success) => {
+                if (!success && this.pendingEnvironment === envName) {
+                    console.warn('Stored HDR not found, falling back to Studio:', envName);
+                    this.setEnvironment('Studio');
+                    document.getElementById('environment-select').value = 'Studio';
+                }
+            });
+            return;
         }
 
         // HDR preset paths mapping
@@ -664,14 +956,14 @@ class GLTFViewer {
             'SunnyRoseGarden': 'envrionments/sunny_rose_garden_4k.hdr'
         };
 
-        // Check if it's an HDR preset
+        // Check if it's an HDR preset (kept in memory once loaded)
         if (hdrPresets[envName]) {
-            this.loadHDRFromPath(hdrPresets[envName]).then((success) => {
-                if (success) {
-                    this.currentEnvironment = envName;
-                    // Update customHDRPath for settings save
-                    this.customHDRPath = hdrPresets[envName];
-                } else {
+            if (this.environments[envName]) {
+                this.useHDREnvironment(envName);
+                return;
+            }
+            this.loadHDRFromPath(hdrPresets[envName], envName).then((success) => {
+                if (!success && this.pendingEnvironment === envName) {
                     console.error('Failed to load HDR preset:', envName);
                     // Fallback to Studio
                     this.setEnvironment('Studio');
@@ -680,6 +972,9 @@ class GLTFViewer {
             return;
         }
 
+        // Dispose old environment for this type if it exists
+        this.disposeEnvironment(envName);
+
         // Create environment
         switch(envName) {
             case 'Studio':
@@ -714,8 +1009,18 @@ class GLTFViewer {
 
     setBackgroundVisibility(visible) {
         this.showBackground = visible;
-        if (visible && this.currentEnvironment !== 'None' && this.environments[this.currentEnvironment]) {
-            this.scene.background = this.environments[this.currentEnvironment];
+        // HDR environments show the original equirectangular texture, built-in ones the PMREM map
+        const background = this.environments[`${this.currentEnvironment}Background`] || this.environments[this.currentEnvironment];
+        const isHDR = Boolean(this.environments[`${this.currentEnvironment}Background`]);
+        const isSky = this.currentEnvironment === 'Sky';
+        if (this.hdrBackgroundSphere) {
+            this.hdrBackgroundSphere.visible = visible && isHDR;
+        }
+        this.proceduralSky.setBackgroundVisible(visible);
+
+        if (visible && this.currentEnvironment !== 'None' && (background || isSky)) {
+            // The procedural sky is a mesh at the far plane drawn over the clear color
+            this.scene.background = isSky ? new THREE.Color(0x000000) : background;
             // Hide ground and grid when showing environment background
             if (this.ground) this.ground.visible = false;
             if (this.gridHelper) this.gridHelper.visible = false;
@@ -725,6 +1030,10 @@ class GLTFViewer {
             if (this.ground) this.ground.visible = true;
             if (this.gridHelper) this.gridHelper.visible = true;
         }
+
+        if (this.pathTracer) {
+            this.pathTracer.updateEnvironment();
+        }
     }
 
     setBackgroundBlur(level) {
@@ -921,44 +1230,178 @@ class GLTFViewer {
             langSwitcher.addEventListener('click', () => {
                 const newLang = this.i18n.getLanguage() === 'en' ? 'ko' : 'en';
                 this.i18n.setLanguage(newLang);
+                this.updateModelInfo();
+                this.renderBookmarkList();
+                this.renderCameraPathList();
+                this.renderOutliner();
+                this.updateMaterialPanel();
+                this.renderModelLibrary();
+                this.renderHDRLibrary();
+                this.renderPostEffectList();
+                this.renderPostPresetList();
+                this.renderLUTLibrary();
+                this.renderGlowList();
+                this.updateSolarInfo();
             });
         }
 
-        // File input
+        // File input (multiple files: .gltf with its .bin and textures)
         const fileInput = document.getElementById('file-input');
         fileInput.addEventListener('change', (e) => {
-            const file = e.target.files[0];
-            if (file) {
-                this.loadGLTF(file);
+            if (e.target.files.length > 0) {
+                this.loadModelFiles(FileResolver.fromFileList(e.target.files));
             }
         });
 
+        // Folder input
+        const folderInput = document.getElementById('folder-input');
+        if (folderInput) {
+            folderInput.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) {
+                    this.loadModelFiles(FileResolver.fromFileList(e.target.files));
+                }
+            });
+        }
+
+        this.setupDragAndDrop();
+
         // Mode buttons
         const buttons = document.querySelectorAll('.mode-button');
         buttons.forEach(button => {
             button.addEventListener('click', () => {
-                const mode = button.dataset.mode;
-                this.cameraController.setMode(mode);
-
-                // Update button states
-                buttons.forEach(btn => btn.classList.remove('active'));
-                button.classList.add('active');
+                this.setCameraMode(button.dataset.mode);
             });
         });
+
+        // Mode hotkeys (1-4), bookmark hotkeys (Shift + 0-9)
+        const modeKeys = {
+            'Digit1': this.cameraController.modes.FIRST_PERSON,
+            'Digit2': this.cameraController.modes.THIRD_PERSON,
+            'Digit3': this.cameraController.modes.FREE_CAMERA,
+            'Digit4': this.cameraController.modes.ORBIT
+        };
+        document.addEventListener('keydown', (e) => {
+            // Ignore hotkeys while typing in inputs
+            if (e.target.closest?.('input, select, textarea')) return;
+            if (e.ctrlKey || e.altKey || e.metaKey) return;
+            if (e.shiftKey) {
+                // e.key is a symbol with Shift held, so use the physical key
+                const digit = e.code.startsWith('Digit') ? e.code.substring(5) : null;
+                const bookmark = digit && this.cameraBookmarks.getByHotkey(digit);
+                if (bookmark) {
+                    this.player.suppressSprint(); // Shift here picks a bookmark, it doesn't mean sprint
+                    this.flyToBookmark(bookmark.id);
+                }
+                return;
+            }
+            if (modeKeys[e.code]) {
+                this.setCameraMode(modeKeys[e.code]);
+            }
+        });
+    }
+
+    setCameraMode(mode) {
+        this.cameraPath.stop();
+        this.cameraController.setMode(mode);
+        this.updateModeButtons();
+    }
+
+    updateModeButtons() {
+        const mode = this.cameraController.currentMode;
+        document.querySelectorAll('.mode-button').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === mode);
+        });
+    }
+
+    flyToBookmark(id) {
+        this.cameraPath.stop();
+        if (this.cameraBookmarks.flyTo(id)) {
+            this.updateModeButtons();
+        }
+    }
+
+    setupDragAndDrop() {
+        const dropOverlay = document.getElementById('drop-overlay');
+        let dragDepth = 0;
+
+        const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+        this.canvas.addEventListener('dragenter', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            dragDepth++;
+            if (dropOverlay) dropOverlay.classList.add('visible');
+        });
+
+        this.canvas.addEventListener('dragover', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+
+        this.canvas.addEventListener('dragleave', () => {
+            dragDepth = Math.max(0, dragDepth - 1);
+            if (dragDepth === 0 && dropOverlay) dropOverlay.classList.remove('visible');
+        });
+
+        this.canvas.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            dragDepth = 0;
+            if (dropOverlay) dropOverlay.classList.remove('visible');
+
+            try {
+                const resolver = await FileResolver.fromDataTransfer(e.dataTransfer);
+                this.loadModelFiles(resolver);
+            } catch (error) {
+                console.error('Error reading dropped files:', error);
+                alert(this.i18n.t('drop-read-error'));
+            }
+        });
+    }
+
+    /**
+     * Load a model from a set of local files (single file, multi-select, folder or drop)
+     */
+    loadModelFiles(resolver) {
+        const rootFile = resolver.findRootFile(MODEL_EXTENSIONS);
+        if (!rootFile) {
+            alert(this.i18n.t('no-model-file'));
+            return;
+        }
+
+        console.log(`Loading ${resolver.rootPath} with ${resolver.size - 1} additional file(s)`);
+        this.loadModel(rootFile, resolver);
     }
 
-    loadGLTF(file) {
-        // Revoke previous blob URL if exists
+    reportMissingFiles(resolver) {
+        const missing = resolver.getMissingFiles();
+        if (missing.length === 0) return false;
+
+        console.warn('Missing referenced files:', missing);
+        alert(`${this.i18n.t('missing-files')}\n\n${missing.map(path => '- ' + path).join('\n')}`);
+        return true;
+    }
+
+    /**
+     * Load a model of any supported format and run the shared post-load pipeline
+     * @param {string|null} libraryId - Library record the files came from (not saved again)
+     */
+    loadModel(file, resolver = new FileResolver([{ path: file.name, file }]), libraryId = null) {
+        // Revoke previous blob URLs if exist
         if (this.currentModelUrl) {
             URL.revokeObjectURL(this.currentModelUrl);
             this.currentModelUrl = null;
         }
+        if (this.currentFileResolver) {
+            this.currentFileResolver.dispose();
+            this.currentFileResolver = null;
+        }
 
         // Remove previous model and dispose resources
         if (this.loadedModel) {
             // Dispose of geometries, materials, and textures
             this.loadedModel.traverse((child) => {
-                if (child.isMesh) {
+                if (child.isMesh || child.isPoints) {
                     // Dispose geometry
                     if (child.geometry) {
                         child.geometry.dispose();
@@ -985,19 +1428,60 @@ class GLTFViewer {
 
             this.scene.remove(this.loadedModel);
             this.loadedModel = null;
-        }
+            this.loadedModelInfo = null;
+            this.updateModelInfo();
+
+            this.animationSystem.setModel(null);
+            this.updateAnimationUI();
+            this.cameraController.setOrbitPickTarget(null);
+            if (this.postProcessing) {
+                this.postProcessing.setModelBounds(null);
+                this.postProcessing.effects.bloom.setModel(null);
+            }
+            this.collisionWorld.clear();
+            this.outliner.setModel(null);
+            this.selectionOutline.setSelection([]);
+            this.selectionOutline.setHovered(null);
+            this.renderOutliner();
+            this.materialEditor.setModel(null);
+            this.updateMaterialPanel();
+            this.renderGlowList();
+        }
 
         // Create new blob URL
         const url = URL.createObjectURL(file);
         this.currentModelUrl = url;
+        this.currentFileResolver = resolver;
 
-        // Configure loader with error handling
-        this.gltfLoader.setCrossOrigin('anonymous');
-
-        this.gltfLoader.load(
-            url,
-            (gltf) => {
-                this.loadedModel = gltf.scene;
+        // The loader is picked by file header or extension
+        // External .bin, .mtl and texture URIs are resolved against the provided files
+        this.modelLoader.load(file, url, resolver, (progress) => {
+            if (progress.total > 0) {
+                const percent = (progress.loaded / progress.total * 100).toFixed(1);
+                console.log(`Loading: ${percent}%`);
+            }
+        }).then(
+            (result) => {
+                this.loadedModel = result.scene;
+
+                // Report the format and which compression extensions the asset relies on
+                let pointClouds = 0;
+                this.loadedModel.traverse(child => {
+                    if (child.isPoints) pointClouds++;
+                });
+                this.loadedModelInfo = {
+                    fileName: file.name,
+                    format: result.format,
+                    gltf: result.gltf !== null,
+                    compression: result.gltf ? this.getCompressionExtensions(result.gltf) : [],
+                    pointClouds,
+                    missingFiles: resolver.getMissingFiles()
+                };
+                this.updateModelInfo();
+                if (this.loadedModelInfo.compression.length > 0) {
+                    console.log('Compression extensions used:',
+                        this.loadedModelInfo.compression.map(c => c.extension).join(', '));
+                }
 
                 // Enable shadows - original simple setup
                 this.loadedModel.traverse((child) => {
@@ -1026,12 +1510,50 @@ class GLTFViewer {
 
                 this.scene.add(this.loadedModel);
 
+                // Frame the model for orbit mode and allow double-click pivot picking
+                box.setFromObject(this.loadedModel);
+                const modelCenter = box.getCenter(new THREE.Vector3());
+                const modelSize = box.getSize(new THREE.Vector3());
+                this.cameraController.setOrbitTarget(modelCenter, Math.max(modelSize.x, modelSize.y, modelSize.z) * 1.5);
+                this.cameraController.setOrbitPickTarget(this.loadedModel);
+                if (this.postProcessing) {
+                    this.postProcessing.setModelBounds(box);
+                }
+
+                // Build collision BVH in world space (after scaling and centering)
+                this.collisionWorld.build(this.loadedModel);
+
+                // Show the node tree (root and first level expanded)
+                this.outliner.setModel(this.loadedModel);
+                this.outlinerExpanded = new Set([this.loadedModel]);
+                this.renderOutliner();
+
+                // Collect materials and reapply edits and glow picks saved for this model
+                const modelKey = `${file.name}:${file.size}`;
+                this.postProcessing?.effects.bloom.setModel(this.loadedModel, modelKey);
+                this.materialEditor.setModel(this.loadedModel, modelKey).then(applied => {
+                    if (applied > 0) {
+                        console.log(`${this.i18n.t('material-overrides-applied')}: ${applied}`);
+                        this.onMaterialsChanged(true);
+                    }
+                    this.updateMaterialPanel();
+                    this.renderGlowList();
+                });
+
+                // Start animation playback
+                this.animationSystem.setModel(this.loadedModel, result.animations);
+                this.updateAnimationUI();
+
                 // Update path tracer scene
                 if (this.pathTracer) {
                     this.pathTracer.setScene(this.scene, this.cameraController.camera);
                 }
 
-                console.log('GLTF loaded successfully');
+                console.log(`${result.format.toUpperCase()} model loaded successfully`);
+                this.reportMissingFiles(resolver);
+
+                // Keep the model in the library for the next session
+                this.saveToLibrary(file, resolver, result.format, libraryId);
 
                 // Clean up blob URL after successful load
                 // Don't revoke immediately as textures might still be loading
@@ -1040,28 +1562,196 @@ class GLTFViewer {
                         // URL.revokeObjectURL(url); // Keep commented to avoid texture loading issues
                     }
                 }, 5000);
-            },
-            (progress) => {
-                if (progress.total > 0) {
-                    const percent = (progress.loaded / progress.total * 100).toFixed(1);
-                    console.log(`Loading: ${percent}%`);
-                }
-            },
+            }
+        ).catch(
+            // Also failures while setting up the loaded model
             (error) => {
-                console.error('Error loading GLTF:', error);
+                console.error('Error loading model:', error);
 
                 // Clean up on error
                 if (this.currentModelUrl === url) {
                     URL.revokeObjectURL(url);
                     this.currentModelUrl = null;
+                    resolver.dispose();
+                    this.currentFileResolver = null;
+                }
+
+                // A missing external buffer is the usual cause - list the files that were not provided
+                if (this.reportMissingFiles(resolver)) {
+                    return;
                 }
 
-                // Show user-friendly error message
-                alert('Failed to load 3D model. Please check the file format and try again.');
+                // Show user-friendly error message (include the loader's reason, e.g. a missing decoder)
+                alert(`Failed to load 3D model. Please check the file format and try again.\n\n${error?.message || error}`);
             }
         );
     }
 
+    /**
+     * Store the loaded model in the library, or mark a reopened one as last opened
+     */
+    async saveToLibrary(file, resolver, format, libraryId) {
+        try {
+            if (libraryId) {
+                await this.modelLibrary.touch(libraryId);
+                this.currentLibraryId = libraryId;
+            } else {
+                // Rendered synchronously before the first await, while the model is in the scene
+                const record = await this.modelLibrary.add({
+                    key: `${file.name}:${file.size}`,
+                    name: file.name.replace(/\.[^.]+$/, ''),
+                    format,
+                    files: resolver.getReferencedEntries(),
+                    thumbnail: this.modelLibrary.captureThumbnail(this.renderer, this.scene, this.loadedModel)
+                });
+                this.currentLibraryId = record.id;
+            }
+        } catch (error) {
+            // Usually the storage quota - the model is still loaded, just not kept
+            console.warn('Failed to save model to the library:', error);
+        }
+        this.renderModelLibrary();
+    }
+
+    async openLibraryModel(id) {
+        try {
+            const record = await this.modelLibrary.get(id);
+            if (!record) return false;
+
+            const resolver = new FileResolver(record.files);
+            const rootFile = resolver.setRootPath(record.rootPath);
+            if (!rootFile) {
+                throw new Error(`Root file ${record.rootPath} missing from library entry`);
+            }
+
+            console.log(`Opening ${record.name} from the model library`);
+            this.loadModel(rootFile, resolver, record.id);
+            return true;
+        } catch (error) {
+            console.error('Error opening library model:', error);
+            alert(this.i18n.t('library-open-error'));
+            return false;
+        }
+    }
+
+    async restoreLastModel() {
+        try {
+            const record = await this.modelLibrary.getLastOpened();
+            if (record && !this.loadedModel) {
+                await this.openLibraryModel(record.id);
+            }
+        } catch (error) {
+            console.warn('Could not restore the last model:', error);
+        }
+    }
+
+    async renderModelLibrary() {
+        const grid = document.getElementById('library-grid');
+        const emptyMessage = document.getElementById('library-empty');
+        const usageText = document.getElementById('library-usage');
+        if (!grid) return;
+
+        // Renders are async, so only the latest one may touch the DOM
+        const renderId = (this.libraryRenderId || 0) + 1;
+        this.libraryRenderId = renderId;
+
+        let records;
+        let usage;
+        try {
+            records = await this.modelLibrary.list();
+            usage = await this.modelLibrary.getUsage();
+        } catch (error) {
+            console.warn('Model library unavailable:', error);
+            records = [];
+            usage = null;
+        }
+        if (renderId !== this.libraryRenderId) return;
+
+        grid.innerHTML = '';
+        emptyMessage.style.display = records.length > 0 ? 'none' : 'block';
+
+        if (usage) {
+            usageText.textContent = `${this.i18n.t('library-models')}: ${usage.count} (${ModelLibrary.formatBytes(usage.bytes)})`;
+            if (usage.usage !== null && usage.quota) {
+                usageText.textContent += ` | ${this.i18n.t('library-storage')}: ${ModelLibrary.formatBytes(usage.usage)} / ${ModelLibrary.formatBytes(usage.quota)}`;
+            }
+        } else {
+            usageText.textContent = '';
+        }
+
+        records.forEach(record => {
+            const card = document.createElement('div');
+            const isCurrent = record.id === this.currentLibraryId;
+            card.style.cssText = `background: #2a2a2a; border: 1px solid ${isCurrent ? '#4CAF50' : '#444'}; border-radius: 4px; padding: 4px; position: relative;`;
+
+            const thumbnail = document.createElement('div');
+            thumbnail.title = this.i18n.t('library-open');
+            thumbnail.style.cssText = 'aspect-ratio: 1; background: #111 center / cover no-repeat; border-radius: 3px; cursor: pointer; display: flex; align-items: center; justify-content: center; color: #666; font-size: 11px;';
+            if (record.thumbnail) {
+                thumbnail.style.backgroundImage = `url(${record.thumbnail})`;
+            } else {
+                thumbnail.textContent = record.format.toUpperCase();
+            }
+            thumbnail.addEventListener('click', () => this.openLibraryModel(record.id));
+
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.value = record.name;
+            nameInput.title = this.i18n.t('library-rename');
+            nameInput.style.cssText = 'width: 100%; box-sizing: border-box; margin-top: 4px; padding: 2px; background: #333; color: white; border: 1px solid #555; font-size: 11px;';
+            nameInput.addEventListener('change', (e) => {
+                const name = e.target.value.trim();
+                if (!name) {
+                    e.target.value = record.name;
+                    return;
+                }
+                this.runLibraryAction(() => this.modelLibrary.rename(record.id, name), () => this.renderModelLibrary());
+            });
+
+            const meta = document.createElement('div');
+            meta.style.cssText = 'font-size: 10px; color: #888; margin-top: 2px;';
+            meta.textContent = `${record.format.toUpperCase()} · ${ModelLibrary.formatBytes(record.size)} · ${new Date(record.created).toLocaleDateString()}`;
+
+            const deleteButton = document.createElement('button');
+            deleteButton.textContent = '✕';
+            deleteButton.title = this.i18n.t('library-delete');
+            deleteButton.style.cssText = 'position: absolute; top: 6px; right: 6px; padding: 1px 5px; background: #f44336; color: white; border: none; border-radius: 3px; cursor: pointer; font-size: 11px;';
+            deleteButton.addEventListener('click', () => {
+                if (!confirm(`${this.i18n.t('library-delete-confirm')}\n\n${record.name}`)) return;
+                this.runLibraryAction(async () => {
+                    await this.modelLibrary.remove(record.id);
+                    if (this.currentLibraryId === record.id) {
+                        this.currentLibraryId = null;
+                    }
+                }, () => this.renderModelLibrary());
+            });
+
+            card.append(thumbnail, nameInput, meta, deleteButton);
+            grid.appendChild(card);
+        });
+    }
+
+    /**
+     * Run a rename or delete on a stored library entry (models, HDRs, LUTs)
+     * Storage failures (quota, blocked upgrade) are reported instead of escaping as
+     * unhandled rejections, and the list is refreshed either way.
+     * @param {Function} action - Async storage update, followed by what depends on its success
+     * @param {Function} refresh - Re-renders the library list
+     * @returns {Promise<boolean>} Whether the action succeeded
+     */
+    async runLibraryAction(action, refresh) {
+        try {
+            await action();
+            return true;
+        } catch (error) {
+            console.warn('Failed to update the library:', error);
+            alert(this.i18n.t('library-update-error'));
+            return false;
+        } finally {
+            refresh();
+        }
+    }
+
     setupSettings() {
         // Toggle settings panel
         const toggleButton = document.getElementById('toggle-settings');
@@ -1112,6 +1802,32 @@ class GLTFViewer {
             groundLevelValue.textContent = value.toFixed(2) + 'm';
         });
 
+        const meshCollision = document.getElementById('mesh-collision');
+        meshCollision.addEventListener('change', (e) => {
+            this.player.setCollisionEnabled(e.target.checked);
+        });
+
+        const stepHeight = document.getElementById('step-height');
+        const stepHeightValue = document.getElementById('step-height-value');
+        stepHeight.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.player.setStepHeight(value);
+            stepHeightValue.textContent = value.toFixed(3) + 'm';
+        });
+
+        const maxSlope = document.getElementById('max-slope');
+        const maxSlopeValue = document.getElementById('max-slope-value');
+        maxSlope.addEventListener('input', (e) => {
+            const degrees = parseFloat(e.target.value);
+            this.player.setMaxSlopeAngle(THREE.MathUtils.degToRad(degrees));
+            maxSlopeValue.textContent = degrees.toFixed(0) + '°';
+        });
+
+        const freeCameraNoclip = document.getElementById('free-camera-noclip');
+        freeCameraNoclip.addEventListener('change', (e) => {
+            this.player.setNoclip(e.target.checked);
+        });
+
         const thirdPersonDistance = document.getElementById('third-person-distance');
         const thirdPersonDistanceValue = document.getElementById('third-person-distance-value');
         thirdPersonDistance.addEventListener('input', (e) => {
@@ -1128,6 +1844,19 @@ class GLTFViewer {
             thirdPersonHeightValue.textContent = value.toFixed(3) + 'm';
         });
 
+        const cameraTransition = document.getElementById('camera-transition');
+        const cameraTransitionValue = document.getElementById('camera-transition-value');
+        cameraTransition.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.cameraController.setTransitionDuration(value);
+            cameraTransitionValue.textContent = value.toFixed(1) + 's';
+        });
+
+        const orbitDamping = document.getElementById('orbit-damping');
+        orbitDamping.addEventListener('change', (e) => {
+            this.cameraController.setOrbitDamping(e.target.checked);
+        });
+
         // Post-processing settings
         const enablePostProcessing = document.getElementById('enable-postprocessing');
         enablePostProcessing.addEventListener('change', (e) => {
@@ -1136,19 +1865,25 @@ class GLTFViewer {
             }
         });
 
-        const enableBloom = document.getElementById('enable-bloom');
-        enableBloom.addEventListener('change', (e) => {
-            if (this.postProcessing) {
-                this.postProcessing.setBloomEnabled(e.target.checked);
-            }
-        });
+        this.setupPostProcessingControls();
 
-        const enableSSAO = document.getElementById('enable-ssao');
-        enableSSAO.addEventListener('change', (e) => {
-            if (this.postProcessing) {
-                this.postProcessing.setSSAOEnabled(e.target.checked);
-            }
-        });
+        // Animation controls
+        this.setupAnimationControls();
+
+        // Camera bookmarks
+        this.setupBookmarkControls();
+
+        // Camera path
+        this.setupCameraPathControls();
+
+        // Outliner
+        this.setupOutlinerControls();
+
+        // Material inspector
+        this.setupMaterialControls();
+
+        // Export
+        this.setupExportControls();
 
         // Time of day settings
         const enableTimeCycle = document.getElementById('enable-time-cycle');
@@ -1219,6 +1954,15 @@ class GLTFViewer {
             orbitRollValue.textContent = '0°';
         });
 
+        // Geographic sun position (solar ephemeris)
+        this.setupSolarControls();
+
+        // Stars, moon and moonlight
+        this.setupNightSkyControls();
+
+        // Weather
+        this.setupWeatherControls();
+
         // Graphics settings
         const enableShadows = document.getElementById('enable-shadows');
         enableShadows.addEventListener('change', (e) => {
@@ -1300,11 +2044,8 @@ class GLTFViewer {
 
         const enableFog = document.getElementById('enable-fog');
         enableFog.addEventListener('change', (e) => {
-            if (e.target.checked) {
-                this.scene.fog = new THREE.Fog(0x87CEEB, 10, 100);
-            } else {
-                this.scene.fog = null;
-            }
+            // Density and color come from the weather preset
+            this.weather.setFogEnabled(e.target.checked);
         });
 
         const pixelRatio = document.getElementById('pixel-ratio');
@@ -1315,6 +2056,15 @@ class GLTFViewer {
             pixelRatioValue.textContent = value.toFixed(2) + 'x';
         });
 
+        // Point cloud size (PLY files without faces)
+        const pointSize = document.getElementById('point-size');
+        const pointSizeValue = document.getElementById('point-size-value');
+        pointSize.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.modelLoader.setPointSize(value, this.loadedModel);
+            pointSizeValue.textContent = value.toFixed(3);
+        });
+
         // Environment selection
         const environmentSelect = document.getElementById('environment-select');
         if (environmentSelect) {
@@ -1489,6 +2239,34 @@ class GLTFViewer {
             });
         }
 
+        // Environment rotation (reflections, HDR background and path tracer)
+        const envYaw = document.getElementById('env-yaw');
+        const envYawValue = document.getElementById('env-yaw-value');
+        envYaw.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.setEnvironmentRotation(value, this.environmentPitch);
+            envYawValue.textContent = value + '°';
+        });
+
+        const envPitch = document.getElementById('env-pitch');
+        const envPitchValue = document.getElementById('env-pitch-value');
+        envPitch.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.setEnvironmentRotation(this.environmentYaw, value);
+            envPitchValue.textContent = value + '°';
+        });
+
+        // Procedural sky scattering
+        this.getSkyControls().forEach(({ name, id, digits }) => {
+            const slider = document.getElementById(id);
+            const valueDisplay = document.getElementById(`${id}-value`);
+            slider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                this.proceduralSky.setParameter(name, value);
+                valueDisplay.textContent = value.toFixed(digits);
+            });
+        });
+
         // Particle system controls
         const enableParticles = document.getElementById('enable-particles');
         enableParticles.addEventListener('change', (e) => {
@@ -1650,133 +2428,1649 @@ class GLTFViewer {
         }
     }
 
-    saveSettings() {
-        const settings = {
-            // Player settings
-            playerScale: this.player.scale.x,
-            playerEyeHeight: this.player.eyeHeight,
-            playerSpeed: this.player.speed,
-            groundLevel: this.player.groundLevel,
-            thirdPersonDistance: this.cameraController.thirdPersonDistance,
-            thirdPersonHeight: this.cameraController.thirdPersonHeight,
-            cameraNear: this.cameraController.camera.near,
+    setupAnimationControls() {
+        const clipSelect = document.getElementById('animation-clip');
+        clipSelect.addEventListener('change', (e) => {
+            this.animationSystem.selectClip(e.target.value);
+            this.updateAnimationTimeline();
+        });
 
-            // Player and Camera position
-            playerPosition: {
-                x: this.player.position.x,
-                y: this.player.position.y,
-                z: this.player.position.z
-            },
-            cameraPosition: {
-                x: this.cameraController.camera.position.x,
-                y: this.cameraController.camera.position.y,
-                z: this.cameraController.camera.position.z
-            },
-            cameraRotation: {
-                yaw: this.cameraController.yaw,
-                pitch: this.cameraController.pitch
-            },
-            cameraMode: this.cameraController.currentMode,
-            orbitDistance: this.cameraController.orbitDistance || 10,
-            orbitTarget: this.cameraController.orbitTarget ? {
-                x: this.cameraController.orbitTarget.x,
-                y: this.cameraController.orbitTarget.y,
-                z: this.cameraController.orbitTarget.z
-            } : { x: 0, y: 0, z: 0 },
+        const playButton = document.getElementById('animation-play');
+        playButton.addEventListener('click', () => {
+            this.animationSystem.togglePlaying();
+            this.updateAnimationUI();
+        });
 
-            // Post-processing
-            postProcessingEnabled: this.postProcessing?.enabled || false,
-            bloomEnabled: this.postProcessing?.bloomEnabled || false,
-            ssaoEnabled: this.postProcessing?.ssaoEnabled || false,
+        const loopSelect = document.getElementById('animation-loop');
+        loopSelect.addEventListener('change', (e) => {
+            this.animationSystem.setLoopMode(e.target.value);
+        });
 
-            // Time of day
-            timeCycleEnabled: this.timeOfDay.enabled,
-            timeOfDay: this.timeOfDay.timeOfDay,
-            timeSpeed: this.timeOfDay.timeSpeed,
-            sunIntensity: this.timeOfDay.sunIntensity,
-            orbitPitch: this.timeOfDay.orbitRotation.x,
-            orbitYaw: this.timeOfDay.orbitRotation.y,
-            orbitRoll: this.timeOfDay.orbitRotation.z,
+        const animationSpeed = document.getElementById('animation-speed');
+        const animationSpeedValue = document.getElementById('animation-speed-value');
+        animationSpeed.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.animationSystem.setSpeed(value);
+            animationSpeedValue.textContent = value.toFixed(2) + 'x';
+        });
 
-            // Graphics - Shadows
-            shadowsEnabled: this.renderer.shadowMap.enabled,
-            shadowQuality: this.getShadowQualityName(),
-            shadowSoftness: this.directionalLight.shadow.radius,
-            shadowBias: this.directionalLight.shadow.bias,
+        const animationCrossfade = document.getElementById('animation-crossfade');
+        const animationCrossfadeValue = document.getElementById('animation-crossfade-value');
+        animationCrossfade.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.animationSystem.setCrossfadeDuration(value);
+            animationCrossfadeValue.textContent = value.toFixed(2) + 's';
+        });
 
-            // Graphics - Light direction
-            lightDirX: this.directionalLight.position.x,
-            lightDirY: this.directionalLight.position.y,
-            lightDirZ: this.directionalLight.position.z,
+        // Timeline scrubber (value is a 0-1 fraction of the clip duration)
+        const timeline = document.getElementById('animation-timeline');
+        this.isScrubbingAnimation = false;
+        timeline.addEventListener('pointerdown', () => {
+            this.isScrubbingAnimation = true;
+        });
+        timeline.addEventListener('pointerup', () => {
+            this.isScrubbingAnimation = false;
+        });
+        timeline.addEventListener('input', (e) => {
+            const fraction = parseFloat(e.target.value);
+            this.animationSystem.seek(fraction * this.animationSystem.getDuration());
+            this.updateAnimationTimeline();
+        });
+    }
 
-            // Graphics - Other
-            fogEnabled: this.scene.fog !== null,
-            pixelRatio: this.renderer.getPixelRatio() / window.devicePixelRatio,
+    setupBookmarkControls() {
+        const nameInput = document.getElementById('bookmark-name');
+        document.getElementById('bookmark-add').addEventListener('click', () => {
+            this.cameraBookmarks.add(nameInput.value.trim());
+            nameInput.value = '';
+            this.renderBookmarkList();
+        });
+        nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                document.getElementById('bookmark-add').click();
+            }
+        });
 
-            // Environment & Lighting
-            environment: this.currentEnvironment,
-            customHDRPath: this.customHDRPath || null,
-            toneMapping: this.getToneMappingName(),
-            exposure: this.renderer.toneMappingExposure,
-            punctualLights: this.punctualLightsEnabled,
-            ambientIntensity: this.ambientLight.intensity,
-            ambientColor: '#' + this.ambientLight.color.getHexString(),
-            directIntensity: this.directionalLight.intensity,
-            directColor: '#' + this.directionalLight.color.getHexString(),
-            envIntensity: this.environmentIntensity,
-            showBackground: this.showBackground,
-            backgroundBlur: this.backgroundBlurLevel,
+        const flyDuration = document.getElementById('bookmark-duration');
+        const flyDurationValue = document.getElementById('bookmark-duration-value');
+        flyDuration.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.cameraBookmarks.flyDuration = value;
+            flyDurationValue.textContent = value.toFixed(1) + 's';
+        });
 
-            // Particles
-            particlesEnabled: this.particleSystem?.enabled || false,
-            particleShape: this.particleSystem?.currentShape || 'sphere',
-            particleSize: this.particleSystem?.size || 0.5,
-            particleSpeed: this.particleSystem?.speed || 0.5,
+        this.renderBookmarkList();
+    }
 
-            // Glitch
-            glitchEnabled: this.postProcessing?.glitchEnabled || false,
+    /**
+     * Compact icon button for the rows of the bookmark, effect and keyframe lists
+     * @param {string} text - Button label
+     * @param {string} titleKey - i18n key of the tooltip
+     * @param {Function} onClick
+     */
+    createSmallButton(text, titleKey, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.title = this.i18n.t(titleKey);
+        button.style.cssText = 'padding: 3px 6px; background: #444; color: white; border: none; border-radius: 3px; cursor: pointer;';
+        button.addEventListener('click', onClick);
+        return button;
+    }
 
-            // Path Tracing
-            pathTracingEnabled: this.pathTracer?.enabled || false,
-            pathTracingGlossy: this.pathTracer?.filterGlossyFactor || 0.5,
-            pathTracingScale: this.pathTracer?.renderScale || 1.0,
-            pathTracingBounces: this.pathTracer?.bounces || 5,
-            pathTracingTransmissive: this.pathTracer?.transmissiveBounces || 10,
+    /**
+     * Rebuild the bookmark list (fly, rename, hotkey, reorder, recapture, delete)
+     */
+    renderBookmarkList() {
+        const list = document.getElementById('bookmark-list');
+        const emptyMessage = document.getElementById('bookmark-empty');
+        const bookmarks = this.cameraBookmarks.bookmarks;
+
+        list.innerHTML = '';
+        emptyMessage.style.display = bookmarks.length > 0 ? 'none' : 'block';
+
+        bookmarks.forEach((bookmark, index) => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; gap: 4px; align-items: center; margin-bottom: 4px;';
+
+            const flyButton = this.createSmallButton('▶', 'bookmark-fly', () => this.flyToBookmark(bookmark.id));
+            flyButton.style.background = '#4CAF50';
+
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.value = bookmark.name;
+            nameInput.style.cssText = 'flex: 1; min-width: 0; padding: 3px; background: #333; color: white; border: 1px solid #555;';
+            nameInput.addEventListener('change', (e) => {
+                this.cameraBookmarks.rename(bookmark.id, e.target.value.trim());
+                e.target.value = bookmark.name;
+            });
 
-            timestamp: new Date().toISOString()
-        };
+            const hotkeySelect = document.createElement('select');
+            hotkeySelect.title = this.i18n.t('bookmark-hotkey');
+            hotkeySelect.style.cssText = 'padding: 3px; background: #333; color: white; border: 1px solid #555;';
+            ['', '1', '2', '3', '4', '5', '6', '7', '8', '9', '0'].forEach(digit => {
+                const option = document.createElement('option');
+                option.value = digit;
+                option.textContent = digit ? `⇧${digit}` : '–';
+                hotkeySelect.appendChild(option);
+            });
+            hotkeySelect.value = bookmark.hotkey || '';
+            hotkeySelect.addEventListener('change', (e) => {
+                this.cameraBookmarks.setHotkey(bookmark.id, e.target.value);
+                this.renderBookmarkList();
+            });
 
-        // Save to localStorage
-        localStorage.setItem('gltfViewerSettings', JSON.stringify(settings));
-        console.log('Settings saved:', settings);
-        alert(this.i18n.t('settings-saved'));
-    }
+            const upButton = this.createSmallButton('↑', 'bookmark-up', () => {
+                this.cameraBookmarks.move(bookmark.id, -1);
+                this.renderBookmarkList();
+            });
+            upButton.disabled = index === 0;
 
-    loadSettings() {
-        const savedSettings = localStorage.getItem('gltfViewerSettings');
-        if (!savedSettings) {
-            alert(this.i18n.t('no-saved-settings'));
-            return;
-        }
+            const downButton = this.createSmallButton('↓', 'bookmark-down', () => {
+                this.cameraBookmarks.move(bookmark.id, 1);
+                this.renderBookmarkList();
+            });
+            downButton.disabled = index === bookmarks.length - 1;
 
-        try {
-            const settings = JSON.parse(savedSettings);
-            this.applySettings(settings);
-            console.log('Settings loaded:', settings);
-            alert(this.i18n.t('settings-loaded'));
-        } catch (error) {
-            console.error('Error loading settings:', error);
-            alert(this.i18n.t('settings-load-error'));
-        }
-    }
+            const updateButton = this.createSmallButton('⟳', 'bookmark-update', () => this.cameraBookmarks.update(bookmark.id));
 
-    resetSettings() {
-        localStorage.removeItem('gltfViewerSettings');
-        location.reload();
+            const deleteButton = this.createSmallButton('✕', 'bookmark-delete', () => {
+                this.cameraBookmarks.remove(bookmark.id);
+                this.renderBookmarkList();
+            });
+            deleteButton.style.background = '#f44336';
+
+            row.append(flyButton, nameInput, hotkeySelect, upButton, downButton, updateButton, deleteButton);
+            list.appendChild(row);
+        });
     }
 
-    exportSettings() {
-        const savedSettings = localStorage.getItem('gltfViewerSettings');
+    setupPostProcessingControls() {
+        if (!this.postProcessing) return;
+
+        const presetSelect = document.getElementById('post-preset-select');
+        const nameInput = document.getElementById('post-preset-name');
+
+        document.getElementById('post-preset-save').addEventListener('click', () => {
+            const name = nameInput.value.trim();
+            if (!name) return;
+            this.postProcessing.savePreset(name);
+            nameInput.value = '';
+            this.renderPostPresetList(name);
+        });
+        nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                document.getElementById('post-preset-save').click();
+            }
+        });
+
+        document.getElementById('post-preset-load').addEventListener('click', () => {
+            if (!presetSelect.value) return;
+            this.postProcessing.loadPreset(presetSelect.value);
+            this.syncDepthOfField();
+            this.renderPostEffectList();
+        });
+
+        document.getElementById('post-preset-delete').addEventListener('click', () => {
+            if (!presetSelect.value) return;
+            this.postProcessing.deletePreset(presetSelect.value);
+            this.renderPostPresetList();
+        });
+
+        document.getElementById('post-preset-export').addEventListener('click', () => {
+            if (presetSelect.value) {
+                this.exportPostPreset(presetSelect.value);
+            }
+        });
+
+        document.getElementById('post-preset-import').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.importPostPreset(file);
+            }
+            e.target.value = '';
+        });
+
+        // Debug view turns post-processing on, since the AO buffer only exists in the composer
+        document.getElementById('ssao-debug').addEventListener('change', (e) => {
+            if (e.target.checked && !this.postProcessing.enabled) {
+                this.postProcessing.setEnabled(true);
+                document.getElementById('enable-postprocessing').checked = true;
+            }
+            this.postProcessing.setSSAODebug(e.target.checked);
+        });
+
+        document.getElementById('dof-autofocus').addEventListener('change', (e) => {
+            this.focusController.setAutoFocus(e.target.checked);
+        });
+
+        document.getElementById('dof-click-focus').addEventListener('change', (e) => {
+            this.focusController.setClickToFocus(e.target.checked);
+        });
+
+        document.getElementById('post-reset').addEventListener('click', () => {
+            this.postProcessing.resetState();
+            this.syncDepthOfField();
+            this.renderPostEffectList();
+        });
+
+        document.getElementById('bloom-glow-add').addEventListener('click', () => {
+            const nodes = this.outliner.selectedNodes;
+            if (nodes.length === 0) {
+                alert(this.i18n.t('bloom-glow-no-selection'));
+                return;
+            }
+            nodes.forEach(node => this.postProcessing.effects.bloom.addObject(node));
+            this.renderGlowList();
+        });
+
+        // A new LUT is stored, then picked and switched on in the color grading effect
+        document.getElementById('lut-input').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+
+            try {
+                const record = await this.postProcessing.lutLibrary.add(file);
+                this.postProcessing.setEffectParameter('lut', 'lutId', record.id);
+                this.postProcessing.setEffectEnabled('lut', true);
+                console.log('LUT stored in IndexedDB:', record.fileName);
+            } catch (error) {
+                console.error('Error importing LUT:', error);
+                alert(this.i18n.t('lut-import-error'));
+            }
+            this.renderLUTLibrary();
+        });
+
+        this.renderPostEffectList();
+        this.renderPostPresetList();
+        this.renderLUTLibrary();
+        this.renderGlowList();
+    }
+
+    /**
+     * Rebuild the glow list only when a mesh starts or stops glowing
+     * Emission and cutoff sliders call this on every input event.
+     */
+    refreshGlowList() {
+        if (!this.postProcessing) return;
+
+        const meshes = this.postProcessing.effects.bloom.getGlowingMeshes().map(entry => entry.mesh);
+        const shown = this.glowListMeshes;
+        if (meshes.length !== shown.length || meshes.some((mesh, index) => mesh !== shown[index])) {
+            this.renderGlowList();
+        }
+    }
+
+    /**
+     * List the meshes that feed the selective bloom with their glow strength
+     */
+    renderGlowList() {
+        if (!this.postProcessing) return;
+
+        const list = document.getElementById('bloom-glow-list');
+        const emptyMessage = document.getElementById('bloom-glow-empty');
+        const bloom = this.postProcessing.effects.bloom;
+        const entries = bloom.getGlowingMeshes();
+
+        this.glowListMeshes = entries.map(entry => entry.mesh);
+        list.innerHTML = '';
+        emptyMessage.style.display = entries.length > 0 ? 'none' : 'block';
+
+        entries.forEach(({ mesh, manual, strength }) => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; gap: 4px; align-items: center; margin-bottom: 4px;';
+
+            const name = document.createElement('span');
+            name.textContent = manual ? SceneOutliner.getNodeName(mesh) : `${SceneOutliner.getNodeName(mesh)} (${this.i18n.t('bloom-glow-auto')})`;
+            name.title = SceneOutliner.getNodeName(mesh);
+            name.style.cssText = 'flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; font-size: 12px; cursor: pointer;';
+            name.addEventListener('click', () => this.selectNode(mesh));
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = 0;
+            slider.max = 5;
+            slider.step = 0.1;
+            slider.value = strength;
+            slider.title = this.i18n.t('bloom-glow-strength');
+            slider.style.cssText = 'width: 70px;';
+
+            const value = document.createElement('span');
+            value.className = 'setting-value';
+            value.textContent = strength.toFixed(1);
+
+            slider.addEventListener('input', (e) => {
+                const newStrength = parseFloat(e.target.value);
+                bloom.setGlowStrength(mesh, newStrength);
+                value.textContent = newStrength.toFixed(1);
+            });
+
+            row.append(name, slider, value);
+
+            if (manual) {
+                const removeButton = document.createElement('button');
+                removeButton.textContent = '✕';
+                removeButton.title = this.i18n.t('bloom-glow-remove');
+                removeButton.style.cssText = 'padding: 3px 6px; background: #f44336; color: white; border: none; border-radius: 3px; cursor: pointer;';
+                removeButton.addEventListener('click', () => {
+                    bloom.removeMesh(mesh);
+                    this.renderGlowList();
+                });
+                row.appendChild(removeButton);
+            }
+
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Refresh the stored LUT list and the LUT choices of the color grading effect
+     */
+    async renderLUTLibrary() {
+        if (!this.postProcessing) return;
+
+        const list = document.getElementById('lut-library-list');
+        const emptyMessage = document.getElementById('lut-library-empty');
+        const lutLibrary = this.postProcessing.lutLibrary;
+
+        try {
+            this.lutRecords = await lutLibrary.list();
+        } catch (error) {
+            console.warn('LUT library unavailable:', error);
+            this.lutRecords = [];
+        }
+
+        list.innerHTML = '';
+        emptyMessage.style.display = this.lutRecords.length > 0 ? 'none' : 'block';
+
+        this.lutRecords.forEach(record => {
+            const selected = record.id === this.postProcessing.effectSettings.lut.lutId;
+
+            const row = document.createElement('div');
+            row.style.cssText = `display: flex; gap: 4px; align-items: center; margin-bottom: 4px; padding: 2px; border: 1px solid ${selected ? '#4CAF50' : 'transparent'}; border-radius: 3px;`;
+
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.value = record.name;
+            nameInput.title = record.fileName;
+            nameInput.style.cssText = 'flex: 1; min-width: 0; padding: 3px; background: #333; color: white; border: 1px solid #555;';
+            nameInput.addEventListener('change', (e) => {
+                const name = e.target.value.trim();
+                this.runLibraryAction(() => lutLibrary.rename(record.id, name), () => this.renderLUTLibrary());
+            });
+
+            const size = document.createElement('span');
+            size.textContent = `${record.size}³`;
+            size.style.cssText = 'font-size: 11px; color: #888;';
+
+            const deleteButton = document.createElement('button');
+            deleteButton.textContent = '✕';
+            deleteButton.title = this.i18n.t('lut-delete');
+            deleteButton.style.cssText = 'padding: 3px 6px; background: #f44336; color: white; border: none; border-radius: 3px; cursor: pointer;';
+            deleteButton.addEventListener('click', () => {
+                if (!confirm(`${this.i18n.t('lut-delete-confirm')}\n\n${record.name}`)) return;
+                this.runLibraryAction(async () => {
+                    await lutLibrary.remove(record.id);
+                    if (this.postProcessing.effectSettings.lut.lutId === record.id) {
+                        this.postProcessing.setEffectParameter('lut', 'lutId', null);
+                    }
+                }, () => this.renderLUTLibrary());
+            });
+
+            row.append(nameInput, size, deleteButton);
+            list.appendChild(row);
+        });
+
+        this.renderPostEffectList();
+    }
+
+    /**
+     * Rebuild the effect stack list (enable, reorder, parameters) in pass order
+     */
+    renderPostEffectList() {
+        if (!this.postProcessing) return;
+
+        const list = document.getElementById('post-effect-list');
+        const order = this.postProcessing.effectOrder;
+        list.innerHTML = '';
+
+        order.forEach((name, index) => {
+            const settings = this.postProcessing.effectSettings[name];
+            const block = document.createElement('div');
+            block.style.cssText = 'margin-bottom: 8px; padding: 6px; background: rgba(255, 255, 255, 0.05); border-radius: 4px;';
+
+            // Header: enable toggle and reorder buttons
+            const header = document.createElement('div');
+            header.style.cssText = 'display: flex; gap: 4px; align-items: center;';
+
+            const label = document.createElement('label');
+            label.style.cssText = 'flex: 1; display: flex; gap: 6px; align-items: center; cursor: pointer;';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = settings.enabled;
+            checkbox.addEventListener('change', (e) => {
+                this.postProcessing.setEffectEnabled(name, e.target.checked);
+                this.onPostEffectChanged(name, 'enabled');
+                this.renderPostEffectList();
+            });
+            label.append(checkbox, document.createTextNode(this.i18n.t(`post-effect-${name}`)));
+
+            const upButton = this.createSmallButton('↑', 'post-effect-up', () => {
+                this.postProcessing.moveEffect(name, -1);
+                this.renderPostEffectList();
+            });
+            upButton.disabled = index === 0;
+
+            const downButton = this.createSmallButton('↓', 'post-effect-down', () => {
+                this.postProcessing.moveEffect(name, 1);
+                this.renderPostEffectList();
+            });
+            downButton.disabled = index === order.length - 1;
+
+            header.append(label, upButton, downButton);
+            block.appendChild(header);
+
+            // Parameters of enabled effects
+            if (settings.enabled) {
+                Object.entries(EFFECT_DEFINITIONS[name].parameters).forEach(([key, parameter]) => {
+                    const item = document.createElement('div');
+                    item.className = 'setting-item';
+                    item.style.marginTop = '6px';
+
+                    const parameterLabel = document.createElement('label');
+                    parameterLabel.textContent = this.i18n.t(`post-param-${key}`);
+                    item.appendChild(parameterLabel);
+
+                    if (parameter.toggle) {
+                        const toggle = document.createElement('input');
+                        toggle.type = 'checkbox';
+                        toggle.checked = settings[key];
+                        toggle.addEventListener('change', (e) => {
+                            this.postProcessing.setEffectParameter(name, key, e.target.checked);
+                            this.onPostEffectChanged(name, key);
+                        });
+                        parameterLabel.prepend(toggle, ' ');
+                    } else if (parameter.color) {
+                        const input = document.createElement('input');
+                        input.type = 'color';
+                        input.value = settings[key];
+                        input.style.cssText = 'width: 100%; height: 30px; background: #333; border: 1px solid #555;';
+                        input.addEventListener('input', (e) => {
+                            this.postProcessing.setEffectParameter(name, key, e.target.value);
+                            this.onPostEffectChanged(name, key);
+                        });
+                        item.appendChild(input);
+                    } else if (parameter.library) {
+                        // LUTs from the library (refreshed by renderLUTLibrary)
+                        const select = document.createElement('select');
+                        select.style.cssText = 'width: 100%; padding: 5px; background: #333; color: white; border: 1px solid #555;';
+                        const none = document.createElement('option');
+                        none.value = '';
+                        none.textContent = this.i18n.t('post-lut-none');
+                        select.appendChild(none);
+                        this.lutRecords.forEach(record => {
+                            const option = document.createElement('option');
+                            option.value = record.id;
+                            option.textContent = record.name;
+                            select.appendChild(option);
+                        });
+                        select.value = this.lutRecords.some(record => record.id === settings[key]) ? settings[key] : '';
+                        select.addEventListener('change', (e) => {
+                            this.postProcessing.setEffectParameter(name, key, e.target.value || null);
+                            this.onPostEffectChanged(name, key);
+                        });
+                        item.appendChild(select);
+                    } else if (parameter.options) {
+                        const select = document.createElement('select');
+                        select.style.cssText = 'width: 100%; padding: 5px; background: #333; color: white; border: 1px solid #555;';
+                        parameter.options.forEach(value => {
+                            const option = document.createElement('option');
+                            option.value = value;
+                            option.textContent = this.i18n.t(`post-option-${value}`);
+                            select.appendChild(option);
+                        });
+                        select.value = settings[key];
+                        select.addEventListener('change', (e) => {
+                            this.postProcessing.setEffectParameter(name, key, e.target.value);
+                            this.onPostEffectChanged(name, key);
+                        });
+                        item.appendChild(select);
+                    } else {
+                        const digits = parameter.step >= 1 ? 0 : Math.min(4, String(parameter.step).split('.')[1].length);
+                        const slider = document.createElement('input');
+                        slider.id = `post-${name}-${key}`;
+                        slider.type = 'range';
+                        slider.min = parameter.min;
+                        slider.max = parameter.max;
+                        slider.step = parameter.step;
+                        slider.value = settings[key];
+
+                        const value = document.createElement('span');
+                        value.id = `post-${name}-${key}-value`;
+                        value.className = 'setting-value';
+                        value.textContent = settings[key].toFixed(digits);
+
+                        slider.addEventListener('input', (e) => {
+                            this.postProcessing.setEffectParameter(name, key, parseFloat(e.target.value));
+                            value.textContent = this.postProcessing.effectSettings[name][key].toFixed(digits);
+                            this.onPostEffectChanged(name, key);
+                        });
+                        item.append(slider, value);
+                    }
+
+                    block.appendChild(item);
+                });
+            }
+
+            list.appendChild(block);
+        });
+    }
+
+    /**
+     * React to a change made in the effect list
+     * @param {string} name - Effect name
+     * @param {string} key - Parameter name, or 'enabled'
+     */
+    onPostEffectChanged(name, key) {
+        if (name === 'lut' && key === 'lutId') {
+            this.renderLUTLibrary(); // Highlight the chosen LUT
+        }
+        if (name === 'bloom' && (key === 'autoSelect' || key === 'emissiveCutoff')) {
+            this.refreshGlowList();
+        }
+        if (name !== 'dof') return;
+        if (key === 'focusDistance') {
+            this.focusController.setFocusDistance(this.postProcessing.effectSettings.dof.focusDistance);
+        }
+        this.updatePathTracerFocus();
+    }
+
+    /**
+     * Focus distance animated by click-to-focus or auto-focus
+     */
+    onFocusDistanceChanged(distance) {
+        if (!this.postProcessing) return;
+        this.postProcessing.setEffectParameter('dof', 'focusDistance', distance);
+
+        const focusDistance = this.postProcessing.effectSettings.dof.focusDistance;
+        const slider = document.getElementById('post-dof-focusDistance');
+        if (slider) {
+            slider.value = focusDistance;
+            document.getElementById('post-dof-focusDistance-value').textContent = focusDistance.toFixed(2);
+        }
+        this.updatePathTracerFocus();
+    }
+
+    /**
+     * Pick up depth of field settings replaced as a whole (presets, saved settings)
+     */
+    syncDepthOfField() {
+        if (!this.postProcessing) return;
+        this.focusController.setFocusDistance(this.postProcessing.effectSettings.dof.focusDistance);
+        this.updatePathTracerFocus();
+    }
+
+    /**
+     * Map the depth of field onto the path tracer's physical camera
+     */
+    updatePathTracerFocus() {
+        if (!this.pathTracer || !this.postProcessing) return;
+        const { enabled, focusDistance, focalLength, bokehScale } = this.postProcessing.effectSettings.dof;
+        this.pathTracer.setDepthOfField({
+            enabled,
+            focusDistance,
+            apertureDiameter: getApertureDiameter(focalLength, getFStop(bokehScale))
+        });
+    }
+
+    /**
+     * Rebuild the named preset dropdown
+     * @param {string} [selected] - Preset to select (defaults to the current selection)
+     */
+    renderPostPresetList(selected) {
+        if (!this.postProcessing) return;
+
+        const select = document.getElementById('post-preset-select');
+        const current = selected ?? select.value;
+        const names = Object.keys(this.postProcessing.presets);
+
+        select.innerHTML = '';
+        if (names.length === 0) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = this.i18n.t('post-preset-empty');
+            select.appendChild(option);
+            return;
+        }
+
+        names.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        if (names.includes(current)) {
+            select.value = current;
+        }
+    }
+
+    exportPostPreset(name) {
+        const data = this.postProcessing.presetToJSON(name);
+        if (!data) return;
+
+        const json = JSON.stringify(data, null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `post-processing-${name.replace(/[^\w-]+/g, '_')}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        console.log('Post-processing preset exported:', name);
+    }
+
+    importPostPreset(file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const name = this.postProcessing.presetFromJSON(JSON.parse(e.target.result));
+                this.renderPostPresetList(name);
+                console.log('Post-processing preset imported:', name);
+            } catch (error) {
+                console.error('Error importing post-processing preset:', error);
+                alert(this.i18n.t('post-preset-import-error'));
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    setupCameraPathControls() {
+        document.getElementById('path-add').addEventListener('click', () => {
+            this.cameraPath.addKeyframe();
+            this.renderCameraPathList();
+        });
+
+        document.getElementById('path-clear').addEventListener('click', () => {
+            this.cameraPath.clear();
+            this.renderCameraPathList();
+        });
+
+        document.getElementById('path-play').addEventListener('click', () => {
+            if (this.cameraPath.playing) {
+                this.cameraPath.stop();
+                return;
+            }
+            if (!this.cameraPath.canPlay) {
+                alert(this.i18n.t('path-need-keyframes'));
+                return;
+            }
+            this.enterCameraPathMode();
+            this.cameraPath.play();
+            this.updateCameraPathPlayback();
+        });
+
+        const progress = document.getElementById('path-progress');
+        progress.addEventListener('input', (e) => {
+            if (!this.cameraPath.canPlay) return;
+            this.enterCameraPathMode();
+            this.cameraPath.seek(parseFloat(e.target.value));
+            this.updateTimeDisplay();
+        });
+
+        document.getElementById('path-loop').addEventListener('change', (e) => {
+            this.cameraPath.setLoop(e.target.checked);
+        });
+
+        document.getElementById('path-show').addEventListener('change', (e) => {
+            this.cameraPath.setShowPath(e.target.checked);
+        });
+
+        const speed = document.getElementById('path-speed');
+        const speedValue = document.getElementById('path-speed-value');
+        speed.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.cameraPath.setSpeed(value);
+            speedValue.textContent = value.toFixed(1) + 'x';
+        });
+
+        const segment = document.getElementById('path-segment');
+        const segmentValue = document.getElementById('path-segment-value');
+        segment.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.cameraPath.setSegmentDuration(value);
+            segmentValue.textContent = value.toFixed(1) + 's';
+        });
+
+        document.getElementById('path-ease').addEventListener('change', (e) => {
+            this.cameraPath.setEase(e.target.value);
+        });
+
+        document.getElementById('path-export').addEventListener('click', () => {
+            this.exportCameraPath();
+        });
+
+        document.getElementById('path-import').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.importCameraPath(file);
+            }
+            e.target.value = '';
+        });
+
+        this.renderCameraPathList();
+    }
+
+    /**
+     * Paths drive the camera directly, so switch to the free camera without a blend
+     */
+    enterCameraPathMode() {
+        this.cameraController.setMode(this.cameraController.modes.FREE_CAMERA, false);
+        this.cameraController.cancelTransition();
+        this.updateModeButtons();
+    }
+
+    /**
+     * Rebuild the keyframe list (jump, insert, recapture, reorder, delete)
+     */
+    renderCameraPathList() {
+        const list = document.getElementById('path-keyframe-list');
+        const emptyMessage = document.getElementById('path-empty');
+        const keyframes = this.cameraPath.keyframes;
+
+        list.innerHTML = '';
+        emptyMessage.style.display = keyframes.length > 0 ? 'none' : 'block';
+
+        const segments = () => this.cameraPath.loop ? keyframes.length : keyframes.length - 1;
+
+        keyframes.forEach((keyframe, index) => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; gap: 4px; align-items: center; margin-bottom: 4px;';
+
+            const label = document.createElement('span');
+            const hours = Math.floor(keyframe.time);
+            const minutes = Math.floor((keyframe.time % 1) * 60);
+            label.textContent = `${this.i18n.t('path-keyframe')} ${index + 1} · ${keyframe.fov.toFixed(0)}° · ${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+            label.style.cssText = 'flex: 1; font-size: 11px;';
+
+            const gotoButton = this.createSmallButton('▶', 'path-goto', () => {
+                this.enterCameraPathMode();
+                if (this.cameraPath.canPlay) {
+                    this.cameraPath.seek(index / segments());
+                } else {
+                    // Single keyframe: place the camera directly
+                    const camera = this.cameraController.camera;
+                    camera.position.fromArray(keyframe.position);
+                    camera.lookAt(new THREE.Vector3().fromArray(keyframe.target));
+                    this.cameraPath.syncCameraController();
+                }
+                this.updateCameraPathPlayback();
+                this.updateTimeDisplay();
+            });
+            gotoButton.style.background = '#4CAF50';
+
+            const insertButton = this.createSmallButton('+', 'path-insert', () => {
+                this.cameraPath.addKeyframe(index + 1);
+                this.renderCameraPathList();
+            });
+
+            const updateButton = this.createSmallButton('⟳', 'bookmark-update', () => {
+                this.cameraPath.updateKeyframe(index);
+                this.renderCameraPathList();
+            });
+
+            const upButton = this.createSmallButton('↑', 'bookmark-up', () => {
+                this.cameraPath.moveKeyframe(index, -1);
+                this.renderCameraPathList();
+            });
+            upButton.disabled = index === 0;
+
+            const downButton = this.createSmallButton('↓', 'bookmark-down', () => {
+                this.cameraPath.moveKeyframe(index, 1);
+                this.renderCameraPathList();
+            });
+            downButton.disabled = index === keyframes.length - 1;
+
+            const deleteButton = this.createSmallButton('✕', 'bookmark-delete', () => {
+                this.cameraPath.removeKeyframe(index);
+                this.renderCameraPathList();
+            });
+            deleteButton.style.background = '#f44336';
+
+            row.append(label, gotoButton, insertButton, updateButton, upButton, downButton, deleteButton);
+            list.appendChild(row);
+        });
+
+        this.updateCameraPathPlayback();
+    }
+
+    /**
+     * Sync the play button, progress slider and playback options with the path
+     */
+    updateCameraPathPlayback() {
+        const path = this.cameraPath;
+        document.getElementById('path-play').textContent = path.playing ? '⏹' : '▶';
+        document.getElementById('path-progress').value = path.progress;
+        document.getElementById('path-loop').checked = path.loop;
+        document.getElementById('path-speed').value = path.speed;
+        document.getElementById('path-speed-value').textContent = path.speed.toFixed(1) + 'x';
+        document.getElementById('path-segment').value = path.segmentDuration;
+        document.getElementById('path-segment-value').textContent = path.segmentDuration.toFixed(1) + 's';
+        document.getElementById('path-ease').value = path.ease;
+
+        // Time of day follows the path, keep the slider in sync while playing
+        if (path.playing) {
+            this.updateTimeDisplay();
+        }
+    }
+
+    exportCameraPath() {
+        const json = JSON.stringify(this.cameraPath.toJSON(), null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `camera-path-${new Date().toISOString().split('T')[0]}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        console.log('Camera path exported');
+    }
+
+    importCameraPath(file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                this.cameraPath.fromJSON(JSON.parse(e.target.result));
+                this.renderCameraPathList();
+                console.log('Camera path imported:', this.cameraPath.keyframes.length, 'keyframes');
+            } catch (error) {
+                console.error('Error importing camera path:', error);
+                alert(this.i18n.t('path-import-error'));
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    setupOutlinerControls() {
+        document.getElementById('outliner-clear-isolate').addEventListener('click', () => {
+            this.outliner.clearIsolation();
+            this.onOutlinerVisibilityChanged();
+        });
+
+        document.getElementById('outliner-clear-selection').addEventListener('click', () => {
+            this.selectNode(null);
+        });
+
+        // Viewport selection: click without dragging
+        // Pointer-locked modes pick at the screen center, orbit mode picks under the cursor
+        let pointerStart = null;
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0) return;
+            const locked = document.pointerLockElement === this.canvas;
+            const orbit = this.cameraController.currentMode === this.cameraController.modes.ORBIT;
+            pointerStart = (locked || orbit) ? { x: e.clientX, y: e.clientY, locked } : null;
+        });
+        this.canvas.addEventListener('pointerup', (e) => {
+            if (!pointerStart || e.button !== 0) return;
+            const moved = Math.hypot(e.clientX - pointerStart.x, e.clientY - pointerStart.y);
+            const locked = pointerStart.locked;
+            pointerStart = null;
+            if (!locked && moved > 4) return; // Orbit drag, not a click
+
+            const ndc = new THREE.Vector2();
+            if (!locked) {
+                const rect = this.canvas.getBoundingClientRect();
+                ndc.set(
+                    ((e.clientX - rect.left) / rect.width) * 2 - 1,
+                    -((e.clientY - rect.top) / rect.height) * 2 + 1
+                );
+            }
+            if (this.focusController.clickToFocus) {
+                this.focusController.focusAt(ndc);
+                return;
+            }
+            const node = this.outliner.pick(ndc, this.cameraController.camera);
+            const additive = e.shiftKey || e.ctrlKey || e.metaKey;
+            if (additive && !node) return; // Missing with a modifier keeps the selection
+            this.selectNode(node, additive);
+        });
+
+        // Hover outline follows the cursor (probed in updateHover)
+        this.hoverPointer = null;
+        this.hoverRaycaster = new THREE.Raycaster();
+        this.canvas.addEventListener('pointermove', (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            this.hoverPointer = (this.hoverPointer || new THREE.Vector2()).set(
+                ((e.clientX - rect.left) / rect.width) * 2 - 1,
+                -((e.clientY - rect.top) / rect.height) * 2 + 1
+            );
+        });
+        this.canvas.addEventListener('pointerleave', () => {
+            this.hoverPointer = null;
+        });
+
+        this.renderOutliner();
+    }
+
+    /**
+     * Select a node from the viewport or the tree and reveal it in the outliner
+     * @param {THREE.Object3D|null} node
+     * @param {boolean} additive - Add the node to the selection, or remove it if already selected
+     */
+    selectNode(node, additive = false) {
+        if (additive) {
+            this.outliner.toggleSelection(node);
+        } else {
+            this.outliner.select(node);
+        }
+        this.selectionOutline.setSelection(this.outliner.selectedNodes);
+
+        // Expand the ancestors so the selected row is visible
+        for (let current = node?.parent; current; current = current.parent) {
+            this.outlinerExpanded.add(current);
+        }
+        this.renderOutliner();
+        this.updateMaterialPanel();
+
+        const row = document.querySelector('#outliner-tree .outliner-row.selected');
+        if (row) {
+            row.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    /**
+     * Hidden nodes must not collide or show up in the path tracer
+     * Rebuilds are debounced because they are expensive on large models
+     */
+    onOutlinerVisibilityChanged() {
+        this.renderOutliner();
+        this.selectionOutline.updateSelections(); // Hidden meshes lose their outline
+
+        clearTimeout(this.outlinerRefreshTimer);
+        this.outlinerRefreshTimer = setTimeout(() => {
+            if (!this.loadedModel) return;
+            this.collisionWorld.build(this.loadedModel);
+            if (this.pathTracer) {
+                this.pathTracer.setScene(this.scene, this.cameraController.camera);
+            }
+        }, 300);
+    }
+
+    /**
+     * Rebuild the node tree (only expanded branches are rendered)
+     */
+    renderOutliner() {
+        const tree = document.getElementById('outliner-tree');
+        const emptyMessage = document.getElementById('outliner-empty');
+        if (!tree) return;
+
+        tree.innerHTML = '';
+        const root = this.outliner.root;
+        emptyMessage.style.display = root ? 'none' : 'block';
+        document.getElementById('outliner-clear-isolate').style.display = this.outliner.isolatedNode ? 'block' : 'none';
+        this.updateSelectionInfo();
+        if (!root) return;
+
+        const addRow = (node, depth) => {
+            const row = document.createElement('div');
+            row.className = 'outliner-row';
+            row.classList.toggle('selected', this.outliner.isSelected(node));
+            row.classList.toggle('isolated', node === this.outliner.isolatedNode);
+            row.style.paddingLeft = `${depth * 12}px`;
+
+            const toggle = document.createElement('span');
+            toggle.className = 'outliner-toggle';
+            const expanded = this.outlinerExpanded.has(node);
+            if (node.children.length > 0) {
+                toggle.textContent = expanded ? '▾' : '▸';
+                toggle.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    if (expanded) {
+                        this.outlinerExpanded.delete(node);
+                    } else {
+                        this.outlinerExpanded.add(node);
+                    }
+                    this.renderOutliner();
+                });
+            }
+
+            const visibility = document.createElement('input');
+            visibility.type = 'checkbox';
+            visibility.checked = !this.outliner.isHidden(node);
+            visibility.title = this.i18n.t('outliner-visible');
+            visibility.addEventListener('click', (e) => e.stopPropagation());
+            visibility.addEventListener('change', (e) => {
+                this.outliner.setNodeVisible(node, e.target.checked);
+                this.onOutlinerVisibilityChanged();
+            });
+
+            const name = document.createElement('span');
+            name.className = 'outliner-name';
+            name.textContent = SceneOutliner.getNodeName(node);
+            name.title = name.textContent;
+            // Dim rows hidden by an ancestor or isolation
+            if (!node.visible) {
+                name.style.opacity = '0.5';
+            }
+
+            const type = document.createElement('span');
+            type.className = 'outliner-type';
+            type.textContent = SceneOutliner.getNodeType(node) +
+                (node.children.length > 0 ? ` (${node.children.length})` : '');
+
+            const isolate = document.createElement('button');
+            isolate.className = 'outliner-isolate';
+            isolate.textContent = '◎';
+            isolate.title = this.i18n.t('outliner-isolate');
+            isolate.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (this.outliner.isolatedNode === node) {
+                    this.outliner.clearIsolation();
+                } else {
+                    this.outliner.isolate(node);
+                }
+                this.onOutlinerVisibilityChanged();
+            });
+
+            row.append(toggle, visibility, name, type, isolate);
+            row.addEventListener('click', (e) => this.selectNode(node, e.shiftKey || e.ctrlKey || e.metaKey));
+            tree.appendChild(row);
+
+            if (expanded) {
+                node.children.forEach(child => addRow(child, depth + 1));
+            }
+        };
+
+        addRow(root, 0);
+    }
+
+    /**
+     * Show name, type and world bounds of the selected node
+     * (the count and combined bounds when several are selected)
+     */
+    updateSelectionInfo() {
+        const info = document.getElementById('outliner-selection');
+        const node = this.outliner.selectedNode;
+        if (!info) return;
+
+        document.getElementById('outliner-clear-selection').style.display = node ? 'block' : 'none';
+        if (!node) {
+            info.textContent = this.i18n.t('outliner-no-selection');
+            return;
+        }
+
+        const bounds = this.outliner.bounds;
+        const size = bounds.getSize(new THREE.Vector3());
+        const center = bounds.getCenter(new THREE.Vector3());
+        const format = (v) => `${v.x.toFixed(3)}, ${v.y.toFixed(3)}, ${v.z.toFixed(3)}`;
+        const count = this.outliner.selectedNodes.length;
+        info.innerHTML = '';
+        [
+            ...(count > 1 ? [
+                `${this.i18n.t('outliner-selected-count')}: ${count}`
+            ] : [
+                `${SceneOutliner.getNodeName(node)} · ${SceneOutliner.getNodeType(node)}`,
+                `${this.i18n.t('outliner-descendants')}: ${SceneOutliner.countDescendants(node)}`
+            ]),
+            `${this.i18n.t('outliner-bounds-size')}: ${format(size)}`,
+            `${this.i18n.t('outliner-bounds-center')}: ${format(center)}`
+        ].forEach(text => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            info.appendChild(line);
+        });
+    }
+
+    /**
+     * Hover outline for the node under the cursor (screen center while mouse look is active)
+     * Raycasts the collision BVH at most ten times per second, and only after the cursor or the camera
+     * moved. The BVH is baked when the model loads, so animated meshes are picked where they were
+     * then; clicks still use the precise pick.
+     */
+    updateHover(deltaTime) {
+        const outline = this.selectionOutline;
+        const locked = document.pointerLockElement === this.canvas;
+        const ndc = locked ? new THREE.Vector2() : this.hoverPointer;
+        const pathTracing = this.pathTracer && this.pathTracer.enabled;
+        if (!outline.enabled || !outline.hoverEnabled || !this.outliner.root || !ndc || pathTracing) {
+            outline.setHovered(null);
+            this.hoverProbe = null;
+            return;
+        }
+
+        this.hoverProbeTime = (this.hoverProbeTime || 0) + deltaTime;
+        if (this.hoverProbeTime < 0.1) return;
+        this.hoverProbeTime = 0;
+
+        const camera = this.cameraController.camera;
+        if (this.hoverProbe && this.hoverProbe.ndc.equals(ndc) && this.hoverProbe.matrix.equals(camera.matrixWorld)) {
+            return;
+        }
+        this.hoverProbe = { ndc: ndc.clone(), matrix: camera.matrixWorld.clone() };
+        this.hoverRaycaster.setFromCamera(ndc, camera);
+        const { origin, direction } = this.hoverRaycaster.ray;
+        const hit = this.collisionWorld.raycast(origin, direction, camera.far);
+        // Hidden meshes stay in the BVH until its debounced rebuild
+        const node = hit && hit.object && this.outliner.isEffectivelyVisible(hit.object) ? hit.object : null;
+        outline.setHovered(node);
+    }
+
+    /**
+     * Material sliders: material property, element id, and display precision
+     */
+    getMaterialRangeControls() {
+        return [
+            { property: 'metalness', id: 'material-metalness', digits: 2 },
+            { property: 'roughness', id: 'material-roughness', digits: 2 },
+            { property: 'emissiveIntensity', id: 'material-emissive-intensity', digits: 1 },
+            { property: 'transmission', id: 'material-transmission', digits: 2 },
+            { property: 'thickness', id: 'material-thickness', digits: 2 },
+            { property: 'ior', id: 'material-ior', digits: 3 },
+            { property: 'clearcoat', id: 'material-clearcoat', digits: 2 },
+            { property: 'clearcoatRoughness', id: 'material-clearcoat-roughness', digits: 2 }
+        ];
+    }
+
+    setupMaterialControls() {
+        const materialSelect = document.getElementById('material-select');
+        materialSelect.addEventListener('change', () => {
+            this.updateMaterialPanel();
+        });
+
+        // Live parameter edits
+        const colorInputs = {
+            'material-color': 'color',
+            'material-emissive': 'emissive'
+        };
+        Object.entries(colorInputs).forEach(([id, property]) => {
+            document.getElementById(id).addEventListener('input', (e) => {
+                const entry = this.getSelectedMaterialEntry();
+                if (!entry) return;
+                this.materialEditor.setProperty(entry, property, e.target.value);
+                this.onMaterialsChanged();
+            });
+        });
+
+        this.getMaterialRangeControls().forEach(({ property, id, digits }) => {
+            document.getElementById(id).addEventListener('input', (e) => {
+                const entry = this.getSelectedMaterialEntry();
+                if (!entry) return;
+                const value = parseFloat(e.target.value);
+                const wasPhysical = entry.material.isMeshPhysicalMaterial;
+                this.materialEditor.setProperty(entry, property, value);
+                document.getElementById(id + '-value').textContent = value.toFixed(digits);
+                // Upgrading to a physical material swaps the material instance
+                this.onMaterialsChanged(wasPhysical !== entry.material.isMeshPhysicalMaterial);
+                if (!wasPhysical) {
+                    this.updateMaterialPanel();
+                }
+            });
+        });
+
+        // Texture swapping (one hidden file input shared by all slots)
+        const textureInput = document.getElementById('material-texture-input');
+        textureInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            const entry = this.getSelectedMaterialEntry();
+            const slot = this.pendingTextureSlot;
+            e.target.value = '';
+            if (!file || !entry || !slot) return;
+
+            try {
+                const wasPhysical = entry.material.isMeshPhysicalMaterial;
+                await this.materialEditor.setTextureFromFile(entry, slot, file);
+                this.onMaterialsChanged(wasPhysical !== entry.material.isMeshPhysicalMaterial);
+                this.updateMaterialPanel();
+            } catch (error) {
+                console.error('Error loading texture:', error);
+                alert(this.i18n.t('material-texture-error'));
+            }
+        });
+
+        document.getElementById('material-reset').addEventListener('click', () => {
+            const entry = this.getSelectedMaterialEntry();
+            if (!entry) return;
+            this.materialEditor.resetMaterial(entry);
+            this.onMaterialsChanged(true);
+            this.updateMaterialPanel();
+        });
+
+        document.getElementById('material-export').addEventListener('click', () => {
+            this.exportMaterialOverrides();
+        });
+
+        document.getElementById('material-import').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.importMaterialOverrides(file);
+            }
+            e.target.value = '';
+        });
+
+        this.updateMaterialPanel();
+    }
+
+    getSelectedMaterialEntry() {
+        const entries = this.materialEditor.getEntriesForObject(this.outliner.selectedNode);
+        const key = document.getElementById('material-select').value;
+        return entries.find(entry => entry.key === key) || entries[0] || null;
+    }
+
+    /**
+     * Refresh the material panel for the selected mesh
+     */
+    updateMaterialPanel() {
+        const controls = document.getElementById('material-controls');
+        const emptyMessage = document.getElementById('material-empty');
+        if (!controls) return;
+
+        const entries = this.materialEditor.getEntriesForObject(this.outliner.selectedNode);
+        controls.style.display = entries.length > 0 ? 'block' : 'none';
+        emptyMessage.style.display = entries.length > 0 ? 'none' : 'block';
+        if (entries.length === 0) return;
+
+        // Material list (meshes can have several)
+        const materialSelect = document.getElementById('material-select');
+        const selectedKey = materialSelect.value;
+        materialSelect.innerHTML = '';
+        entries.forEach(entry => {
+            const option = document.createElement('option');
+            option.value = entry.key;
+            option.textContent = entry.material.name || entry.key;
+            materialSelect.appendChild(option);
+        });
+        if (entries.some(entry => entry.key === selectedKey)) {
+            materialSelect.value = selectedKey;
+        }
+
+        const entry = this.getSelectedMaterialEntry();
+        const material = entry.material;
+        document.getElementById('material-type').textContent = material.type;
+
+        document.getElementById('material-color').value = '#' + material.color.getHexString();
+        document.getElementById('material-emissive').value = '#' + material.emissive.getHexString();
+
+        // Physical-only parameters show their defaults until a standard material is upgraded
+        const physicalDefaults = { transmission: 0, thickness: 0, ior: 1.5, clearcoat: 0, clearcoatRoughness: 0 };
+        this.getMaterialRangeControls().forEach(({ property, id, digits }) => {
+            const value = material[property] !== undefined ? material[property] : physicalDefaults[property];
+            document.getElementById(id).value = value;
+            document.getElementById(id + '-value').textContent = value.toFixed(digits);
+        });
+
+        // Texture slots
+        const textures = document.getElementById('material-textures');
+        textures.innerHTML = '';
+        this.materialEditor.getTextureSlots(entry).forEach(({ slot, texture, custom }) => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; gap: 4px; align-items: center; margin-bottom: 3px;';
+
+            const label = document.createElement('span');
+            label.style.cssText = `flex: 1; color: ${texture ? '#ccc' : '#666'}; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;`;
+            const image = texture && texture.image;
+            const size = image && image.width ? ` ${image.width}×${image.height}` : '';
+            const name = texture ? (texture.name || '') + size : this.i18n.t('material-no-texture');
+            label.textContent = `${slot}: ${name}${custom ? ' *' : ''}`;
+            label.title = label.textContent;
+
+            const replace = document.createElement('button');
+            replace.textContent = this.i18n.t('material-replace-texture');
+            replace.style.cssText = 'padding: 2px 6px; background: #444; color: white; border: none; border-radius: 3px; cursor: pointer; font-size: 11px;';
+            // envMap comes from the scene environment, not from the model
+            replace.disabled = slot === 'envMap';
+            replace.addEventListener('click', () => {
+                this.pendingTextureSlot = slot;
+                document.getElementById('material-texture-input').click();
+            });
+
+            row.append(label, replace);
+            textures.appendChild(row);
+        });
+
+        // Read-only parameter list
+        const parameters = document.getElementById('material-parameters');
+        parameters.innerHTML = '';
+        this.materialEditor.getParameters(entry).forEach(({ name, value }) => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; justify-content: space-between;';
+            const key = document.createElement('span');
+            key.textContent = name;
+            key.style.color = '#888';
+            const val = document.createElement('span');
+            val.textContent = value;
+            row.append(key, val);
+            parameters.appendChild(row);
+        });
+    }
+
+    /**
+     * Push material edits to the path tracer (debounced while dragging sliders)
+     * @param {boolean} replaced - Material instances changed, so the scene must be rebuilt
+     */
+    onMaterialsChanged(replaced = false) {
+        this.refreshGlowList(); // Emission edits change which meshes glow
+
+        if (!this.pathTracer) return;
+
+        this.pathTracerSceneDirty = this.pathTracerSceneDirty || replaced;
+        clearTimeout(this.materialRefreshTimer);
+        this.materialRefreshTimer = setTimeout(() => {
+            if (this.pathTracerSceneDirty) {
+                this.pathTracer.setScene(this.scene, this.cameraController.camera);
+            } else {
+                this.pathTracer.updateMaterials();
+                this.pathTracer.reset();
+            }
+            this.pathTracerSceneDirty = false;
+        }, 200);
+    }
+
+    exportMaterialOverrides() {
+        if (!this.materialEditor.hasOverrides()) {
+            alert(this.i18n.t('material-no-overrides'));
+            return;
+        }
+
+        const json = JSON.stringify(this.materialEditor.toJSON(), null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        const baseName = (this.loadedModelInfo?.fileName || 'model').replace(/\.[^.]+$/, '');
+        a.href = url;
+        a.download = `${baseName}-materials.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        console.log('Material overrides exported');
+    }
+
+    importMaterialOverrides(file) {
+        const reader = new FileReader();
+        reader.onload = async (e) => {
+            try {
+                const applied = await this.materialEditor.fromJSON(JSON.parse(e.target.result));
+                console.log(`${this.i18n.t('material-overrides-applied')}: ${applied}`);
+                this.onMaterialsChanged(true);
+                this.updateMaterialPanel();
+            } catch (error) {
+                console.error('Error importing material overrides:', error);
+                alert(this.i18n.t('material-import-error'));
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    setupExportControls() {
+        const format = document.getElementById('export-format');
+        const textures = document.getElementById('export-textures');
+        format.addEventListener('change', (e) => {
+            // GLB always embeds textures in its binary chunk
+            textures.disabled = e.target.value === 'glb';
+            if (textures.disabled) {
+                textures.value = 'embedded';
+            }
+        });
+
+        document.getElementById('export-model').addEventListener('click', () => {
+            this.exportModel();
+        });
+    }
+
+    async exportModel() {
+        if (!this.loadedModel) {
+            alert(this.i18n.t('export-no-model'));
+            return;
+        }
+
+        const button = document.getElementById('export-model');
+        button.disabled = true;
+
+        try {
+            const baseName = (this.loadedModelInfo?.fileName || 'model').replace(/\.[^.]+$/, '');
+            const files = await this.sceneExporter.export(this.loadedModel, {
+                fileName: `${baseName}-export`,
+                binary: document.getElementById('export-format').value === 'glb',
+                embedTextures: document.getElementById('export-textures').value === 'embedded',
+                stripHidden: document.getElementById('export-strip-hidden').checked,
+                lights: document.getElementById('export-lights').checked ? [this.directionalLight] : [],
+                camera: document.getElementById('export-camera').checked ? this.cameraController.camera : null,
+                animations: document.getElementById('export-animations').checked ? this.animationSystem.clips : []
+            });
+
+            files.forEach(({ name, blob }) => {
+                const url = URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = name;
+                document.body.appendChild(a);
+                a.click();
+                document.body.removeChild(a);
+                URL.revokeObjectURL(url);
+            });
+            console.log('Model exported:', files.map(file => file.name));
+        } catch (error) {
+            console.error('Error exporting model:', error);
+            alert(`${this.i18n.t('export-error')}: ${error.message}`);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Refresh the clip list and playback controls for the current model
+     */
+    updateAnimationUI() {
+        const clipSelect = document.getElementById('animation-clip');
+        const playButton = document.getElementById('animation-play');
+        const controls = document.getElementById('animation-controls');
+        const emptyMessage = document.getElementById('animation-empty');
+        if (!clipSelect) return;
+
+        const hasAnimations = this.animationSystem.hasAnimations;
+        controls.style.display = hasAnimations ? 'block' : 'none';
+        emptyMessage.style.display = hasAnimations ? 'none' : 'block';
+
+        clipSelect.innerHTML = '';
+        this.animationSystem.getClipNames().forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            clipSelect.appendChild(option);
+        });
+        clipSelect.value = this.animationSystem.currentClipName || '';
+
+        playButton.textContent = this.animationSystem.playing ? '⏸' : '▶';
+
+        document.getElementById('animation-loop').value = this.animationSystem.loopMode;
+        document.getElementById('animation-speed').value = this.animationSystem.speed;
+        document.getElementById('animation-speed-value').textContent = this.animationSystem.speed.toFixed(2) + 'x';
+        document.getElementById('animation-crossfade').value = this.animationSystem.crossfadeDuration;
+        document.getElementById('animation-crossfade-value').textContent = this.animationSystem.crossfadeDuration.toFixed(2) + 's';
+
+        this.updateAnimationTimeline();
+    }
+
+    updateAnimationTimeline() {
+        const timeline = document.getElementById('animation-timeline');
+        const timeValue = document.getElementById('animation-time-value');
+        if (!timeline) return;
+
+        const time = this.animationSystem.getTime();
+        const duration = this.animationSystem.getDuration();
+        if (!this.isScrubbingAnimation) {
+            timeline.value = duration > 0 ? time / duration : 0;
+        }
+        timeValue.textContent = `${time.toFixed(2)} / ${duration.toFixed(2)}s`;
+    }
+
+    saveSettings() {
+        const settings = {
+            // Player settings
+            playerScale: this.player.scale.x,
+            playerEyeHeight: this.player.eyeHeight,
+            playerSpeed: this.player.speed,
+            groundLevel: this.player.groundLevel,
+            meshCollision: this.player.collisionEnabled,
+            stepHeight: this.player.stepHeight,
+            maxSlope: THREE.MathUtils.radToDeg(this.player.maxSlopeAngle),
+            freeCameraNoclip: this.player.noclip,
+            thirdPersonDistance: this.cameraController.thirdPersonDistance,
+            thirdPersonHeight: this.cameraController.thirdPersonHeight,
+            cameraTransitionDuration: this.cameraController.transitionDuration,
+            cameraNear: this.cameraController.camera.near,
+
+            // Player and Camera position
+            playerPosition: {
+                x: this.player.position.x,
+                y: this.player.position.y,
+                z: this.player.position.z
+            },
+            cameraPosition: {
+                x: this.cameraController.camera.position.x,
+                y: this.cameraController.camera.position.y,
+                z: this.cameraController.camera.position.z
+            },
+            cameraRotation: {
+                yaw: this.cameraController.yaw,
+                pitch: this.cameraController.pitch
+            },
+            cameraMode: this.cameraController.currentMode,
+            orbitDistance: this.cameraController.orbitDistance,
+            orbitTarget: {
+                x: this.cameraController.orbitTarget.x,
+                y: this.cameraController.orbitTarget.y,
+                z: this.cameraController.orbitTarget.z
+            },
+            orbitDamping: this.cameraController.orbitDamping,
+
+            // Post-processing
+            postProcessingEnabled: this.postProcessing?.enabled || false,
+            postProcessingStack: this.postProcessing?.getState(),
+            postProcessingPresets: this.postProcessing?.presets,
+            dofAutoFocus: this.focusController.autoFocus,
+            dofClickToFocus: this.focusController.clickToFocus,
+
+            // Time of day
+            timeCycleEnabled: this.timeOfDay.enabled,
+            timeOfDay: this.timeOfDay.timeOfDay,
+            timeSpeed: this.timeOfDay.timeSpeed,
+            sunIntensity: this.timeOfDay.sunIntensity,
+            orbitPitch: this.timeOfDay.orbitRotation.x,
+            orbitYaw: this.timeOfDay.orbitRotation.y,
+            orbitRoll: this.timeOfDay.orbitRotation.z,
+            solarEphemeris: this.timeOfDay.ephemeris.enabled,
+            solarLatitude: this.timeOfDay.ephemeris.latitude,
+            solarLongitude: this.timeOfDay.ephemeris.longitude,
+            solarDate: this.timeOfDay.ephemeris.date,
+            solarTimezone: this.timeOfDay.ephemeris.timezone,
+            solarNorthOffset: this.timeOfDay.ephemeris.northOffset,
+            nightSkyEnabled: this.timeOfDay.nightSky.enabled,
+            moonPhase: this.timeOfDay.moonPhase,
+            moonIntensity: this.timeOfDay.nightSky.moonIntensity,
+
+            // Weather
+            weatherPreset: this.weather.preset,
+            weatherTransition: this.weather.transitionDuration,
+            weatherWindDirection: this.weather.windDirection,
+            weatherWindStrength: this.weather.windStrength,
+
+            // Graphics - Shadows
+            shadowsEnabled: this.renderer.shadowMap.enabled,
+            shadowQuality: this.getShadowQualityName(),
+            shadowSoftness: this.directionalLight.shadow.radius,
+            shadowBias: this.directionalLight.shadow.bias,
+
+            // Graphics - Light direction
+            lightDirX: this.directionalLight.position.x,
+            lightDirY: this.directionalLight.position.y,
+            lightDirZ: this.directionalLight.position.z,
+
+            // Graphics - Other
+            fogEnabled: this.scene.fog !== null,
+            pixelRatio: this.renderer.getPixelRatio() / window.devicePixelRatio,
+            pointSize: this.modelLoader.pointSize,
+
+            // Environment & Lighting (stored HDRs are saved as 'hdr:<id>')
+            environment: this.currentEnvironment,
+            customHDRPath: this.currentEnvironment === 'Custom' ? this.customHDRPath : null,
+            toneMapping: this.getToneMappingName(),
+            exposure: this.renderer.toneMappingExposure,
+            punctualLights: this.punctualLightsEnabled,
+            ambientIntensity: this.ambientLight.intensity,
+            ambientColor: '#' + this.ambientLight.color.getHexString(),
+            directIntensity: this.directionalLight.intensity,
+            directColor: '#' + this.directionalLight.color.getHexString(),
+            envIntensity: this.environmentIntensity,
+            showBackground: this.showBackground,
+            backgroundBlur: this.backgroundBlurLevel,
+            environmentYaw: this.environmentYaw,
+            environmentPitch: this.environmentPitch,
+            skyTurbidity: this.proceduralSky.parameters.turbidity,
+            skyRayleigh: this.proceduralSky.parameters.rayleigh,
+            skyMieCoefficient: this.proceduralSky.parameters.mieCoefficient,
+            skyMieDirectionalG: this.proceduralSky.parameters.mieDirectionalG,
+
+            // Particles
+            particlesEnabled: this.particleSystem?.enabled || false,
+            particleShape: this.particleSystem?.currentShape || 'sphere',
+            particleSize: this.particleSystem?.size || 0.5,
+            particleSpeed: this.particleSystem?.speed || 0.5,
+
+            // Glitch
+            glitchEnabled: this.postProcessing?.glitchEnabled || false,
+
+            // Animation
+            animation: this.animationSystem.getState(),
+
+            // Camera bookmarks
+            cameraBookmarks: this.cameraBookmarks.getState(),
+            bookmarkFlyDuration: this.cameraBookmarks.flyDuration,
+
+            // Path Tracing
+            pathTracingEnabled: this.pathTracer?.enabled || false,
+            pathTracingGlossy: this.pathTracer?.filterGlossyFactor || 0.5,
+            pathTracingScale: this.pathTracer?.renderScale || 1.0,
+            pathTracingBounces: this.pathTracer?.bounces || 5,
+            pathTracingTransmissive: this.pathTracer?.transmissiveBounces || 10,
+
+            timestamp: new Date().toISOString()
+        };
+
+        // Save to localStorage
+        localStorage.setItem('gltfViewerSettings', JSON.stringify(settings));
+        console.log('Settings saved:', settings);
+        alert(this.i18n.t('settings-saved'));
+    }
+
+    loadSettings() {
+        const savedSettings = localStorage.getItem('gltfViewerSettings');
+        if (!savedSettings) {
+            alert(this.i18n.t('no-saved-settings'));
+            return;
+        }
+
+        try {
+            const settings = JSON.parse(savedSettings);
+            this.applySettings(settings);
+            console.log('Settings loaded:', settings);
+            alert(this.i18n.t('settings-loaded'));
+        } catch (error) {
+            console.error('Error loading settings:', error);
+            alert(this.i18n.t('settings-load-error'));
+        }
+    }
+
+    resetSettings() {
+        localStorage.removeItem('gltfViewerSettings');
+        location.reload();
+    }
+
+    exportSettings() {
+        const savedSettings = localStorage.getItem('gltfViewerSettings');
         if (!savedSettings) {
             alert(this.i18n.t('no-settings-to-export'));
             return;
@@ -1812,6 +4106,44 @@ class GLTFViewer {
         reader.readAsText(file);
     }
 
+    /**
+     * Map an old 'Custom' environment setting (customHDRPath file name) to an environment name
+     * Project HDR files saved by path are loaded from the server and shown as 'Custom'.
+     */
+    async resolveLegacyCustomHDR(customHDRPath) {
+        // HDR filename to preset mapping (for backwards compatibility)
+        const hdrFileToPreset = {
+            'citrus_orchard_road_puresky_4k.hdr': 'CitrusOrchard',
+            'sunny_rose_garden_4k.hdr': 'SunnyRoseGarden'
+        };
+
+        const fileName = customHDRPath ? customHDRPath.split('/').pop().split('\\').pop() : null;
+        if (fileName && hdrFileToPreset[fileName]) {
+            return hdrFileToPreset[fileName];
+        }
+
+        if (customHDRPath && (customHDRPath.includes('/') || customHDRPath.includes('\\'))) {
+            this.pendingEnvironment = 'Custom';
+            this.customHDRPath = customHDRPath;
+            if (await this.loadHDRFromPath(customHDRPath, 'Custom')) {
+                return 'Custom';
+            }
+            console.log('Could not load HDR from path, trying the HDR library...');
+        }
+
+        try {
+            const records = await HDRStorage.listHDRs();
+            const match = records.find(record => record.fileName === fileName)
+                || records.find(record => record.id === 'lastHDR');
+            if (match) return `hdr:${match.id}`;
+        } catch (error) {
+            console.warn('HDR library unavailable:', error);
+        }
+
+        console.log('Could not restore Custom HDR, falling back to Studio');
+        return 'Studio';
+    }
+
     applySettings(settings) {
         // Player settings
         if (settings.playerScale !== undefined) {
@@ -1834,6 +4166,24 @@ class GLTFViewer {
             document.getElementById('ground-level').value = settings.groundLevel;
             document.getElementById('ground-level-value').textContent = settings.groundLevel.toFixed(2) + 'm';
         }
+        if (settings.meshCollision !== undefined) {
+            this.player.setCollisionEnabled(settings.meshCollision);
+            document.getElementById('mesh-collision').checked = settings.meshCollision;
+        }
+        if (settings.stepHeight !== undefined) {
+            this.player.setStepHeight(settings.stepHeight);
+            document.getElementById('step-height').value = settings.stepHeight;
+            document.getElementById('step-height-value').textContent = settings.stepHeight.toFixed(3) + 'm';
+        }
+        if (settings.maxSlope !== undefined) {
+            this.player.setMaxSlopeAngle(THREE.MathUtils.degToRad(settings.maxSlope));
+            document.getElementById('max-slope').value = settings.maxSlope;
+            document.getElementById('max-slope-value').textContent = settings.maxSlope.toFixed(0) + '°';
+        }
+        if (settings.freeCameraNoclip !== undefined) {
+            this.player.setNoclip(settings.freeCameraNoclip);
+            document.getElementById('free-camera-noclip').checked = settings.freeCameraNoclip;
+        }
         if (settings.thirdPersonDistance !== undefined) {
             this.cameraController.setThirdPersonDistance(settings.thirdPersonDistance);
             document.getElementById('third-person-distance').value = settings.thirdPersonDistance;
@@ -1844,6 +4194,11 @@ class GLTFViewer {
             document.getElementById('third-person-height').value = settings.thirdPersonHeight;
             document.getElementById('third-person-height-value').textContent = settings.thirdPersonHeight.toFixed(3) + 'm';
         }
+        if (settings.cameraTransitionDuration !== undefined) {
+            this.cameraController.setTransitionDuration(settings.cameraTransitionDuration);
+            document.getElementById('camera-transition').value = settings.cameraTransitionDuration;
+            document.getElementById('camera-transition-value').textContent = settings.cameraTransitionDuration.toFixed(1) + 's';
+        }
         if (settings.cameraNear !== undefined) {
             this.cameraController.setNearPlane(settings.cameraNear);
             document.getElementById('camera-near').value = settings.cameraNear;
@@ -1869,25 +4224,18 @@ class GLTFViewer {
             this.cameraController.yaw = settings.cameraRotation.yaw;
             this.cameraController.pitch = settings.cameraRotation.pitch;
         }
-        if (settings.orbitDistance !== undefined && this.cameraController.orbitDistance !== undefined) {
-            this.cameraController.orbitDistance = settings.orbitDistance;
-        }
-        if (settings.orbitTarget !== undefined && this.cameraController.orbitTarget) {
-            this.cameraController.orbitTarget.set(
-                settings.orbitTarget.x,
-                settings.orbitTarget.y,
-                settings.orbitTarget.z
+        if (settings.orbitTarget !== undefined) {
+            this.cameraController.setOrbitTarget(
+                new THREE.Vector3(settings.orbitTarget.x, settings.orbitTarget.y, settings.orbitTarget.z),
+                settings.orbitDistance
             );
         }
+        if (settings.orbitDamping !== undefined) {
+            this.cameraController.setOrbitDamping(settings.orbitDamping);
+            document.getElementById('orbit-damping').checked = settings.orbitDamping;
+        }
         if (settings.cameraMode !== undefined) {
-            this.cameraController.setMode(settings.cameraMode);
-            // Update UI buttons
-            document.querySelectorAll('.mode-button').forEach(btn => {
-                btn.classList.remove('active');
-                if (btn.dataset.mode === settings.cameraMode) {
-                    btn.classList.add('active');
-                }
-            });
+            this.setCameraMode(settings.cameraMode);
         }
 
         // Post-processing
@@ -1896,14 +4244,31 @@ class GLTFViewer {
                 this.postProcessing.setEnabled(settings.postProcessingEnabled);
                 document.getElementById('enable-postprocessing').checked = settings.postProcessingEnabled;
             }
-            if (settings.bloomEnabled !== undefined) {
-                this.postProcessing.setBloomEnabled(settings.bloomEnabled);
-                document.getElementById('enable-bloom').checked = settings.bloomEnabled;
+            if (settings.postProcessingStack !== undefined) {
+                this.postProcessing.applyState(settings.postProcessingStack);
+            } else {
+                // Settings saved before the stack was configurable
+                if (settings.bloomEnabled !== undefined) {
+                    this.postProcessing.setBloomEnabled(settings.bloomEnabled);
+                }
+                if (settings.ssaoEnabled !== undefined) {
+                    this.postProcessing.setSSAOEnabled(settings.ssaoEnabled);
+                }
+            }
+            if (settings.postProcessingPresets !== undefined) {
+                this.postProcessing.applyPresets(settings.postProcessingPresets);
+            }
+            if (settings.dofAutoFocus !== undefined) {
+                this.focusController.setAutoFocus(settings.dofAutoFocus);
+                document.getElementById('dof-autofocus').checked = settings.dofAutoFocus;
             }
-            if (settings.ssaoEnabled !== undefined) {
-                this.postProcessing.setSSAOEnabled(settings.ssaoEnabled);
-                document.getElementById('enable-ssao').checked = settings.ssaoEnabled;
+            if (settings.dofClickToFocus !== undefined) {
+                this.focusController.setClickToFocus(settings.dofClickToFocus);
+                document.getElementById('dof-click-focus').checked = settings.dofClickToFocus;
             }
+            this.syncDepthOfField();
+            this.renderPostEffectList();
+            this.renderPostPresetList();
             if (settings.glitchEnabled !== undefined) {
                 this.postProcessing.setGlitchEnabled(settings.glitchEnabled);
                 document.getElementById('enable-glitch').checked = settings.glitchEnabled;
@@ -1947,6 +4312,52 @@ class GLTFViewer {
             document.getElementById('orbit-roll').value = degrees;
             document.getElementById('orbit-roll-value').textContent = degrees.toFixed(0) + '°';
         }
+        const ephemerisKeys = {
+            solarEphemeris: 'enabled',
+            solarLatitude: 'latitude',
+            solarLongitude: 'longitude',
+            solarDate: 'date',
+            solarTimezone: 'timezone',
+            solarNorthOffset: 'northOffset'
+        };
+        const ephemerisChanges = {};
+        Object.entries(ephemerisKeys).forEach(([settingsKey, key]) => {
+            if (settings[settingsKey] !== undefined) {
+                ephemerisChanges[key] = settings[settingsKey];
+            }
+        });
+        if (Object.keys(ephemerisChanges).length > 0) {
+            this.timeOfDay.setEphemeris(ephemerisChanges);
+            this.syncSolarControls();
+        }
+        if (settings.nightSkyEnabled !== undefined) {
+            this.timeOfDay.setNightSkyEnabled(settings.nightSkyEnabled);
+            document.getElementById('night-sky-enabled').checked = settings.nightSkyEnabled;
+        }
+        if (settings.moonPhase !== undefined) {
+            this.timeOfDay.setMoonPhase(settings.moonPhase);
+            this.updateMoonInfo();
+        }
+        if (settings.moonIntensity !== undefined) {
+            this.timeOfDay.setMoonIntensity(settings.moonIntensity);
+            document.getElementById('moon-intensity').value = settings.moonIntensity;
+            document.getElementById('moon-intensity-value').textContent = settings.moonIntensity.toFixed(2);
+        }
+
+        // Weather (preset first, its wind is then replaced by the saved wind)
+        if (settings.weatherTransition !== undefined) {
+            this.weather.setTransitionDuration(settings.weatherTransition);
+        }
+        if (settings.weatherPreset !== undefined) {
+            this.weather.setPreset(settings.weatherPreset);
+        }
+        if (settings.weatherWindDirection !== undefined || settings.weatherWindStrength !== undefined) {
+            this.weather.setWind(
+                settings.weatherWindDirection ?? this.weather.windDirection,
+                settings.weatherWindStrength ?? this.weather.windStrength
+            );
+        }
+        this.syncWeatherControls();
 
         // Graphics - Shadows
         if (settings.shadowsEnabled !== undefined) {
@@ -2022,11 +4433,7 @@ class GLTFViewer {
 
         // Graphics - Other
         if (settings.fogEnabled !== undefined) {
-            if (settings.fogEnabled) {
-                this.scene.fog = new THREE.Fog(0x87CEEB, 10, 100);
-            } else {
-                this.scene.fog = null;
-            }
+            this.weather.setFogEnabled(settings.fogEnabled);
             document.getElementById('enable-fog').checked = settings.fogEnabled;
         }
         if (settings.pixelRatio !== undefined) {
@@ -2034,72 +4441,43 @@ class GLTFViewer {
             document.getElementById('pixel-ratio').value = settings.pixelRatio;
             document.getElementById('pixel-ratio-value').textContent = settings.pixelRatio.toFixed(2) + 'x';
         }
+        if (settings.pointSize !== undefined) {
+            this.modelLoader.setPointSize(settings.pointSize, this.loadedModel);
+            document.getElementById('point-size').value = settings.pointSize;
+            document.getElementById('point-size-value').textContent = settings.pointSize.toFixed(3);
+        }
 
-        // Environment & Lighting
-        if (settings.environment !== undefined) {
-            // HDR filename to preset mapping (for backwards compatibility)
-            const hdrFileToPreset = {
-                'citrus_orchard_road_puresky_4k.hdr': 'CitrusOrchard',
-                'sunny_rose_garden_4k.hdr': 'SunnyRoseGarden'
-            };
-
-            // Check if customHDRPath matches a known preset
-            let resolvedEnvironment = settings.environment;
-            if (settings.customHDRPath) {
-                const fileName = settings.customHDRPath.split('/').pop().split('\\').pop();
-                if (hdrFileToPreset[fileName]) {
-                    resolvedEnvironment = hdrFileToPreset[fileName];
-                    console.log('Resolved HDR filename to preset:', fileName, '->', resolvedEnvironment);
-                }
+        // Environment & Lighting (rotation first so the environment is built rotated)
+        if (settings.environmentYaw !== undefined || settings.environmentPitch !== undefined) {
+            const yaw = settings.environmentYaw ?? this.environmentYaw;
+            const pitch = settings.environmentPitch ?? this.environmentPitch;
+            this.setEnvironmentRotation(yaw, pitch);
+            document.getElementById('env-yaw').value = yaw;
+            document.getElementById('env-yaw-value').textContent = yaw + '°';
+            document.getElementById('env-pitch').value = pitch;
+            document.getElementById('env-pitch-value').textContent = pitch + '°';
+        }
+        this.getSkyControls().forEach(({ name, id, digits }) => {
+            const value = settings[`sky${name.charAt(0).toUpperCase()}${name.slice(1)}`];
+            if (value !== undefined) {
+                this.proceduralSky.setParameter(name, value);
+                document.getElementById(id).value = value;
+                document.getElementById(`${id}-value`).textContent = value.toFixed(digits);
             }
-
-            if (resolvedEnvironment === 'Custom' && settings.customHDRPath) {
-                // Check if it's a file path (contains / or \) or just a filename
-                const isFilePath = settings.customHDRPath.includes('/') || settings.customHDRPath.includes('\\');
-
-                if (isFilePath) {
-                    // Load from file path (project HDR files)
-                    console.log('Loading HDR from saved path:', settings.customHDRPath);
-                    this.loadHDRFromPath(settings.customHDRPath).then((success) => {
-                        if (!success) {
-                            console.log('Could not load HDR from path, trying IndexedDB...');
-                            this.loadHDRFromStorage().then((storageSuccess) => {
-                                if (!storageSuccess) {
-                                    console.log('Could not restore Custom HDR, falling back to Studio');
-                                    this.setEnvironment('Studio');
-                                    document.getElementById('environment-select').value = 'Studio';
-                                }
-                            });
-                        }
-                    });
-                } else {
-                    // Try to load from IndexedDB (uploaded file)
-                    this.loadHDRFromStorage().then((success) => {
-                        if (!success) {
-                            console.log('Could not restore Custom HDR from IndexedDB, falling back to Studio');
-                            this.setEnvironment('Studio');
-                            document.getElementById('environment-select').value = 'Studio';
-                        }
-                    });
-                }
-            } else if (resolvedEnvironment === 'Custom') {
-                // No path saved, try IndexedDB
-                this.loadHDRFromStorage().then((success) => {
-                    if (!success) {
-                        console.log('Could not restore Custom HDR, falling back to Studio');
-                        this.setEnvironment('Studio');
-                        document.getElementById('environment-select').value = 'Studio';
-                    }
+        });
+        if (settings.environment !== undefined) {
+            if (settings.environment === 'Custom') {
+                // Settings from before the HDR library referred to the upload by file name
+                this.resolveLegacyCustomHDR(settings.customHDRPath).then((envName) => {
+                    if (envName === 'Custom') return; // Already shown by loadHDRFromPath
+                    this.setEnvironment(envName);
+                    document.getElementById('environment-select').value = envName;
                 });
             } else {
-                this.setEnvironment(resolvedEnvironment);
-                document.getElementById('environment-select').value = resolvedEnvironment;
+                this.setEnvironment(settings.environment);
+                document.getElementById('environment-select').value = settings.environment;
             }
         }
-        if (settings.customHDRPath !== undefined && settings.customHDRPath !== null) {
-            this.customHDRPath = settings.customHDRPath;
-            console.log('Custom HDR path stored:', settings.customHDRPath);
-        }
         if (settings.toneMapping !== undefined) {
             this.setToneMapping(settings.toneMapping);
             document.getElementById('tone-mapping').value = settings.toneMapping;
@@ -2173,6 +4551,23 @@ class GLTFViewer {
             }
         }
 
+        // Animation (clip is restored once a model with that clip is loaded)
+        if (settings.animation !== undefined) {
+            this.animationSystem.applyState(settings.animation);
+            this.updateAnimationUI();
+        }
+
+        // Camera bookmarks
+        if (settings.cameraBookmarks !== undefined) {
+            this.cameraBookmarks.applyState(settings.cameraBookmarks);
+            this.renderBookmarkList();
+        }
+        if (settings.bookmarkFlyDuration !== undefined) {
+            this.cameraBookmarks.flyDuration = settings.bookmarkFlyDuration;
+            document.getElementById('bookmark-duration').value = settings.bookmarkFlyDuration;
+            document.getElementById('bookmark-duration-value').textContent = settings.bookmarkFlyDuration.toFixed(1) + 's';
+        }
+
         // Path Tracing
         if (this.pathTracer) {
             if (settings.pathTracingEnabled !== undefined) {
@@ -2223,6 +4618,185 @@ class GLTFViewer {
         }
     }
 
+    setupSolarControls() {
+        const solarEphemeris = document.getElementById('solar-ephemeris');
+        const latitude = document.getElementById('solar-latitude');
+        const longitude = document.getElementById('solar-longitude');
+        const date = document.getElementById('solar-date');
+        const timezone = document.getElementById('solar-timezone');
+        const northOffset = document.getElementById('solar-north-offset');
+        const northOffsetValue = document.getElementById('solar-north-offset-value');
+
+        solarEphemeris.addEventListener('change', (e) => {
+            this.timeOfDay.setEphemeris({ enabled: e.target.checked });
+            this.updateSolarInfo();
+        });
+
+        // Number fields apply on every valid edit; empty or partial input is ignored
+        const numberFields = [
+            { input: latitude, key: 'latitude', min: -90, max: 90 },
+            { input: longitude, key: 'longitude', min: -180, max: 180 },
+            { input: timezone, key: 'timezone', min: -12, max: 14 }
+        ];
+        numberFields.forEach(({ input, key, min, max }) => {
+            input.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                if (isNaN(value)) return;
+                this.timeOfDay.setEphemeris({ [key]: THREE.MathUtils.clamp(value, min, max) });
+                this.updateSolarInfo();
+            });
+        });
+
+        date.addEventListener('change', (e) => {
+            if (!e.target.value) return;
+            this.timeOfDay.setEphemeris({ date: e.target.value });
+            this.updateSolarInfo();
+        });
+
+        northOffset.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.timeOfDay.setEphemeris({ northOffset: value });
+            northOffsetValue.textContent = value.toFixed(0) + '°';
+        });
+
+        this.syncSolarControls();
+    }
+
+    /**
+     * Reflect the time of day ephemeris in the solar controls
+     */
+    syncSolarControls() {
+        const ephemeris = this.timeOfDay.ephemeris;
+        document.getElementById('solar-ephemeris').checked = ephemeris.enabled;
+        document.getElementById('solar-latitude').value = ephemeris.latitude;
+        document.getElementById('solar-longitude').value = ephemeris.longitude;
+        document.getElementById('solar-date').value = ephemeris.date;
+        document.getElementById('solar-timezone').value = ephemeris.timezone;
+        document.getElementById('solar-north-offset').value = ephemeris.northOffset;
+        document.getElementById('solar-north-offset-value').textContent = ephemeris.northOffset.toFixed(0) + '°';
+        this.updateSolarInfo();
+    }
+
+    setupWeatherControls() {
+        const weatherPreset = document.getElementById('weather-preset');
+        weatherPreset.addEventListener('change', (e) => {
+            this.weather.setPreset(e.target.value);
+            this.syncWeatherControls();
+        });
+
+        const transition = document.getElementById('weather-transition');
+        const transitionValue = document.getElementById('weather-transition-value');
+        transition.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.weather.setTransitionDuration(value);
+            transitionValue.textContent = value.toFixed(0) + 's';
+        });
+
+        const windDirection = document.getElementById('weather-wind-direction');
+        const windDirectionValue = document.getElementById('weather-wind-direction-value');
+        windDirection.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.weather.setWind(value, this.weather.windStrength);
+            windDirectionValue.textContent = value.toFixed(0) + '°';
+        });
+
+        const windStrength = document.getElementById('weather-wind-strength');
+        const windStrengthValue = document.getElementById('weather-wind-strength-value');
+        windStrength.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.weather.setWind(this.weather.windDirection, value);
+            windStrengthValue.textContent = value.toFixed(1);
+        });
+    }
+
+    /**
+     * Reflect the weather preset and wind in the controls (presets set their own wind)
+     */
+    syncWeatherControls() {
+        document.getElementById('weather-preset').value = this.weather.preset;
+        document.getElementById('weather-transition').value = this.weather.transitionDuration;
+        document.getElementById('weather-transition-value').textContent = this.weather.transitionDuration.toFixed(0) + 's';
+        document.getElementById('weather-wind-direction').value = this.weather.windDirection;
+        document.getElementById('weather-wind-direction-value').textContent = this.weather.windDirection.toFixed(0) + '°';
+        document.getElementById('weather-wind-strength').value = this.weather.windStrength;
+        document.getElementById('weather-wind-strength-value').textContent = this.weather.windStrength.toFixed(1);
+    }
+
+    setupNightSkyControls() {
+        const nightSkyEnabled = document.getElementById('night-sky-enabled');
+        nightSkyEnabled.addEventListener('change', (e) => {
+            this.timeOfDay.setNightSkyEnabled(e.target.checked);
+        });
+
+        const moonPhase = document.getElementById('moon-phase');
+        moonPhase.addEventListener('input', (e) => {
+            this.timeOfDay.setMoonPhase(parseFloat(e.target.value));
+            this.updateMoonInfo();
+        });
+
+        const moonIntensity = document.getElementById('moon-intensity');
+        const moonIntensityValue = document.getElementById('moon-intensity-value');
+        moonIntensity.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.timeOfDay.setMoonIntensity(value);
+            moonIntensityValue.textContent = value.toFixed(2);
+        });
+
+        this.updateMoonInfo();
+    }
+
+    /**
+     * Moon phase name and lit fraction
+     * With the ephemeris the phase comes from the date, so the slider only displays it
+     */
+    updateMoonInfo() {
+        const moonPhase = document.getElementById('moon-phase');
+        const moonPhaseValue = document.getElementById('moon-phase-value');
+        const moonPhaseInfo = document.getElementById('moon-phase-info');
+        if (!moonPhase || !moonPhaseValue || !moonPhaseInfo) return;
+
+        const phase = this.timeOfDay.getMoonPhase();
+        const phaseNames = [
+            'moon-new', 'moon-waxing-crescent', 'moon-first-quarter', 'moon-waxing-gibbous',
+            'moon-full', 'moon-waning-gibbous', 'moon-last-quarter', 'moon-waning-crescent'
+        ];
+        const phaseName = phaseNames[Math.round(phase * 8) % 8];
+        const illumination = Math.round(NightSky.getIllumination(phase) * 100);
+
+        moonPhase.disabled = this.timeOfDay.ephemeris.enabled;
+        moonPhase.value = phase;
+        moonPhaseValue.textContent = phase.toFixed(2);
+        moonPhaseInfo.textContent = `${this.i18n.t(phaseName)} · ${this.i18n.t('moon-illumination')} ${illumination}%`;
+    }
+
+    /**
+     * Current azimuth/elevation and the day's sunrise/sunset
+     */
+    updateSolarInfo() {
+        // The moon phase follows the ephemeris date and time
+        this.updateMoonInfo();
+
+        const positionInfo = document.getElementById('solar-position-info');
+        const sunTimesInfo = document.getElementById('solar-sun-times');
+        if (!positionInfo || !sunTimesInfo) return;
+
+        if (!this.timeOfDay.ephemeris.enabled) {
+            positionInfo.textContent = '';
+            sunTimesInfo.textContent = '';
+            return;
+        }
+
+        const { azimuth, elevation } = this.timeOfDay.getSolarPosition();
+        positionInfo.textContent = `${this.i18n.t('solar-azimuth')} ${azimuth.toFixed(1)}° · ${this.i18n.t('solar-elevation')} ${elevation.toFixed(1)}°`;
+
+        const sunTimes = this.timeOfDay.getSunTimes();
+        if (sunTimes.polar) {
+            sunTimesInfo.textContent = this.i18n.t(sunTimes.polar === 'day' ? 'polar-day' : 'polar-night');
+        } else {
+            sunTimesInfo.textContent = `${this.i18n.t('sunrise')} ${TimeOfDaySystem.formatTime(sunTimes.sunrise)} · ${this.i18n.t('sunset')} ${TimeOfDaySystem.formatTime(sunTimes.sunset)}`;
+        }
+    }
+
     updateTimeDisplay() {
         const timeValue = document.getElementById('time-value');
         const timeSlider = document.getElementById('time-of-day');
@@ -2231,6 +4805,7 @@ class GLTFViewer {
         const minutes = Math.floor((currentTime % 1) * 60);
         timeValue.textContent = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
         timeSlider.value = currentTime;
+        this.updateSolarInfo();
     }
 
     animate() {
@@ -2242,28 +4817,62 @@ class GLTFViewer {
             // Store previous camera position to detect movement
             const prevCameraPos = this.cameraController.camera.position.clone();
             const prevCameraRot = this.cameraController.camera.rotation.clone();
+            const prevCameraFov = this.cameraController.camera.fov;
 
             // Update player and camera
             this.player.update(deltaTime, this.cameraController);
-            this.cameraController.update(this.player);
+            this.cameraController.update(this.player, deltaTime);
+            this.cameraPath.update();
+
+            // Auto-focus follows the screen center
+            if (this.postProcessing && this.postProcessing.effectSettings.dof.enabled) {
+                this.focusController.update(deltaTime);
+            }
 
             // Update path tracer camera if it moved
             if (this.pathTracer && this.pathTracer.enabled) {
                 const camMoved = !prevCameraPos.equals(this.cameraController.camera.position) ||
-                                !prevCameraRot.equals(this.cameraController.camera.rotation);
+                                !prevCameraRot.equals(this.cameraController.camera.rotation) ||
+                                prevCameraFov !== this.cameraController.camera.fov;
                 if (camMoved) {
                     this.pathTracer.updateCamera();
                 }
             }
 
+            // Rebuild environment lighting after rotation changes (at most once per frame)
+            if (this.environmentRotationDirty) {
+                this.updateEnvironmentRotation();
+            }
+
             // Update time of day
             this.timeOfDay.update(deltaTime);
 
+            // Regenerate the sky lighting map as the sun moves (throttled)
+            this.proceduralSky.update();
+
+            // Weather after the time of day, which resets the light intensities each frame
+            this.weather.update(deltaTime, this.cameraController.camera, 1 - this.timeOfDay.nightSky.nightFactor);
+
             // Update particle system
             if (this.particleSystem) {
                 this.particleSystem.update(deltaTime);
             }
 
+            // Update glTF animations
+            this.animationSystem.update(deltaTime);
+            if (this.outliner.selectedNode && this.animationSystem.playing && this.animationSystem.hasAnimations) {
+                // Animated nodes move, keep the bounds box on them
+                this.outliner.updateBounds(false);
+            }
+            if (this.animationSystem.hasAnimations && this.animationSystem.playing) {
+                // Refresh the timeline a few times per second (not every frame)
+                this.lastAnimationUIUpdate = (this.lastAnimationUIUpdate || 0) + deltaTime;
+                if (this.lastAnimationUIUpdate >= 0.1) {
+                    this.updateAnimationTimeline();
+                    this.lastAnimationUIUpdate = 0;
+                }
+            }
+
             // Update time display only once per second (not every frame)
             if (this.timeOfDay.enabled) {
                 if (!this.lastTimeUpdate) this.lastTimeUpdate = 0;
@@ -2293,6 +4902,9 @@ class GLTFViewer {
                 }
             }
 
+            // Outline the node under the cursor
+            this.updateHover(deltaTime);
+
             // Render
             if (this.pathTracer && this.pathTracer.enabled) {
                 // Path tracing handles rendering internally
@@ -2301,6 +4913,8 @@ class GLTFViewer {
                 this.postProcessing.render(deltaTime);
             } else {
                 this.renderer.render(this.scene, this.cameraController.camera);
+                // Without the stack the outlines are drawn over the frame
+                this.selectionOutline.renderFallback(this.renderer, deltaTime);
             }
         } catch (error) {
             console.error('Animation loop error:', error);